@@ -0,0 +1,110 @@
+// ============================================
+// ACHIEVEMENTS
+// Milestone badges earned from workout history and check-ins.
+// Every badge is a check on a progress summary, so adding one
+// only means adding an entry here.
+// ============================================
+
+// A set counts as perfect form when every rep scored at least this
+const PERFECT_SET_SCORE = 90;
+const PERFECT_SET_MIN_REPS = 5;
+
+// Achievement entry fields:
+//   label, description - message keys (see i18n.js) of the text shown in the badge
+//                   gallery and the unlock toast
+//   params        - placeholder values of the description, optional
+//   icon          - shown next to the text
+//   check         - returns true once earned, given the summary from summarizeProgress (`p`)
+const ACHIEVEMENTS = {
+    firstWorkout: {
+        label: 'achievement.firstWorkout.label',
+        description: 'achievement.firstWorkout.description',
+        icon: '🏁',
+        check: p => p.workouts >= 1
+    },
+    pushups100: {
+        label: 'achievement.pushups100.label',
+        description: 'achievement.pushups100.description',
+        icon: '💯',
+        check: p => p.totals.pushups >= 100
+    },
+    pushups1000: {
+        label: 'achievement.pushups1000.label',
+        description: 'achievement.pushups1000.description',
+        icon: '🦾',
+        check: p => p.totals.pushups >= 1000
+    },
+    squats100: {
+        label: 'achievement.squats100.label',
+        description: 'achievement.squats100.description',
+        icon: '🦵',
+        check: p => p.totals.squats >= 100
+    },
+    pushups50Session: {
+        label: 'achievement.pushups50Session.label',
+        description: 'achievement.pushups50Session.description',
+        icon: '🔥',
+        check: p => p.best.pushups >= 50
+    },
+    plank1Minute: {
+        label: 'achievement.plank1Minute.label',
+        description: 'achievement.plank1Minute.description',
+        icon: '⏱️',
+        check: p => p.best.planks >= 60
+    },
+    plank5Minutes: {
+        label: 'achievement.plank5Minutes.label',
+        description: 'achievement.plank5Minutes.description',
+        icon: '🧱',
+        check: p => p.totals.planks >= 300
+    },
+    streak7: {
+        label: 'achievement.streak7.label',
+        description: 'achievement.streak7.description',
+        icon: '📅',
+        check: p => p.longestStreak >= 7
+    },
+    streak30: {
+        label: 'achievement.streak30.label',
+        description: 'achievement.streak30.description',
+        icon: '🏆',
+        check: p => p.longestStreak >= 30
+    },
+    perfectSet: {
+        label: 'achievement.perfectSet.label',
+        description: 'achievement.perfectSet.description',
+        params: { reps: PERFECT_SET_MIN_REPS, score: PERFECT_SET_SCORE },
+        icon: '⭐',
+        check: p => p.perfectSets >= 1
+    }
+};
+
+// What the checks read: totals per exercise, best single workout per exercise,
+// number of tracked workouts, longest check-in streak and perfect-form sets
+function summarizeProgress(sessions, totals, longestStreak) {
+    const best = {};
+    let workouts = 0;
+    let perfectSets = 0;
+
+    sessions.forEach(session => {
+        // Totals carried over from before the history existed are not workouts
+        if (session.legacy) return;
+        const amount = session.holdSeconds > 0 ? session.holdSeconds : session.reps;
+        best[session.exercise] = Math.max(best[session.exercise] || 0, amount);
+        workouts++;
+        perfectSets += (session.sets || []).filter(set =>
+            set.reps >= PERFECT_SET_MIN_REPS && set.minScore >= PERFECT_SET_SCORE
+        ).length;
+    });
+
+    return { totals, best, workouts, longestStreak, perfectSets };
+}
+
+// Ids of achievements earned by `progress` that are not in `unlocked` yet
+function findNewAchievements(unlocked, progress) {
+    return Object.keys(ACHIEVEMENTS).filter(id => !unlocked[id] && ACHIEVEMENTS[id].check(progress));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ACHIEVEMENTS, PERFECT_SET_SCORE, PERFECT_SET_MIN_REPS, summarizeProgress, findNewAchievements };
+}
@@ -0,0 +1,578 @@
+// ============================================
+// POSE ANALYSIS CORE
+// DOM-free detection logic: smoothing, joint angles, form rules and
+// rep state machines. Runs in the browser and under Node and reports
+// what happened as events instead of touching the page.
+// ============================================
+
+// Under Node the registry is loaded as a module; in the browser it is a global script
+const exerciseRegistry = typeof require === 'function'
+    ? require('./exercises')
+    : { EXERCISES, POSE_LANDMARKS };
+
+// One Euro filter (Casiez et al.): a low-pass filter whose cutoff rises with speed,
+// so a still pose stays steady while fast movements are followed without lag.
+// Every scalar channel (e.g. the x of one landmark) keeps its own state.
+class OneEuroFilter {
+    constructor(minCutoff = 1, beta = 0, derivativeCutoff = 1) {
+        this.minCutoff = minCutoff; // Hz at rest; lower is smoother
+        this.beta = beta; // How much the cutoff rises with speed
+        this.derivativeCutoff = derivativeCutoff; // Hz, for the speed estimate itself
+        this.DEFAULT_FRAME_SECONDS = 1 / 30; // Used when frames carry no usable time
+        this.reset();
+    }
+
+    reset() {
+        this.channels = {};
+        this.lastTime = null;
+    }
+
+    static alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    filterValue(key, value, dt) {
+        const channel = this.channels[key];
+        if (!channel) {
+            this.channels[key] = { value, derivative: 0 };
+            return value;
+        }
+
+        const derivative = (value - channel.value) / dt;
+        const derivativeAlpha = OneEuroFilter.alpha(this.derivativeCutoff, dt);
+        channel.derivative = derivativeAlpha * derivative + (1 - derivativeAlpha) * channel.derivative;
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(channel.derivative);
+        const alpha = OneEuroFilter.alpha(cutoff, dt);
+        channel.value = alpha * value + (1 - alpha) * channel.value;
+        return channel.value;
+    }
+
+    // timestamp in ms; isVisible(landmark, index) decides which joints may move the estimate
+    filterLandmarks(landmarks, timestamp, isVisible) {
+        const dt = this.lastTime !== null && timestamp > this.lastTime
+            ? (timestamp - this.lastTime) / 1000
+            : this.DEFAULT_FRAME_SECONDS;
+        this.lastTime = timestamp;
+
+        return landmarks.map((lm, i) => {
+            // An occluded joint keeps its last estimate instead of following the model's guess
+            const held = this.channels[`${i}x`];
+            if (held && !isVisible(lm, i)) {
+                return {
+                    x: held.value,
+                    y: this.channels[`${i}y`].value,
+                    z: this.channels[`${i}z`].value,
+                    visibility: lm.visibility
+                };
+            }
+
+            return {
+                x: this.filterValue(`${i}x`, lm.x, dt),
+                y: this.filterValue(`${i}y`, lm.y, dt),
+                z: this.filterValue(`${i}z`, lm.z, dt),
+                visibility: lm.visibility
+            };
+        });
+    }
+}
+
+// Events returned by PoseAnalyzer.process():
+//   { type: 'trackingLost' } / { type: 'trackingRestored' }
+//   { type: 'phase', from, to }
+//   { type: 'rep', count, score, quality, tempo, timeUnderTension, tempoFeedback }
+//       score is 0-100, quality the aggregated rep values, tempo the
+//       { eccentric, pause, concentric } durations in seconds
+//   { type: 'partialRep', count }  - a rep that was started but never reached the bottom
+//   { type: 'formError', reason }  - emitted when a new form problem appears;
+//       reasons (also tempoFeedback) are message keys, see i18n.js
+//   { type: 'holdStart' } / { type: 'holdStop' }  - timed exercises only
+//   { type: 'orientation', orientation }  - the camera now sees the user from the
+//       'front', 'side' or 'diagonal'
+class PoseAnalyzer {
+    constructor(exerciseId, options = {}) {
+        this.exercises = options.exercises || exerciseRegistry.EXERCISES;
+        // Smoothing strength 0-1, turned into the filter's resting cutoff
+        this.smoothingFactor = options.smoothingFactor !== undefined ? options.smoothingFactor : 0.7;
+        this.visibilityThreshold = options.visibilityThreshold !== undefined ? options.visibilityThreshold : 0.5;
+        this.targetTempo = options.targetTempo || null; // { eccentric, pause, concentric } seconds
+        this.calibration = options.calibration || {}; // exercise id -> personal threshold overrides
+        this.sensitivity = options.sensitivity || {}; // exercise id -> preset name (see SENSITIVITY_PRESETS)
+
+        // Camera orientation from the body's yaw: 0° faces the camera, 90° is side-on
+        this.FRONT_MAX_YAW = 30;
+        this.SIDE_MIN_YAW = 60;
+        this.ORIENTATION_MARGIN = 5; // Degrees past a limit before the view changes, against flicker
+        this.SHOULDER_TORSO_RATIO = 0.75; // Shoulder width / torso length when facing the camera
+
+        // Landmark filter: the resting cutoff falls from FILTER_MAX_CUTOFF as smoothing rises
+        this.FILTER_MAX_CUTOFF = 3; // Hz
+        this.FILTER_BETA = 5;
+        this.FILTER_DERIVATIVE_CUTOFF = 1; // Hz
+        this.poseFilter = new OneEuroFilter();
+        this.worldFilter = new OneEuroFilter();
+
+        this.setExercise(exerciseId);
+    }
+
+    setExercise(exerciseId) {
+        if (!this.exercises[exerciseId]) {
+            throw new Error(`Unknown exercise: ${exerciseId}`);
+        }
+        this.exerciseId = exerciseId;
+        this.exercise = this.exercises[exerciseId];
+        this.applyThresholds();
+        this.reset();
+    }
+
+    setCalibration(calibration) {
+        this.calibration = calibration || {};
+        this.applyThresholds();
+    }
+
+    setSensitivity(sensitivity) {
+        this.sensitivity = sensitivity || {};
+        this.applyThresholds();
+    }
+
+    applyThresholds() {
+        // Registry defaults, then the chosen preset, then personal thresholds from calibration
+        const presets = this.exercise.sensitivity || {};
+        this.thresholds = {
+            ...this.exercise.thresholds,
+            ...(presets[this.sensitivity[this.exerciseId]] || {}),
+            ...(this.calibration[this.exerciseId] || {})
+        };
+    }
+
+    reset() {
+        const phases = this.exercise.phases;
+        this.state = {
+            phase: phases ? phases.initial : null,
+            baseline: null // Reference position, captured once the user is in the start position
+        };
+        this.repCount = 0;
+        this.partialCount = 0;
+        this.repStats = null; // Aggregated values of the rep in progress
+        this.repSamples = []; // { t, angle } of the rep in progress, for tempo
+        this.repStartedAt = null;
+        this.lastTopAt = null; // Last time the top position was seen; the lowering starts there
+        this.now = 0;
+        this.repArmed = false; // Back at the top since the last rep, so a new one may start
+        this.formValid = false;
+        this.lastReason = '';
+        this.tracking = false;
+        this.poseFilter.reset();
+        this.worldFilter.reset();
+        this.yaw = null;
+        this.orientation = null;
+    }
+
+    // worldLandmarks: MediaPipe's poseWorldLandmarks (metres, hip-centred) when
+    // available; joint angles are then measured in 3D
+    process(landmarks, timestamp = Date.now(), worldLandmarks = null) {
+        const events = [];
+        this.now = timestamp; // ms; recorded frames pass their own time
+
+        if (!landmarks) {
+            if (this.tracking) {
+                this.tracking = false;
+                events.push({ type: 'trackingLost' });
+            }
+            this.setFormValid(false, events);
+            // Start filtering afresh when the pose comes back, so it doesn't glide in from the old one
+            this.poseFilter.reset();
+            this.worldFilter.reset();
+            return { landmarks: null, analysis: null, handsCheck: null, events };
+        }
+
+        if (!this.tracking) {
+            this.tracking = true;
+            events.push({ type: 'trackingRestored' });
+        }
+
+        this.configureFilters();
+        const isVisible = (lm, i) => this.isVisible(landmarks[i]);
+        const smoothedLandmarks = this.poseFilter.filterLandmarks(landmarks, timestamp, isVisible);
+        const smoothedWorld = worldLandmarks
+            ? this.worldFilter.filterLandmarks(worldLandmarks, timestamp, isVisible)
+            : null;
+
+        this.updateOrientation(smoothedLandmarks, smoothedWorld, events);
+        const analysis = this.analyze(smoothedLandmarks, smoothedWorld);
+
+        if (this.exercise.type === 'timed') {
+            this.setFormValid(analysis.isValid, events);
+        } else {
+            this.updateState(analysis, events);
+        }
+
+        if (analysis.reason && analysis.reason !== this.lastReason) {
+            events.push({ type: 'formError', reason: analysis.reason });
+        }
+        this.lastReason = analysis.reason;
+
+        return {
+            landmarks: smoothedLandmarks,
+            analysis,
+            handsCheck: this.exercise.handsOnFloor ? this.checkHandsOnFloor(smoothedLandmarks) : null,
+            events
+        };
+    }
+
+    setFormValid(isValid, events) {
+        if (this.exercise.type === 'timed' && isValid !== this.formValid) {
+            events.push({ type: isValid ? 'holdStart' : 'holdStop' });
+        }
+        this.formValid = isValid;
+    }
+
+    isVisible(landmark) {
+        return landmark.visibility > this.visibilityThreshold;
+    }
+
+    deriveCalibration(framesByStep) {
+        // framesByStep: step key -> measure() results of the frames recorded for that step
+        const samples = {};
+        Object.entries(framesByStep).forEach(([key, frames]) => {
+            const average = {};
+            frames.forEach(({ angles, metrics }) => {
+                Object.entries({ ...angles, ...metrics }).forEach(([name, value]) => {
+                    if (typeof value === 'number') {
+                        average[name] = (average[name] || 0) + value / frames.length;
+                    }
+                });
+            });
+            samples[key] = average;
+        });
+
+        // Derived from the defaults, so re-running never builds on an old calibration
+        return this.exercise.calibration.derive(samples, this.exercise.thresholds);
+    }
+
+    configureFilters() {
+        // Read on every frame, so a changed smoothing setting applies at once
+        [this.poseFilter, this.worldFilter].forEach(filter => {
+            filter.minCutoff = this.FILTER_MAX_CUTOFF * (1 - this.smoothingFactor);
+            filter.beta = this.FILTER_BETA;
+            filter.derivativeCutoff = this.FILTER_DERIVATIVE_CUTOFF;
+        });
+    }
+
+    updateOrientation(landmarks, worldLandmarks, events) {
+        const yaw = PoseAnalyzer.estimateYaw(landmarks, worldLandmarks, this.SHOULDER_TORSO_RATIO);
+        if (yaw === null) return;
+        this.yaw = this.yaw === null
+            ? yaw
+            : yaw * (1 - this.smoothingFactor) + this.yaw * this.smoothingFactor;
+
+        // The limits widen around the current view, so it is only left once the yaw is clearly past them
+        const current = this.orientation;
+        const margin = current ? this.ORIENTATION_MARGIN : 0;
+        const frontLimit = this.FRONT_MAX_YAW + (current === 'front' ? margin : -margin);
+        const sideLimit = this.SIDE_MIN_YAW + (current === 'side' ? -margin : margin);
+
+        let orientation = 'diagonal';
+        if (this.yaw < frontLimit) {
+            orientation = 'front';
+        } else if (this.yaw > sideLimit) {
+            orientation = 'side';
+        }
+
+        if (orientation !== this.orientation) {
+            this.orientation = orientation;
+            events.push({ type: 'orientation', orientation });
+        }
+    }
+
+    // Rotation of the body away from the camera in degrees, or null without shoulders and hips
+    static estimateYaw(landmarks, worldLandmarks, shoulderTorsoRatio) {
+        const L = exerciseRegistry.POSE_LANDMARKS;
+        if (worldLandmarks) {
+            // Left-to-right across shoulders and hips: along x facing the camera, along z side-on
+            const dx = (worldLandmarks[L.leftShoulder].x - worldLandmarks[L.rightShoulder].x) +
+                (worldLandmarks[L.leftHip].x - worldLandmarks[L.rightHip].x);
+            const dz = (worldLandmarks[L.leftShoulder].z - worldLandmarks[L.rightShoulder].z) +
+                (worldLandmarks[L.leftHip].z - worldLandmarks[L.rightHip].z);
+            return Math.atan2(Math.abs(dz), Math.abs(dx)) * (180 / Math.PI);
+        }
+
+        // 2D fallback: the shoulders look narrower compared to the torso as the body turns
+        const shoulderWidth = Math.abs(landmarks[L.leftShoulder].x - landmarks[L.rightShoulder].x);
+        const torsoLength = Math.hypot(
+            (landmarks[L.leftShoulder].x + landmarks[L.rightShoulder].x - landmarks[L.leftHip].x - landmarks[L.rightHip].x) / 2,
+            (landmarks[L.leftShoulder].y + landmarks[L.rightShoulder].y - landmarks[L.leftHip].y - landmarks[L.rightHip].y) / 2
+        );
+        if (torsoLength === 0) return null;
+        const ratio = Math.min(1, shoulderWidth / torsoLength / shoulderTorsoRatio);
+        return Math.acos(ratio) * (180 / Math.PI);
+    }
+
+    analyze(landmarks, worldLandmarks = null) {
+        const exercise = this.exercise;
+        const t = this.thresholds;
+        const state = this.state;
+        const orientation = this.orientation;
+        const is3D = Boolean(worldLandmarks);
+
+        // Some exercises can't be judged from every camera angle
+        const unusable = exercise.unusableViews && exercise.unusableViews[orientation];
+        if (unusable && !(unusable.only2D && worldLandmarks)) {
+            return { isValid: false, reason: unusable.reason, tracked: false, orientation, is3D };
+        }
+
+        const measured = this.measure(landmarks, worldLandmarks);
+        if (!measured) {
+            return { isValid: false, reason: exercise.hiddenReason, tracked: false, orientation, is3D };
+        }
+        const { angles, metrics } = measured;
+
+        // Establish baseline on first frame in the start position
+        if (exercise.baseline && state.baseline === null && exercise.baseline.when(metrics, t)) {
+            state.baseline = exercise.baseline.capture(metrics);
+        }
+
+        // Validation checks in priority order, skipping those the camera can't see
+        const failedRule = exercise.rules.find(rule =>
+            (!rule.views || !orientation || rule.views.includes(orientation)) && rule.when(metrics, t, state)
+        );
+        const isValid = !failedRule;
+
+        return {
+            isValid,
+            reason: isValid ? '' : failedRule.reason,
+            tracked: true,
+            orientation,
+            is3D,
+            ...angles,
+            ...metrics
+        };
+    }
+
+    // Joint angles and metrics of one frame without touching the rep state
+    // (also used by calibration); null when required landmarks are hidden
+    measure(landmarks, worldLandmarks = null) {
+        const exercise = this.exercise;
+
+        // Resolve the named landmarks this exercise reads
+        const points = {};
+        exercise.landmarks.forEach(name => {
+            points[name] = landmarks[exerciseRegistry.POSE_LANDMARKS[name]];
+        });
+
+        // Check visibility
+        const allVisible = exercise.visible.every(name => this.isVisible(points[name]));
+        if (!allVisible) {
+            return null;
+        }
+
+        // Calculate joint angles; in 3D they don't depend on the camera angle
+        const angles = {};
+        Object.entries(exercise.angles).forEach(([name, [a, vertex, b]]) => {
+            if (worldLandmarks) {
+                const world = name => worldLandmarks[exerciseRegistry.POSE_LANDMARKS[name]];
+                angles[name] = PoseAnalyzer.calculateAngle3D(world(a), world(vertex), world(b));
+            } else {
+                angles[name] = PoseAnalyzer.calculateAngle(points[a], points[vertex], points[b]);
+            }
+        });
+
+        return { angles, metrics: exercise.measure(points, angles, this.thresholds) };
+    }
+
+    updateState(analysis, events) {
+        const exercise = this.exercise;
+        const phases = exercise.phases;
+        const state = this.state;
+
+        // Don't update state if we don't have valid pose data
+        if (!phases || !analysis.tracked) {
+            return;
+        }
+
+        if (phases.requiresBaseline && state.baseline === null) {
+            return; // Wait for baseline
+        }
+
+        if (exercise.quality) {
+            this.trackRep(analysis, events);
+        }
+
+        if (phases.guard && !phases.guard(analysis, this.thresholds)) {
+            return;
+        }
+
+        const transition = phases.transitions.find(tr =>
+            tr.from === state.phase && tr.when(analysis, this.thresholds, state)
+        );
+        if (!transition) {
+            return;
+        }
+
+        events.push({ type: 'phase', from: state.phase, to: transition.to });
+        state.phase = transition.to;
+
+        if (transition.rebaseline) {
+            state.baseline = exercise.baseline.capture(analysis);
+        }
+
+        if (transition.rep) {
+            this.repCount++;
+            const repEvent = { type: 'rep', count: this.repCount };
+            if (exercise.quality && this.repStats) {
+                repEvent.score = Math.round(exercise.quality.score(this.repStats, this.thresholds));
+                repEvent.quality = this.repStats;
+                repEvent.tempo = this.measureTempo();
+                repEvent.timeUnderTension = PoseAnalyzer.roundSeconds(this.now - this.repStartedAt);
+                repEvent.tempoFeedback = PoseAnalyzer.tempoFeedback(repEvent.tempo, this.targetTempo);
+            }
+            this.repStats = null;
+            this.repArmed = false;
+            events.push(repEvent);
+        }
+    }
+
+    trackRep(analysis, events) {
+        const quality = this.exercise.quality;
+        const t = this.thresholds;
+        const phases = this.exercise.phases;
+
+        if (quality.top(analysis, t)) {
+            // Back at the top without reaching the bottom: the rep was only partial
+            if (this.repStats && this.state.phase === phases.initial) {
+                this.partialCount++;
+                events.push({ type: 'partialRep', count: this.partialCount });
+                this.repStats = null;
+            }
+            this.repArmed = true;
+            this.lastTopAt = this.now;
+            return;
+        }
+
+        if (!this.repStats) {
+            if (!this.repArmed || !quality.started(analysis, t)) return;
+            this.repStats = { minAngle: Infinity, maxDepth: -Infinity, maxAsymmetry: 0, maxTilt: 0 };
+            this.repSamples = [];
+            this.repStartedAt = this.lastTopAt !== null ? this.lastTopAt : this.now;
+        }
+
+        // Worst and deepest values across the whole movement
+        const sample = quality.sample(analysis, t, this.state);
+        this.repStats.minAngle = Math.min(this.repStats.minAngle, sample.angle);
+        this.repStats.maxDepth = Math.max(this.repStats.maxDepth, sample.depth);
+        this.repStats.maxAsymmetry = Math.max(this.repStats.maxAsymmetry, sample.asymmetry);
+        this.repStats.maxTilt = Math.max(this.repStats.maxTilt, sample.tilt);
+        this.repSamples.push({ t: this.now, angle: sample.angle });
+    }
+
+    measureTempo() {
+        // The bottom is every frame within `bottomMargin` degrees of the deepest angle:
+        // lowering ends when it is first reached, the way up starts when it is last left
+        const margin = this.thresholds.bottomMargin;
+        const bottom = this.repSamples.filter(sample => sample.angle <= this.repStats.minAngle + margin);
+        if (bottom.length === 0) {
+            return { eccentric: 0, pause: 0, concentric: 0 };
+        }
+
+        const reachedAt = bottom[0].t;
+        const leftAt = bottom[bottom.length - 1].t;
+        return {
+            eccentric: PoseAnalyzer.roundSeconds(reachedAt - this.repStartedAt),
+            pause: PoseAnalyzer.roundSeconds(leftAt - reachedAt),
+            concentric: PoseAnalyzer.roundSeconds(this.now - leftAt)
+        };
+    }
+
+    static roundSeconds(ms) {
+        return Math.round(ms / 100) / 10;
+    }
+
+    // Tempo notation "eccentric-pause-concentric" in seconds, e.g. "3-1-1"
+    static parseTempo(text) {
+        const match = String(text || '').trim().match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+        if (!match) return null;
+        return { eccentric: Number(match[1]), pause: Number(match[2]), concentric: Number(match[3]) };
+    }
+
+    static tempoFeedback(tempo, target) {
+        if (!target) return '';
+
+        // Only moving too fast is reported; 70% of the target still counts as on tempo
+        if (tempo.eccentric < target.eccentric * 0.7) return 'reason.lowerSlowly';
+        if (tempo.pause < target.pause * 0.7) return 'reason.pauseAtBottom';
+        if (tempo.concentric < target.concentric * 0.7) return 'reason.comeUpSlowly';
+        return '';
+    }
+
+    checkHandsOnFloor(landmarks) {
+        const leftWrist = landmarks[exerciseRegistry.POSE_LANDMARKS.leftWrist];
+        const rightWrist = landmarks[exerciseRegistry.POSE_LANDMARKS.rightWrist];
+        const leftHip = landmarks[exerciseRegistry.POSE_LANDMARKS.leftHip];
+        const rightHip = landmarks[exerciseRegistry.POSE_LANDMARKS.rightHip];
+
+        // Check visibility
+        const wristsVisible = this.isVisible(leftWrist) && this.isVisible(rightWrist);
+
+        if (!wristsVisible) {
+            return { handsOnFloor: false, reason: 'reason.wristsNotVisible' };
+        }
+
+        // Calculate average positions
+        const avgWristY = (leftWrist.y + rightWrist.y) / 2;
+        const avgHipY = (leftHip.y + rightHip.y) / 2;
+
+        // Hands are on floor if wrists are at or below hip level
+        const threshold = avgHipY + 0.15; // Allow some tolerance (15% of frame height)
+        const handsOnFloor = avgWristY >= threshold;
+
+        return {
+            handsOnFloor,
+            reason: handsOnFloor ? 'reason.handsOnFloor' : 'reason.raiseHands'
+        };
+    }
+
+    static calculateAngle(point1, point2, point3) {
+        // Calculate angle at point2 (the middle point)
+        const vector1 = {
+            x: point1.x - point2.x,
+            y: point1.y - point2.y
+        };
+        const vector2 = {
+            x: point3.x - point2.x,
+            y: point3.y - point2.y
+        };
+
+        const dotProduct = vector1.x * vector2.x + vector1.y * vector2.y;
+        const magnitude1 = Math.sqrt(vector1.x * vector1.x + vector1.y * vector1.y);
+        const magnitude2 = Math.sqrt(vector2.x * vector2.x + vector2.y * vector2.y);
+
+        const cosAngle = dotProduct / (magnitude1 * magnitude2);
+        return Math.acos(Math.max(-1, Math.min(1, cosAngle))) * (180 / Math.PI);
+    }
+
+    static calculateAngle3D(point1, point2, point3) {
+        // Same as calculateAngle, including depth
+        const vector1 = {
+            x: point1.x - point2.x,
+            y: point1.y - point2.y,
+            z: point1.z - point2.z
+        };
+        const vector2 = {
+            x: point3.x - point2.x,
+            y: point3.y - point2.y,
+            z: point3.z - point2.z
+        };
+
+        const dotProduct = vector1.x * vector2.x + vector1.y * vector2.y + vector1.z * vector2.z;
+        const magnitude1 = Math.sqrt(vector1.x * vector1.x + vector1.y * vector1.y + vector1.z * vector1.z);
+        const magnitude2 = Math.sqrt(vector2.x * vector2.x + vector2.y * vector2.y + vector2.z * vector2.z);
+
+        const cosAngle = dotProduct / (magnitude1 * magnitude2);
+        return Math.acos(Math.max(-1, Math.min(1, cosAngle))) * (180 / Math.PI);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PoseAnalyzer, OneEuroFilter };
+}
@@ -3,11 +3,68 @@
 // Real-time pose detection with MediaPipe Pose
 // ============================================
 
+function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+// Compare byte arrays without returning early, so timing does not reveal how much matched
+function constantTimeEqual(a, b) {
+    let diff = a.length ^ b.length;
+    const length = Math.max(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        diff |= (a[i] || 0) ^ (b[i] || 0);
+    }
+    return diff === 0;
+}
+
+function indexById(records) {
+    const index = {};
+    records.forEach(record => {
+        index[record.id] = record;
+    });
+    return index;
+}
+
 // Authentication System
 class AuthSystem {
-    constructor() {
+    constructor(sync = null) {
         this.currentUser = null;
         this.users = JSON.parse(localStorage.getItem('fitness_users') || '[]');
+        
+        // Optional server sync (see sync.js); every local write is reported to it
+        this.sync = sync;
+        this.applyingRemote = false; // Set while pulled records are written
+        if (this.sync) {
+            this.sync.store = this;
+        }
+        
+        // Password derivation (PBKDF2-SHA-256)
+        this.PASSWORD_ITERATIONS = 310000;
+        this.SALT_BYTES = 16;
+        this.MIN_PASSWORD_LENGTH = 8;
+        
+        // Daily goal used for automatic check-ins: reps, or seconds for timed exercises
+        this.DEFAULT_DAILY_GOAL = { pushups: 30, planks: 60 };
+        
+        // Pose model and detection settings; sensitivity maps exercise ids to a preset
+        this.DEFAULT_DETECTION_SETTINGS = {
+            modelComplexity: 1,
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5,
+            smoothingFactor: 0.7,
+            visibilityThreshold: 0.5,
+            debugOverlay: false, // Draw raw detections and traces next to the filtered skeleton
+            sensitivity: {}
+        };
+        
         this.loadCurrentUser();
     }
 
@@ -17,40 +74,239 @@ class AuthSystem {
         if (userId) {
             this.currentUser = this.users.find(u => u.id === userId) || null;
         }
+        if (this.sync) {
+            this.sync.setUser(this.currentUser ? this.currentUser.id : null);
+        }
+    }
+
+    setCurrentUser(user) {
+        this.currentUser = user;
+        localStorage.setItem('current_user_id', user.id);
+        if (this.sync) {
+            this.sync.setUser(user.id);
+        }
+    }
+
+    saveUsers() {
+        localStorage.setItem('fitness_users', JSON.stringify(this.users));
+    }
+
+    // Emails are kept trimmed and lowercase, as the sync server keeps them;
+    // accounts saved before are compared in the same form.
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    findUserByEmail(email) {
+        return this.users.find(u => this.normalizeEmail(u.email) === email) || null;
+    }
+
+    checkPasswordStrength(password, email) {
+        if (password.length < this.MIN_PASSWORD_LENGTH) {
+            return i18n.t('auth.passwordTooShort', { count: this.MIN_PASSWORD_LENGTH });
+        }
+        if (!/[a-zA-Zа-яА-ЯёЁ]/.test(password) || !/\d/.test(password)) {
+            return i18n.t('auth.passwordLettersNumbers');
+        }
+        if (password.toLowerCase() === email.toLowerCase() || password.toLowerCase() === email.split('@')[0].toLowerCase()) {
+            return i18n.t('auth.passwordMatchesEmail');
+        }
+        return null;
+    }
+
+    async derivePasswordHash(password, salt, iterations) {
+        const key = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            key,
+            256
+        );
+        return new Uint8Array(bits);
+    }
+
+    async setPassword(user, password) {
+        const salt = crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+        const hash = await this.derivePasswordHash(password, salt, this.PASSWORD_ITERATIONS);
+        user.salt = bytesToHex(salt);
+        user.passwordHash = bytesToHex(hash);
+        user.iterations = this.PASSWORD_ITERATIONS;
+        delete user.password;
+    }
+
+    async verifyPassword(user, password) {
+        if (!user.passwordHash) {
+            // Account created before hashing: plaintext comparison, upgraded after a successful login
+            const encoder = new TextEncoder();
+            return constantTimeEqual(encoder.encode(password), encoder.encode(user.password || ''));
+        }
+        const hash = await this.derivePasswordHash(password, hexToBytes(user.salt), user.iterations);
+        return constantTimeEqual(hash, hexToBytes(user.passwordHash));
     }
 
-    register(name, email, password) {
-        if (this.users.find(u => u.email === email)) {
-            return { success: false, message: 'Email already registered' };
+    async register(name, email, password) {
+        if (!window.crypto || !crypto.subtle) {
+            return { success: false, message: i18n.t('auth.httpsRegister') };
+        }
+        email = this.normalizeEmail(email);
+        if (this.findUserByEmail(email)) {
+            return { success: false, message: i18n.t('auth.emailTaken') };
+        }
+
+        const weakness = this.checkPasswordStrength(password, email);
+        if (weakness) {
+            return { success: false, message: weakness };
         }
 
         const user = {
             id: Date.now().toString(),
             name,
             email,
-            password, // In production, hash this
             registeredAt: new Date().toISOString()
         };
 
+        // Create the server account first so an email taken on another device is caught;
+        // when offline the account is linked on a later login instead
+        let token = null;
+        if (this.sync && this.sync.isEnabled()) {
+            try {
+                token = (await this.sync.remoteRegister(user, password)).token;
+            } catch (error) {
+                if (error.status === 409) {
+                    return { success: false, message: i18n.t('auth.emailTaken') };
+                }
+            }
+        }
+
+        await this.setPassword(user, password);
+
         this.users.push(user);
-        localStorage.setItem('fitness_users', JSON.stringify(this.users));
-        this.login(email, password);
+        this.saveUsers();
+        if (token) {
+            this.sync.saveAccount(user.id, { token });
+        }
+        this.setCurrentUser(user);
+        return { success: true, user };
+    }
+
+    async loginRemote(email, password) {
+        // Account created on another device: fetch it from the sync server
+        let result;
+        try {
+            result = await this.sync.remoteLogin(email, password);
+        } catch (error) {
+            return {
+                success: false,
+                message: error.status === 401 ? i18n.t('auth.invalidCredentials') : i18n.t('auth.syncUnreachable')
+            };
+        }
+
+        const user = { ...result.user };
+        await this.setPassword(user, password);
+        this.users.push(user);
+        this.saveUsers();
+        this.sync.saveAccount(user.id, { token: result.token });
+        this.setCurrentUser(user);
         return { success: true, user };
     }
 
-    login(email, password) {
-        const user = this.users.find(u => u.email === email && u.password === password);
-        if (user) {
-            this.currentUser = user;
-            localStorage.setItem('current_user_id', user.id);
-            return { success: true, user };
+    async login(email, password) {
+        if (!window.crypto || !crypto.subtle) {
+            return { success: false, message: i18n.t('auth.httpsLogin') };
         }
-        return { success: false, message: 'Invalid email or password' };
+
+        email = this.normalizeEmail(email);
+        const user = this.findUserByEmail(email);
+        if (!user && this.sync && this.sync.isEnabled()) {
+            return this.loginRemote(email, password);
+        }
+        if (!user) {
+            // Spend the same time as a real check so unknown emails are not revealed
+            await this.derivePasswordHash(password, new Uint8Array(this.SALT_BYTES), this.PASSWORD_ITERATIONS);
+            return { success: false, message: i18n.t('auth.invalidCredentials') };
+        }
+
+        if (!(await this.verifyPassword(user, password))) {
+            return { success: false, message: i18n.t('auth.invalidCredentials') };
+        }
+
+        // One-time migration of plaintext accounts and of hashes made with fewer iterations
+        if (!user.passwordHash || user.iterations < this.PASSWORD_ITERATIONS) {
+            await this.setPassword(user, password);
+            this.saveUsers();
+        }
+
+        this.setCurrentUser(user);
+        if (this.sync) {
+            // The password is only available now, so this is when the server account gets linked
+            this.sync.connect(user, password);
+        }
+        return { success: true, user };
     }
 
     logout() {
         this.currentUser = null;
         localStorage.removeItem('current_user_id');
+        if (this.sync) {
+            this.sync.setUser(null);
+        }
+    }
+
+    trackChanges(collection, before, after) {
+        if (this.sync && this.currentUser && !this.applyingRemote) {
+            this.sync.trackChanges(this.currentUser.id, collection, before, after);
+        }
+    }
+
+    getSyncRecords() {
+        // Every record sync.js keeps in step with the server, keyed as trackChanges() reports them
+        if (!this.currentUser) return {};
+        const id = this.currentUser.id;
+        return {
+            calendar: this.getUserCalendar(),
+            sessions: indexById(JSON.parse(localStorage.getItem(`sessions_${id}`) || '[]')),
+            stats: { totals: JSON.parse(localStorage.getItem(`stats_${id}`) || '{}') }
+        };
+    }
+
+    applyRemoteRecord(collection, key, value) {
+        // Records pulled from the sync server are written without being queued again
+        if (!this.currentUser) return;
+        const id = this.currentUser.id;
+
+        // Writes made as a consequence (recomputed stats) came from the server too
+        this.applyingRemote = true;
+        try {
+            this.writeRemoteRecord(id, collection, key, value);
+        } finally {
+            this.applyingRemote = false;
+        }
+    }
+
+    writeRemoteRecord(id, collection, key, value) {
+        if (collection === 'calendar') {
+            const calendar = this.getUserCalendar();
+            if (value === undefined) {
+                delete calendar[key];
+            } else {
+                calendar[key] = value;
+            }
+            localStorage.setItem(`calendar_${id}`, JSON.stringify(calendar));
+        } else if (collection === 'sessions') {
+            const sessions = JSON.parse(localStorage.getItem(`sessions_${id}`) || '[]')
+                .filter(session => session.id !== key);
+            if (value !== undefined) {
+                sessions.push(value);
+            }
+            localStorage.setItem(`sessions_${id}`, JSON.stringify(sessions));
+            this.recomputeStats(sessions);
+        }
+        // Stats are always recomputed from sessions, the server copy is informational
     }
 
     isAuthenticated() {
@@ -66,61 +322,636 @@ class AuthSystem {
     saveCalendar(calendarData) {
         if (!this.currentUser) return;
         const key = `calendar_${this.currentUser.id}`;
+        const previous = this.getUserCalendar();
         localStorage.setItem(key, JSON.stringify(calendarData));
+        this.trackChanges('calendar', previous, calendarData);
     }
 
-    checkIn(day) {
-        if (!this.currentUser) return false;
+    checkIn(dateKey = toDateKey(new Date())) {
+        if (!this.currentUser) {
+            return { success: false, message: i18n.t('checkIn.loginRequired') };
+        }
+
+        // Only today can be checked in: no back-filling missed days, no future days
+        const today = toDateKey(new Date());
+        if (dateKey < today) {
+            return { success: false, message: i18n.t('checkIn.past') };
+        }
+        if (dateKey > today) {
+            return { success: false, message: i18n.t('checkIn.future') };
+        }
+
         const calendar = this.getUserCalendar();
-        calendar[day] = true;
+        if (calendar[dateKey]) {
+            return { success: false, message: i18n.t('checkIn.already') };
+        }
+        calendar[dateKey] = { checkedInAt: new Date().toISOString(), source: 'manual' };
         this.saveCalendar(calendar);
+        return { success: true };
+    }
+
+    getCheckIn(dateKey) {
+        const calendar = this.getUserCalendar();
+        return isDateKey(dateKey) && calendar[dateKey] ? calendar[dateKey] : null;
+    }
+
+    getVoiceSettings() {
+        if (!this.currentUser) return VoiceCoach.defaultSettings();
+        const stored = JSON.parse(localStorage.getItem(`voice_${this.currentUser.id}`) || '{}');
+        return { ...VoiceCoach.defaultSettings(), ...stored };
+    }
+
+    saveVoiceSettings(settings) {
+        if (!this.currentUser) return;
+        localStorage.setItem(`voice_${this.currentUser.id}`, JSON.stringify(settings));
+    }
+
+    getLanguage() {
+        // The user's choice, else the last one made on this device, else the browser's language
+        const device = localStorage.getItem('language') ||
+            I18n.detectLanguage(navigator.languages || [navigator.language]);
+        if (!this.currentUser) return device;
+        return localStorage.getItem(`language_${this.currentUser.id}`) || device;
+    }
+
+    saveLanguage(language) {
+        if (!LANGUAGES[language]) return { success: false, message: i18n.t('language.unknown') };
+
+        // Also kept for the device, so the login screen stays in that language
+        localStorage.setItem('language', language);
+        if (this.currentUser) {
+            localStorage.setItem(`language_${this.currentUser.id}`, language);
+        }
+        return { success: true };
+    }
+
+    getDetectionSettings() {
+        const defaults = this.DEFAULT_DETECTION_SETTINGS;
+        if (!this.currentUser) return { ...defaults, sensitivity: {} };
+        const stored = JSON.parse(localStorage.getItem(`settings_${this.currentUser.id}`) || '{}');
+        return { ...defaults, ...stored, sensitivity: { ...(stored.sensitivity || {}) } };
+    }
+
+    // Checks shared by the settings form and the backup import; `settings` is what gets stored
+    checkDetectionSettings(settings) {
+        if (![0, 1, 2].includes(settings.modelComplexity)) {
+            return { success: false, message: i18n.t('settings.unknownModel') };
+        }
+        const fractions = ['minDetectionConfidence', 'minTrackingConfidence', 'smoothingFactor', 'visibilityThreshold'];
+        if (fractions.some(key => !(typeof settings[key] === 'number' && settings[key] >= 0 && settings[key] < 1))) {
+            return { success: false, message: i18n.t('settings.outOfRange') };
+        }
+
+        // 'standard' is the default, so only other presets are stored
+        const sensitivity = {};
+        Object.entries(settings.sensitivity || {}).forEach(([exercise, preset]) => {
+            if (EXERCISES[exercise] && SENSITIVITY_PRESETS[preset] && preset !== 'standard') {
+                sensitivity[exercise] = preset;
+            }
+        });
+
+        return {
+            success: true,
+            settings: { ...settings, debugOverlay: Boolean(settings.debugOverlay), sensitivity }
+        };
+    }
+
+    saveDetectionSettings(settings) {
+        if (!this.currentUser) return { success: false, message: i18n.t('settings.loginRequired') };
+
+        const result = this.checkDetectionSettings(settings);
+        if (!result.success) return result;
+        localStorage.setItem(`settings_${this.currentUser.id}`, JSON.stringify(result.settings));
+        return { success: true };
+    }
+
+    getReminderSettings() {
+        if (!this.currentUser) return ReminderScheduler.defaultSettings();
+        const stored = JSON.parse(localStorage.getItem(`reminders_${this.currentUser.id}`) || '{}');
+        return { ...ReminderScheduler.defaultSettings(), ...stored };
+    }
+
+    // Checks shared by the reminder form and the backup import; `settings` is what gets stored
+    checkReminderSettings(settings) {
+        if (!Array.isArray(settings.times) || settings.times.some(time => !ReminderScheduler.isTime(time))) {
+            return { success: false, message: i18n.t('reminder.invalidTime') };
+        }
+        const times = [...new Set(settings.times)].sort();
+        const days = Array.isArray(settings.days)
+            ? [...new Set(settings.days)].filter(day => Number.isInteger(day) && REMINDER_DAYS[day]).sort()
+            : [];
+        if (settings.enabled && (times.length === 0 || days.length === 0)) {
+            return { success: false, message: i18n.t('reminder.chooseTimeAndDay') };
+        }
+
+        return { success: true, settings: { enabled: Boolean(settings.enabled), times, days } };
+    }
+
+    saveReminderSettings(settings) {
+        if (!this.currentUser) return { success: false, message: i18n.t('reminder.loginRequired') };
+
+        const result = this.checkReminderSettings(settings);
+        if (!result.success) return result;
+        localStorage.setItem(`reminders_${this.currentUser.id}`, JSON.stringify(result.settings));
+        return { success: true };
+    }
+
+    // 'YYYY-MM-DD HH:MM' of the last reminder shown, so a reload doesn't repeat it
+    getLastReminder() {
+        if (!this.currentUser) return '';
+        return localStorage.getItem(`reminder_last_${this.currentUser.id}`) || '';
+    }
+
+    saveLastReminder(key) {
+        if (!this.currentUser) return;
+        localStorage.setItem(`reminder_last_${this.currentUser.id}`, key);
+    }
+
+    getCalibration() {
+        if (!this.currentUser) return {};
+        return JSON.parse(localStorage.getItem(`calibration_${this.currentUser.id}`) || '{}');
+    }
+
+    getCalibrationThresholds() {
+        // exercise id -> personal thresholds, as expected by PoseAnalyzer
+        const thresholds = {};
+        Object.entries(this.getCalibration()).forEach(([exercise, entry]) => {
+            thresholds[exercise] = entry.thresholds;
+        });
+        return thresholds;
+    }
+
+    saveCalibration(exercise, thresholds) {
+        if (!this.currentUser) return;
+        const calibration = this.getCalibration();
+        calibration[exercise] = { thresholds, calibratedAt: new Date().toISOString() };
+        localStorage.setItem(`calibration_${this.currentUser.id}`, JSON.stringify(calibration));
+    }
+
+    resetCalibration(exercise) {
+        if (!this.currentUser) return;
+        const calibration = this.getCalibration();
+        delete calibration[exercise];
+        localStorage.setItem(`calibration_${this.currentUser.id}`, JSON.stringify(calibration));
+    }
+
+    getTempoTarget() {
+        if (!this.currentUser) return '';
+        return localStorage.getItem(`tempo_${this.currentUser.id}`) || '';
+    }
+
+    saveTempoTarget(tempo) {
+        if (!this.currentUser) return;
+        localStorage.setItem(`tempo_${this.currentUser.id}`, tempo);
+    }
+
+    getDailyGoal() {
+        if (!this.currentUser) return {};
+        const stored = localStorage.getItem(`goal_${this.currentUser.id}`);
+        return stored ? JSON.parse(stored) : { ...this.DEFAULT_DAILY_GOAL };
+    }
+
+    // Checks shared by the goal form and the backup import; `goal` is what gets stored
+    checkDailyGoal(goal) {
+        // Only exercises with a positive target are part of the goal
+        const cleaned = {};
+        Object.entries(goal).forEach(([exercise, target]) => {
+            if (EXERCISES[exercise] && typeof target === 'number' && target > 0) {
+                cleaned[exercise] = target;
+            }
+        });
+        if (Object.keys(cleaned).length === 0) {
+            return { success: false, message: i18n.t('goal.empty') };
+        }
+        return { success: true, goal: cleaned };
+    }
+
+    saveDailyGoal(goal) {
+        if (!this.currentUser) return { success: false, message: i18n.t('goal.loginRequired') };
+
+        const result = this.checkDailyGoal(goal);
+        if (!result.success) return result;
+        localStorage.setItem(`goal_${this.currentUser.id}`, JSON.stringify(result.goal));
+        this.updateAutoCheckIn();
+        return { success: true };
+    }
+
+    getDayProgress(dateKey = toDateKey(new Date())) {
+        // Reps (or seconds held) per exercise from the sessions started on that day
+        const totals = {};
+        const sessions = this.getUserSessions().filter(session =>
+            !session.legacy && EXERCISES[session.exercise] && toDateKey(new Date(session.startedAt)) === dateKey
+        );
+        sessions.forEach(session => {
+            const amount = EXERCISES[session.exercise].type === 'timed' ? session.holdSeconds : session.reps;
+            totals[session.exercise] = (totals[session.exercise] || 0) + amount;
+        });
+        return { totals, sessions };
+    }
+
+    getActiveProgram() {
+        if (!this.currentUser) return null;
+        return JSON.parse(localStorage.getItem(`program_${this.currentUser.id}`) || 'null');
+    }
+
+    startProgram(programId) {
+        if (!this.currentUser) return { success: false, message: i18n.t('program.loginRequired') };
+        if (!PROGRAMS[programId]) return { success: false, message: i18n.t('program.unknown') };
+
+        // Day 1 is always today
+        const program = { programId, startDate: toDateKey(new Date()) };
+        localStorage.setItem(`program_${this.currentUser.id}`, JSON.stringify(program));
+        this.updateAutoCheckIn();
+        return { success: true };
+    }
+
+    stopProgram() {
+        if (!this.currentUser) return false;
+        localStorage.removeItem(`program_${this.currentUser.id}`);
+        this.updateAutoCheckIn();
         return true;
     }
 
-    getCheckedInDays() {
+    getProgramDayFor(dateKey) {
+        const program = this.getActiveProgram();
+        if (!program) return null;
+        const day = daysBetween(fromDateKey(program.startDate), fromDateKey(dateKey)) + 1;
+        return getProgramDay(program.programId, day);
+    }
+
+    getGoalFor(dateKey = toDateKey(new Date())) {
+        // Days of the active program have their own target; other days use the daily goal
+        const programDay = this.getProgramDayFor(dateKey);
+        if (!programDay) return this.getDailyGoal();
+
+        const goal = {};
+        programDay.targets.forEach(target => {
+            goal[target.exercise] = target.sets * target.amount;
+        });
+        return goal;
+    }
+
+    isGoalMet(progress, goal = this.getGoalFor()) {
+        const targets = Object.entries(goal);
+        return targets.length > 0 &&
+            targets.every(([exercise, target]) => (progress.totals[exercise] || 0) >= target);
+    }
+
+    updateAutoCheckIn(sessionsRemoved = false) {
+        // Checks today in once the tracked workouts meet the daily goal.
+        // Returns true when this call created the check-in.
+        if (!this.currentUser) return false;
+        const today = toDateKey(new Date());
+        const calendar = this.getUserCalendar();
+        const existing = calendar[today];
+        if (existing && existing.source !== 'auto') return false;
+
+        const progress = this.getDayProgress(today);
+        const goal = this.getGoalFor(today);
+        // Link the sessions that count towards the goal
+        const sessionIds = progress.sessions.filter(session => goal[session.exercise]).map(session => session.id);
+
+        if (!this.isGoalMet(progress, goal)) {
+            // Deleted sessions no longer earn today's check-in; a changed goal keeps it
+            if (existing && sessionsRemoved) {
+                delete calendar[today];
+                this.saveCalendar(calendar);
+            }
+            return false;
+        }
+
+        if (existing && JSON.stringify(existing.sessions) === JSON.stringify(sessionIds)) {
+            return false;
+        }
+        calendar[today] = {
+            checkedInAt: existing ? existing.checkedInAt : new Date().toISOString(),
+            source: 'auto',
+            sessions: sessionIds
+        };
+        this.saveCalendar(calendar);
+        return !existing;
+    }
+
+    getAchievements() {
+        // achievement id -> ISO time it was unlocked
+        if (!this.currentUser) return {};
+        return JSON.parse(localStorage.getItem(`achievements_${this.currentUser.id}`) || '{}');
+    }
+
+    updateAchievements() {
+        // Unlocks every achievement the current history earns; returns the newly unlocked ids
+        if (!this.currentUser) return [];
+        const unlocked = this.getAchievements();
+        const progress = summarizeProgress(this.getUserSessions(), this.getUserStats(), this.getStreaks().longest);
+        const earned = findNewAchievements(unlocked, progress);
+        if (earned.length === 0) return [];
+
+        const unlockedAt = new Date().toISOString();
+        earned.forEach(id => {
+            unlocked[id] = unlockedAt;
+        });
+        localStorage.setItem(`achievements_${this.currentUser.id}`, JSON.stringify(unlocked));
+        return earned;
+    }
+
+    getCheckIns() {
+        // Sorted date keys; numbered days from the old 30-day calendar have no date and are skipped
+        const calendar = this.getUserCalendar();
+        return Object.keys(calendar).filter(key => isDateKey(key) && calendar[key]).sort();
+    }
+
+    getUndatedCheckIns() {
         const calendar = this.getUserCalendar();
-        return Object.keys(calendar).filter(day => calendar[day]).length;
+        return Object.keys(calendar).filter(key => !isDateKey(key) && calendar[key]).length;
+    }
+
+    getCheckedInDays() {
+        return this.getCheckIns().length;
+    }
+
+    isRestDay(dateKey) {
+        const programDay = this.getProgramDayFor(dateKey);
+        return Boolean(programDay && programDay.rest);
+    }
+
+    getStreaks(now = new Date()) {
+        // Rest days of the active program neither count nor break a streak (see calendar.js)
+        return calculateStreaks(this.getCheckIns(), now, dateKey => this.isRestDay(dateKey));
+    }
+
+    isMissedDay(dateKey, now = new Date()) {
+        return isMissedDate(dateKey, this.getCheckIns(), now, day => this.isRestDay(day));
     }
 
     getUserStats() {
         if (!this.currentUser) return null;
         const key = `stats_${this.currentUser.id}`;
-        return JSON.parse(localStorage.getItem(key) || '{"pushups": 0, "squats": 0, "planks": 0}');
+        const stats = JSON.parse(localStorage.getItem(key) || '{}');
+        // Every registered exercise starts at zero (reps or seconds held)
+        Object.keys(EXERCISES).forEach(exercise => {
+            stats[exercise] = stats[exercise] || 0;
+        });
+        return stats;
     }
 
     saveUserStats(stats) {
         if (!this.currentUser) return;
         const key = `stats_${this.currentUser.id}`;
+        const previous = JSON.parse(localStorage.getItem(key) || '{}');
         localStorage.setItem(key, JSON.stringify(stats));
+        this.trackChanges('stats', { totals: previous }, { totals: stats });
+    }
+
+    getUserSessions() {
+        if (!this.currentUser) return [];
+        const key = `sessions_${this.currentUser.id}`;
+        const stored = localStorage.getItem(key);
+        if (stored === null) {
+            // First use of history: keep earlier lifetime totals as imported records
+            const sessions = this.createLegacySessions();
+            this.saveUserSessions(sessions);
+            return sessions;
+        }
+        return JSON.parse(stored);
     }
 
-    addExerciseCount(exercise, count) {
+    saveUserSessions(sessions) {
         if (!this.currentUser) return;
+        const key = `sessions_${this.currentUser.id}`;
+        const previous = JSON.parse(localStorage.getItem(key) || '[]');
+        localStorage.setItem(key, JSON.stringify(sessions));
+        this.trackChanges('sessions', indexById(previous), indexById(sessions));
+        this.recomputeStats(sessions);
+    }
+
+    createLegacySessions() {
         const stats = this.getUserStats();
-        if (exercise === 'pushups') {
-            stats.pushups += count;
-        } else if (exercise === 'squats') {
-            stats.squats += count;
-        } else if (exercise === 'planks') {
-            // For planks, store in seconds
-            stats.planks += count;
+        const at = this.currentUser.registeredAt;
+        return Object.keys(EXERCISES)
+            .filter(exercise => stats[exercise] > 0)
+            .map(exercise => {
+                const timed = EXERCISES[exercise].type === 'timed';
+                return {
+                    id: `legacy-${exercise}`,
+                    exercise,
+                    startedAt: at,
+                    endedAt: at,
+                    reps: timed ? 0 : stats[exercise],
+                    holdSeconds: timed ? stats[exercise] : 0,
+                    pauses: 0,
+                    formErrors: {},
+                    legacy: true
+                };
+            });
+    }
+
+    saveSession(session) {
+        if (!this.currentUser) return;
+        const sessions = this.getUserSessions();
+        const index = sessions.findIndex(s => s.id === session.id);
+        if (index === -1) {
+            sessions.push(session);
+        } else {
+            sessions[index] = session;
+        }
+        this.saveUserSessions(sessions);
+        return this.updateAutoCheckIn();
+    }
+
+    // Workouts done while nobody is logged in are kept on this device
+    // until they are merged into the account that logs in next, or discarded
+    getGuestSessions() {
+        return JSON.parse(localStorage.getItem('guest_sessions') || '[]');
+    }
+
+    saveGuestSession(session) {
+        const sessions = this.getGuestSessions();
+        const index = sessions.findIndex(s => s.id === session.id);
+        if (index === -1) {
+            sessions.push({ ...session });
+        } else {
+            sessions[index] = { ...session };
         }
+        localStorage.setItem('guest_sessions', JSON.stringify(sessions));
+    }
+
+    discardGuestSessions() {
+        localStorage.removeItem('guest_sessions');
+    }
+
+    mergeGuestSessions() {
+        // Returns the number of sessions added to the current user's history
+        if (!this.currentUser) return 0;
+        const sessions = this.getUserSessions();
+        const known = new Set(sessions.map(session => session.id));
+        const added = this.getGuestSessions().filter(session => !known.has(session.id));
+
+        if (added.length > 0) {
+            this.saveUserSessions([...sessions, ...added]);
+            this.updateAutoCheckIn();
+        }
+        this.discardGuestSessions();
+        return added.length;
+    }
+
+    deleteSession(sessionId) {
+        if (!this.currentUser) return false;
+        const sessions = this.getUserSessions().filter(s => s.id !== sessionId);
+        this.saveUserSessions(sessions);
+        this.updateAutoCheckIn(true);
+        return true;
+    }
+
+    recomputeStats(sessions) {
+        // Totals are always derived from history: reps for rep-based exercises, seconds for timed ones
+        const stats = {};
+        Object.keys(EXERCISES).forEach(exercise => {
+            stats[exercise] = 0;
+        });
+        sessions.forEach(session => {
+            const exercise = EXERCISES[session.exercise];
+            if (!exercise) return;
+            stats[session.exercise] += exercise.type === 'timed' ? session.holdSeconds : session.reps;
+        });
         this.saveUserStats(stats);
     }
 
     resetCalendar() {
         if (!this.currentUser) return false;
-        const key = `calendar_${this.currentUser.id}`;
-        localStorage.setItem(key, JSON.stringify({}));
+        this.saveCalendar({});
         return true;
     }
-}
+
+    getBackupState() {
+        // Calendar, sessions and preferences of the current user, as used by backup.js
+        const id = this.currentUser.id;
+        const preferences = {};
+        BACKUP_PREFERENCES.forEach(name => {
+            const stored = localStorage.getItem(`${name}_${id}`);
+            if (stored !== null) {
+                preferences[name] = name === 'tempo' ? stored : JSON.parse(stored);
+            }
+        });
+        return { calendar: this.getUserCalendar(), sessions: this.getUserSessions(), preferences };
+    }
+
+    exportData() {
+        if (!this.currentUser) return null;
+        const { calendar, sessions, preferences } = this.getBackupState();
+        return createBackup(this.currentUser, { calendar, sessions, stats: this.getUserStats(), preferences });
+    }
+
+    // Value of an imported preference as its setter would store it, checked with the same rules
+    checkBackupPreference(name, value) {
+        const invalid = {
+            success: false,
+            message: i18n.t('backup.error.invalidPreference', { name: i18n.t(`backup.preference.${name}`) })
+        };
+        const isDate = text => typeof text === 'string' && !Number.isNaN(Date.parse(text));
+        const withReason = result => ({ success: false, message: `${invalid.message} (${result.message})` });
+
+        if (name === 'settings') {
+            const result = this.checkDetectionSettings({ ...this.DEFAULT_DETECTION_SETTINGS, ...value });
+            return result.success ? { success: true, value: result.settings } : withReason(result);
+        }
+        if (name === 'reminders') {
+            const result = this.checkReminderSettings({ ...ReminderScheduler.defaultSettings(), ...value });
+            return result.success ? { success: true, value: result.settings } : withReason(result);
+        }
+        if (name === 'goal') {
+            const result = this.checkDailyGoal(value);
+            return result.success ? { success: true, value: result.goal } : withReason(result);
+        }
+        if (name === 'tempo') {
+            return value === '' || PoseAnalyzer.parseTempo(value) ? { success: true, value } : invalid;
+        }
+        if (name === 'program') {
+            const valid = value === null || (PROGRAMS[value.programId] && isDateKey(value.startDate) && isDate(value.startDate));
+            return valid ? { success: true, value } : invalid;
+        }
+        if (name === 'calibration') {
+            const valid = Object.entries(value).every(([exercise, entry]) =>
+                EXERCISES[exercise] && isDate(entry && entry.calibratedAt) &&
+                isPlainObject(entry.thresholds) && Object.values(entry.thresholds).every(Number.isFinite)
+            );
+            return valid ? { success: true, value } : invalid;
+        }
+        if (name === 'voice') {
+            const valid = (value.verbosity === undefined || ['off', 'counts', 'full'].includes(value.verbosity)) &&
+                ['lang', 'voiceURI'].every(key => value[key] === undefined || typeof value[key] === 'string') &&
+                (value.rate === undefined || (Number.isFinite(value.rate) && value.rate > 0));
+            return valid ? { success: true, value } : invalid;
+        }
+        if (name === 'achievements') {
+            const valid = Object.entries(value).every(([achievement, unlockedAt]) =>
+                ACHIEVEMENTS[achievement] && isDate(unlockedAt)
+            );
+            return valid ? { success: true, value } : invalid;
+        }
+        return invalid;
+    }
+
+    // Preferences of a backup as they would be stored, or the first problem found
+    checkBackupPreferences(preferences) {
+        const checked = {};
+        for (const name of BACKUP_PREFERENCES) {
+            if (preferences[name] === undefined) continue;
+            const result = this.checkBackupPreference(name, preferences[name]);
+            if (!result.success) return result;
+            checked[name] = result.value;
+        }
+        return { success: true, preferences: checked };
+    }
+
+    importData(bundle, mode) {
+        if (!this.currentUser) return { success: false, message: i18n.t('backup.loginRequired') };
+        if (!['merge', 'replace'].includes(mode)) return { success: false, message: i18n.t('backup.unknownMode') };
+
+        const id = this.currentUser.id;
+        const { calendar, sessions, preferences: imported } = applyBackup(this.getBackupState(), bundle, mode);
+        // Nothing is written unless every preference passes the setters' checks
+        const checked = this.checkBackupPreferences(imported);
+        if (!checked.success) return checked;
+        const { preferences } = checked;
+
+        // Written through the usual setters, so totals are recomputed and sync picks the changes up
+        this.saveUserSessions(sessions);
+        this.saveCalendar(calendar);
+        BACKUP_PREFERENCES.forEach(name => {
+            if (preferences[name] === undefined) {
+                localStorage.removeItem(`${name}_${id}`);
+            } else {
+                localStorage.setItem(`${name}_${id}`, name === 'tempo' ? preferences[name] : JSON.stringify(preferences[name]));
+            }
+        });
+        this.updateAutoCheckIn(true);
+        return { success: true };
+    }
+}
 
 // Main Application
 class FitnessTrainer {
     constructor() {
         // Authentication
-        this.auth = new AuthSystem();
+        this.auth = new AuthSystem(new SyncClient());
+        
+        // Every text is built in the user's language (see i18n.js), starting with the static page
+        i18n.setLanguage(this.auth.getLanguage());
+        i18n.apply(document);
+        
+        // Spoken counts and form tips (see coach.js)
+        this.coach = new VoiceCoach();
+        
+        // Workout reminders (see reminders.js); no reminder once the day is checked in or a rest day
+        this.reminders = new ReminderScheduler();
+        this.reminders.isSuppressed = dateKey => Boolean(this.auth.getCheckIn(dateKey)) || this.auth.isRestDay(dateKey);
+        this.reminders.onRemind = (time, key) => {
+            this.auth.saveLastReminder(key);
+            this.showReminder();
+            this.saveReminderState();
+        };
+        this.REMINDER_STATE_DAYS = 30; // Days ahead whose check-ins and rest days the service worker knows
+        this.backgroundReminders = false; // Whether the service worker can remind while the app is closed
         
         // MediaPipe Pose instance
         this.pose = null;
@@ -136,6 +967,7 @@ class FitnessTrainer {
         this.statusEl = document.getElementById('status');
         this.feedbackEl = document.getElementById('feedback');
         this.handsStatusEl = document.getElementById('hands-status');
+        this.viewStatusEl = document.getElementById('view-status');
         this.exerciseLabelEl = document.getElementById('exercise-label');
         this.errorMessage = document.getElementById('camera-error');
         
@@ -143,76 +975,145 @@ class FitnessTrainer {
         this.startBtn = document.getElementById('start-btn');
         this.pauseBtn = document.getElementById('pause-btn');
         this.resetBtn = document.getElementById('reset-btn');
+        this.recordBtn = document.getElementById('record-btn');
+        this.videoRecordBtn = document.getElementById('video-record-btn');
+        this.replayBtn = document.getElementById('replay-btn');
+        this.replayFileInput = document.getElementById('replay-file');
+        
+        // Sets mode elements
+        this.setsCountInput = document.getElementById('sets-count');
+        this.setsTargetInput = document.getElementById('sets-target');
+        this.setsRestInput = document.getElementById('sets-rest');
+        this.setStatusEl = document.getElementById('set-status');
+        this.repScoreEl = document.getElementById('rep-score');
+        this.repTempoEl = document.getElementById('rep-tempo');
+        this.tempoInput = document.getElementById('tempo-target');
+        this.restOverlay = document.getElementById('rest-overlay');
+        this.restCountdownEl = document.getElementById('rest-countdown');
+        this.restNextEl = document.getElementById('rest-next');
+        this.skipRestBtn = document.getElementById('skip-rest-btn');
+        
+        // Calibration elements
+        this.calibrateBtn = document.getElementById('calibrate-btn');
+        this.calibrationOverlay = document.getElementById('calibration-overlay');
+        
+        // Video file analysis elements
+        this.videoBtn = document.getElementById('video-btn');
+        this.videoFileInput = document.getElementById('video-file');
+        this.analysisVideo = document.getElementById('analysis-video');
+        this.analysisCanvas = document.getElementById('analysis-canvas');
+        this.analysisCtx = this.analysisCanvas.getContext('2d');
         
         // Navigation elements
         this.loginBtn = document.getElementById('login-btn');
+        this.languageSelect = document.getElementById('language-select');
         this.menuBtn = document.getElementById('menu-btn');
         this.sideMenu = document.getElementById('side-menu');
         this.menuCalendar = document.getElementById('menu-calendar');
         this.menuExercises = document.getElementById('menu-exercises');
         this.menuAccount = document.getElementById('menu-account');
+        this.menuSettings = document.getElementById('menu-settings');
         this.loginModal = document.getElementById('login-modal');
         this.closeLoginModal = document.getElementById('close-login-modal');
         this.submitLogin = document.getElementById('submit-login');
         this.submitRegister = document.getElementById('submit-register');
+        this.loginError = document.getElementById('login-error');
+        this.registerError = document.getElementById('register-error');
         this.switchToRegister = document.getElementById('switch-to-register');
         this.switchToLogin = document.getElementById('switch-to-login');
         this.loginForm = document.getElementById('login-form');
         this.registerForm = document.getElementById('register-form');
         this.accessLoginBtn = document.getElementById('access-login-btn');
+        this.guestMergeEl = document.getElementById('guest-merge');
+        this.guestMergeInput = document.getElementById('guest-merge-input');
+        this.guestBanner = document.getElementById('guest-banner');
+        this.reminderBanner = document.getElementById('reminder-banner');
+        this.achievementToast = document.getElementById('achievement-toast');
+        this.toastQueue = []; // Achievement ids waiting to be shown
+        this.toastTimer = null;
         
         // Views
         this.exerciseView = document.getElementById('exercise-view');
         this.calendarView = document.getElementById('calendar-view');
         this.exerciseSelectionView = document.getElementById('exercise-selection-view');
         this.accountView = document.getElementById('account-view');
+        this.settingsView = document.getElementById('settings-view');
+        this.videoView = document.getElementById('video-view');
         this.accessDeniedView = document.getElementById('access-denied');
         
         // State
         this.isRunning = false;
         this.isPaused = false;
-        this.pushUpCount = 0;
-        this.pushUpState = 'UP'; // 'UP' or 'DOWN'
         this.currentExercise = 'pushups';
         
-        // Plank timer state
-        this.plankStartTime = null;
-        this.plankElapsedTime = 0;
-        this.plankPauseTime = 0; // Total paused time
-        this.plankLastPauseStart = null;
-        this.plankTimerInterval = null;
-        this.plankFormValid = false; // Track if plank form is currently valid
-        this.plankTimeSaved = false; // Track if current session time has been saved
-        
-        // Squat state
-        this.squatCount = 0;
-        this.squatState = 'UP'; // 'UP' or 'DOWN'
-        this.baselineHipYSquat = null;
-        
-        // Pose tracking data (smoothed)
-        this.previousPoseData = null;
-        this.smoothingFactor = 0.7;
-        
-        // State tracking for push-up detection
-        this.baselineShoulderY = null;
-        this.baselineHipY = null;
-        
-        // Push-up detection thresholds
-        this.ELBOW_ANGLE_THRESHOLD = 120; // degrees (lower = more bent, 90 = fully bent)
-        this.SHOULDER_MOVEMENT_THRESHOLD = 0.03; // normalized (3% of frame height)
-        this.SYMMETRY_THRESHOLD = 15; // degrees difference between arms
-        this.MIN_SHOULDER_DROP = 0.02; // Minimum downward movement (2% of frame)
-        
-        // Squat detection thresholds
-        this.SQUAT_KNEE_ANGLE_THRESHOLD = 120; // degrees (lower = more bent)
-        this.SQUAT_HIP_DROP_THRESHOLD = 0.15; // 15% of frame height
-        
-        // Exercise configurations
-        this.exercises = {
-            pushups: { name: 'Push-ups', label: 'Push-ups' },
-            squats: { name: 'Squats', label: 'Squats' },
-            planks: { name: 'Planks', label: 'Planks' }
-        };
+        // Exercise configurations (see exercises.js)
+        this.exercises = EXERCISES;
+        
+        // Detection logic for the current exercise (see analysis.js)
+        this.analyzer = new PoseAnalyzer(this.currentExercise);
+        this.repCount = 0;
+        
+        // Hold timer state (timed exercises)
+        this.holdStartTime = null;
+        this.holdElapsedTime = 0;
+        this.holdPauseTime = 0; // Total paused time
+        this.holdLastPauseStart = null;
+        this.holdTimerInterval = null;
+        this.holdFormValid = false; // Track if hold form is currently valid
+        
+        // Sets mode: { sets, target, rest } read on start, null counts without a limit
+        this.setPlan = null;
+        this.currentSet = 1;
+        this.setStartReps = 0; // repCount when the current set began
+        this.setStartHold = 0; // holdElapsedTime (ms) when the current set began
+        this.setTimeUnderTension = 0; // Seconds of the reps in the current set
+        this.setRepScores = []; // Quality of the reps in the current set
+        this.TOAST_DURATION = 4000; // ms an achievement toast stays on screen
+        this.isResting = false;
+        this.restRemaining = 0; // ms
+        this.restInterval = null;
+        
+        // Calibration wizard: { exercise, stepIndex, stage, stageEndsAt, frames, samples }
+        this.calibrationRun = null;
+        this.calibrationInterval = null;
+        this.CALIBRATION_COUNTDOWN = 5000; // ms to get into position
+        this.CALIBRATION_CAPTURE = 3000; // ms of frames averaged per step
+        
+        // Workout session being recorded into history
+        this.session = null;
+        
+        // Program target chosen from the calendar ({ exercise, sets, amount, day })
+        this.workoutTarget = null;
+        
+        // Month shown in the calendar view
+        const now = new Date();
+        this.calendarMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+        
+        // Filter debug overlay: { raw, filtered } y of one landmark over the last frames
+        this.debugOverlay = false;
+        this.filterTrace = [];
+        this.DEBUG_TRACE_LENGTH = 90;
+        
+        // Analysis of an uploaded video file (see video.js); pose results of its frames
+        // are handed to videoFrameResolve instead of the live trainer
+        this.videoAnalysis = null;
+        this.videoReport = null; // { report, session } once the analysis finished
+        this.videoFrameResolve = null;
+        
+        // Landmark recording and camera-free replay (see recorder.js)
+        this.recorder = new PoseRecorder();
+        this.replayer = null;
+        this.isReplaying = false;
+        
+        // Annotated camera video with rep markers (see recorder.js)
+        this.videoRecorder = new WorkoutVideoRecorder(this.video, this.canvas);
+        this.videoRecorder.getHud = () => ({
+            title: this.exerciseLabelEl.textContent,
+            counter: this.counterEl.textContent,
+            lines: [this.setStatusEl, this.feedbackEl, this.repScoreEl]
+                .map(el => el.textContent.trim())
+                .filter(Boolean)
+        });
         
         // Bind methods
         this.init();
@@ -220,11 +1121,26 @@ class FitnessTrainer {
     
     async init() {
         // Set up authentication UI
+        this.setupLanguage();
         this.setupAuth();
         
         // Set up navigation
         this.setupNavigation();
         
+        // Build exercise selection grid and stats cards from the registry
+        this.renderExerciseGrid();
+        this.renderStatsGrid();
+        this.setupHistoryFilters();
+        this.setupDailyGoal();
+        this.setupPrograms();
+        this.setupVoice();
+        this.setupReminders();
+        this.setupSettings();
+        this.setupBackup();
+        
+        // Set up server sync status and controls
+        this.setupSync();
+        
         // Set up exercise selection
         this.setupExerciseSelection();
         
@@ -232,17 +1148,46 @@ class FitnessTrainer {
         this.startBtn.addEventListener('click', () => this.start());
         this.pauseBtn.addEventListener('click', () => this.pause());
         this.resetBtn.addEventListener('click', () => this.reset());
+        this.recordBtn.addEventListener('click', () => this.toggleRecording());
+        if (WorkoutVideoRecorder.isSupported()) {
+            this.videoRecordBtn.addEventListener('click', () => this.toggleVideoRecording());
+        } else {
+            this.videoRecordBtn.classList.add('hidden');
+        }
+        this.replayBtn.addEventListener('click', () => this.replayFileInput.click());
+        this.replayFileInput.addEventListener('change', () => this.loadReplayFile());
+        this.videoBtn.addEventListener('click', () => this.videoFileInput.click());
+        this.videoFileInput.addEventListener('change', () => this.loadVideoFile());
+        document.getElementById('video-close-btn').addEventListener('click', () => {
+            this.closeVideoAnalysis();
+            this.showExerciseView();
+        });
+        document.getElementById('video-save-btn').addEventListener('click', () => this.saveVideoReport());
+        
+        // Annotated playback follows the video, also while scrubbing
+        this.analysisVideo.addEventListener('seeked', () => this.drawVideoFrame());
+        this.analysisVideo.addEventListener('play', () => {
+            const draw = () => {
+                this.drawVideoFrame();
+                if (!this.analysisVideo.paused && !this.analysisVideo.ended) {
+                    requestAnimationFrame(draw);
+                }
+            };
+            draw();
+        });
+        this.skipRestBtn.addEventListener('click', () => this.endRest());
+        this.tempoInput.addEventListener('change', () => this.setTempoTarget(this.tempoInput.value));
+        this.calibrateBtn.addEventListener('click', () => this.startCalibration());
+        document.getElementById('calibration-cancel-btn').addEventListener('click', () => this.stopCalibration());
+        
+        // Keep hold time of an unfinished session when the page is closed
+        window.addEventListener('pagehide', () => this.saveSession());
         
         // Initialize exercise label
-        this.exerciseLabelEl.textContent = this.exercises[this.currentExercise].label;
+        this.exerciseLabelEl.textContent = i18n.t(this.exercises[this.currentExercise].label);
         
         // Set initial counter section style
-        const counterSection = document.querySelector('.counter-section');
-        if (this.currentExercise === 'planks') {
-            counterSection.classList.add('plank-mode');
-        } else {
-            counterSection.classList.remove('plank-mode');
-        }
+        this.updateCounterMode();
         
         // Check if user is logged in
         if (this.auth.isAuthenticated()) {
@@ -255,29 +1200,80 @@ class FitnessTrainer {
         await this.setupCamera();
         
         // Initialize MediaPipe Pose after camera is ready
+        const assetPath = await this.loadPoseLibrary();
+        if (!assetPath) {
+            this.poseLoadError = i18n.t('app.poseLoadFailed');
+            alert(this.poseLoadError);
+            return;
+        }
         this.pose = new Pose({
             locateFile: (file) => {
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`;
+                return `${assetPath}${file}`;
             }
         });
         
-        this.pose.setOptions({
-            modelComplexity: 1,
-            smoothLandmarks: true,
-            enableSegmentation: false,
-            smoothSegmentation: false,
-            minDetectionConfidence: 0.5,
-            minTrackingConfidence: 0.5
-        });
+        this.pose.setOptions(this.getPoseOptions(this.auth.getDetectionSettings()));
         
         // Set up pose detection callback
         this.pose.onResults(this.onPoseResults.bind(this));
     }
 
+    loadPoseLibrary() {
+        // Resolves with the folder pose.js was loaded from, which also holds the model and
+        // wasm files, or null. The local copy comes first so the app works offline.
+        const paths = [MEDIAPIPE_CONFIG.localPath, MEDIAPIPE_CONFIG.cdnPath].filter(Boolean);
+        const tryPath = index => {
+            if (index >= paths.length) return Promise.resolve(null);
+            return new Promise(resolve => {
+                const script = document.createElement('script');
+                script.src = `${paths[index]}pose.js`;
+                script.crossOrigin = 'anonymous'; // Lets the service worker cache the CDN copy
+                script.onload = () => resolve(paths[index]);
+                script.onerror = () => {
+                    script.remove();
+                    resolve(tryPath(index + 1));
+                };
+                document.head.appendChild(script);
+            });
+        };
+        return tryPath(0);
+    }
+
+    setupLanguage() {
+        Object.entries(LANGUAGES).forEach(([language, name]) => {
+            const option = document.createElement('option');
+            option.value = language;
+            option.textContent = name;
+            this.languageSelect.appendChild(option);
+        });
+        this.languageSelect.value = i18n.language;
+        this.languageSelect.addEventListener('change', () => this.changeLanguage(this.languageSelect.value));
+    }
+
+    changeLanguage(language) {
+        // Text is built in one language, so the app restarts to switch; the workout is saved on the way
+        if (this.isRunning && !confirm(i18n.t('language.reloadConfirm'))) {
+            this.languageSelect.value = i18n.language;
+            return;
+        }
+        const result = this.auth.saveLanguage(language);
+        if (!result.success) {
+            alert(result.message);
+            return;
+        }
+        location.reload();
+    }
+
     setupAuth() {
         this.loginBtn.addEventListener('click', () => this.openLoginModal());
         this.closeLoginModal.addEventListener('click', () => this.closeLoginModalFunc());
         this.accessLoginBtn.addEventListener('click', () => this.openLoginModal());
+        document.getElementById('guest-login-btn').addEventListener('click', () => this.openLoginModal());
+        document.getElementById('guest-discard-btn').addEventListener('click', () => {
+            if (!confirm(i18n.t('guest.discardConfirm'))) return;
+            this.auth.discardGuestSessions();
+            this.renderGuestBanner();
+        });
         
         // Close modal when clicking outside
         this.loginModal.addEventListener('click', (e) => {
@@ -289,36 +1285,26 @@ class FitnessTrainer {
         this.submitLogin.addEventListener('click', () => {
             const email = document.getElementById('login-email').value;
             const password = document.getElementById('login-password').value;
-            const result = this.auth.login(email, password);
-            if (result.success) {
-                this.closeLoginModalFunc();
-                this.updateUI();
-            } else {
-                alert(result.message);
-            }
+            this.submitAuthForm(this.submitLogin, this.loginError, () => this.auth.login(email, password));
         });
         
         this.submitRegister.addEventListener('click', () => {
             const name = document.getElementById('register-name').value;
             const email = document.getElementById('register-email').value;
             const password = document.getElementById('register-password').value;
-            const result = this.auth.register(name, email, password);
-            if (result.success) {
-                this.closeLoginModalFunc();
-                this.updateUI();
-            } else {
-                alert(result.message);
-            }
+            this.submitAuthForm(this.submitRegister, this.registerError, () => this.auth.register(name, email, password));
         });
         
         this.switchToRegister.addEventListener('click', (e) => {
             e.preventDefault();
+            this.loginError.classList.add('hidden');
             this.loginForm.classList.add('hidden');
             this.registerForm.classList.remove('hidden');
         });
         
         this.switchToLogin.addEventListener('click', (e) => {
             e.preventDefault();
+            this.registerError.classList.add('hidden');
             this.registerForm.classList.add('hidden');
             this.loginForm.classList.remove('hidden');
         });
@@ -328,17 +1314,33 @@ class FitnessTrainer {
     }
 
     updateUI() {
+        // The user who just logged in, or the guest after a logout, may use another language
+        if (this.auth.getLanguage() !== i18n.language) {
+            location.reload();
+            return;
+        }
+        
         if (this.auth.isAuthenticated()) {
-            this.loginBtn.textContent = `Logout (${this.auth.currentUser.name})`;
+            this.loginBtn.textContent = i18n.t('auth.logout', { name: this.auth.currentUser.name });
             this.loginBtn.onclick = () => {
                 this.auth.logout();
                 this.updateUI();
                 this.showExerciseView();
             };
         } else {
-            this.loginBtn.textContent = 'Login / Register';
+            this.loginBtn.textContent = i18n.t('auth.loginRegister');
             this.loginBtn.onclick = () => this.openLoginModal();
         }
+        this.coach.setSettings(this.auth.getVoiceSettings());
+        this.tempoInput.value = this.auth.getTempoTarget();
+        this.analyzer.targetTempo = PoseAnalyzer.parseTempo(this.tempoInput.value);
+        this.analyzer.setCalibration(this.auth.getCalibrationThresholds());
+        this.applyDetectionSettings();
+        this.renderGoalProgress();
+        this.renderGuestBanner();
+        this.startReminders();
+        // Merged guest workouts and imported data can earn achievements
+        this.checkAchievements();
     }
 
     openLoginModal() {
@@ -348,8 +1350,58 @@ class FitnessTrainer {
         document.getElementById('register-name').value = '';
         document.getElementById('register-email').value = '';
         document.getElementById('register-password').value = '';
+        this.authSyncUrlInput.value = this.auth.sync.serverUrl;
         this.loginForm.classList.remove('hidden');
         this.registerForm.classList.add('hidden');
+        this.loginError.classList.add('hidden');
+        this.registerError.classList.add('hidden');
+        
+        const guestCount = this.auth.getGuestSessions().length;
+        this.guestMergeEl.classList.toggle('hidden', guestCount === 0);
+        this.guestMergeInput.checked = true;
+        document.getElementById('guest-merge-text').textContent = i18n.t('guest.mergeOption', { count: guestCount });
+    }
+
+    // Runs login or registration from the modal and shows a failure in the form
+    async submitAuthForm(button, errorEl, action) {
+        this.auth.sync.setServerUrl(this.authSyncUrlInput.value);
+        errorEl.classList.add('hidden');
+        // Password derivation is deliberately slow
+        button.disabled = true;
+        let result;
+        try {
+            result = await action();
+        } catch (error) {
+            console.error('Authentication failed:', error);
+            result = { success: false, message: i18n.t('auth.failed') };
+        } finally {
+            button.disabled = false;
+        }
+
+        if (result.success) {
+            this.closeLoginModalFunc();
+            this.claimGuestSessions();
+            this.updateUI();
+        } else {
+            errorEl.textContent = result.message;
+            errorEl.classList.remove('hidden');
+        }
+    }
+
+    claimGuestSessions() {
+        // Unticking the option in the login dialog discards the guest workouts
+        if (this.auth.getGuestSessions().length === 0) return;
+        if (this.guestMergeInput.checked) {
+            this.auth.mergeGuestSessions();
+        } else {
+            this.auth.discardGuestSessions();
+        }
+    }
+
+    renderGuestBanner() {
+        const count = this.auth.isAuthenticated() ? 0 : this.auth.getGuestSessions().length;
+        this.guestBanner.classList.toggle('hidden', count === 0);
+        document.getElementById('guest-banner-text').textContent = i18n.t('guest.banner', { count });
     }
 
     closeLoginModalFunc() {
@@ -376,96 +1428,1167 @@ class FitnessTrainer {
             this.sideMenu.classList.add('hidden');
         });
 
+        this.menuSettings.addEventListener('click', () => {
+            this.showSettings();
+            this.sideMenu.classList.add('hidden');
+        });
+
+        document.getElementById('calendar-prev').addEventListener('click', () => this.changeCalendarMonth(-1));
+        document.getElementById('calendar-next').addEventListener('click', () => this.changeCalendarMonth(1));
+
         // Close menu when clicking overlay
         document.querySelector('.menu-overlay').addEventListener('click', () => {
             this.sideMenu.classList.add('hidden');
         });
     }
-
-    setupExerciseSelection() {
-        const exerciseCards = document.querySelectorAll('.exercise-card');
-        exerciseCards.forEach(card => {
-            card.addEventListener('click', () => {
-                const exercise = card.dataset.exercise;
-                this.currentExercise = exercise;
-                this.exerciseLabelEl.textContent = this.exercises[exercise].label;
-                this.reset();
-                this.showExerciseView();
-                
-                // Stop plank timer if switching exercises
-                if (exercise !== 'planks') {
-                    this.stopPlankTimer();
-                }
-                
-                // Update counter section style for planks
-                const counterSection = document.querySelector('.counter-section');
-                if (exercise === 'planks') {
-                    counterSection.classList.add('plank-mode');
-                } else {
-                    counterSection.classList.remove('plank-mode');
-                }
-            });
+
+    renderExerciseGrid() {
+        const exerciseGrid = document.getElementById('exercise-grid');
+        exerciseGrid.innerHTML = '';
+        
+        Object.entries(this.exercises).forEach(([id, exercise]) => {
+            const card = document.createElement('div');
+            card.className = 'exercise-card';
+            card.dataset.exercise = id;
+            
+            const title = document.createElement('h3');
+            title.textContent = i18n.t(exercise.label);
+            const description = document.createElement('p');
+            description.textContent = i18n.t(exercise.description);
+            
+            card.appendChild(title);
+            card.appendChild(description);
+            exerciseGrid.appendChild(card);
+        });
+    }
+
+    renderStatsGrid() {
+        const statsGrid = document.getElementById('stats-grid');
+        statsGrid.innerHTML = '';
+        
+        Object.entries(this.exercises).forEach(([id, exercise]) => {
+            const card = document.createElement('div');
+            card.className = 'stat-card';
+            if (exercise.type === 'timed') {
+                card.classList.add('timed-stat');
+            }
+            
+            const label = document.createElement('div');
+            label.className = 'stat-label';
+            label.textContent = exercise.type === 'timed'
+                ? i18n.t('account.totalTime', { exercise: i18n.t(exercise.label) })
+                : i18n.t(exercise.label);
+            const value = document.createElement('div');
+            value.className = 'stat-value';
+            value.id = `stat-${id}`;
+            
+            card.appendChild(label);
+            card.appendChild(value);
+            statsGrid.appendChild(card);
+        });
+    }
+
+    setupExerciseSelection() {
+        const exerciseCards = document.querySelectorAll('.exercise-card');
+        exerciseCards.forEach(card => {
+            card.addEventListener('click', () => {
+                this.selectExercise(card.dataset.exercise);
+                this.showExerciseView();
+            });
+        });
+    }
+
+    selectExercise(exercise, target = null) {
+        if (this.isReplaying) {
+            this.stop();
+        }
+        
+        // Save the hold time of the exercise we are leaving
+        this.reset();
+        this.stopHoldTimer();
+        
+        this.currentExercise = exercise;
+        this.analyzer.setExercise(exercise);
+        this.exerciseLabelEl.textContent = i18n.t(this.exercises[exercise].label);
+        this.reset();
+        this.updateCounterMode();
+        
+        this.workoutTarget = target;
+        if (target) {
+            // Program targets are done as sets
+            this.setsCountInput.value = target.sets;
+            this.setsTargetInput.value = target.amount;
+        }
+        this.renderGoalProgress();
+    }
+
+    isTimedExercise() {
+        return this.exercises[this.currentExercise].type === 'timed';
+    }
+
+    updateCounterMode() {
+        // Stopwatch style counter for timed exercises
+        const counterSection = document.querySelector('.counter-section');
+        const targetLabel = document.getElementById('sets-target-label');
+        if (this.isTimedExercise()) {
+            counterSection.classList.add('timed-mode');
+            targetLabel.textContent = i18n.t('sets.secondsPerSet');
+        } else {
+            counterSection.classList.remove('timed-mode');
+            targetLabel.textContent = i18n.t('sets.repsPerSet');
+        }
+    }
+
+    setupSync() {
+        const sync = this.auth.sync;
+        this.authSyncUrlInput = document.getElementById('auth-sync-url');
+        this.syncUrlInput = document.getElementById('sync-server-url');
+        this.syncStatusEl = document.getElementById('sync-status');
+        
+        sync.onStatusChange = status => {
+            this.syncStatusEl.textContent = status;
+        };
+        // Data pulled from another device: redraw whatever is on screen
+        sync.onRemoteChange = () => {
+            if (!this.accountView.classList.contains('hidden')) {
+                this.renderAccount();
+            }
+            if (!this.calendarView.classList.contains('hidden')) {
+                this.renderCalendar();
+            }
+        };
+        
+        document.getElementById('sync-save-btn').addEventListener('click', () => {
+            sync.setServerUrl(this.syncUrlInput.value);
+            sync.syncNow();
+        });
+        document.getElementById('sync-now-btn').addEventListener('click', () => sync.syncNow());
+    }
+
+    setupBackup() {
+        // Backup bundle waiting for the user to confirm the import (see backup.js)
+        this.pendingImport = null;
+        this.importFileInput = document.getElementById('import-file');
+        this.importPreviewEl = document.getElementById('import-preview');
+        this.importModeSelect = document.getElementById('import-mode');
+        
+        document.getElementById('export-json-btn').addEventListener('click', () => this.exportJson());
+        document.getElementById('export-csv-btn').addEventListener('click', () => this.exportCsv());
+        document.getElementById('import-btn').addEventListener('click', () => this.importFileInput.click());
+        this.importFileInput.addEventListener('change', () => this.loadImportFile());
+        this.importModeSelect.addEventListener('change', () => this.renderImportPreview());
+        document.getElementById('import-confirm-btn').addEventListener('click', () => this.confirmImport());
+        document.getElementById('import-cancel-btn').addEventListener('click', () => this.closeImportPreview());
+    }
+
+    exportJson() {
+        const bundle = this.auth.exportData();
+        if (!bundle) return;
+        this.downloadBlob(
+            new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }),
+            `fitness-backup-${toDateKey(new Date())}.json`
+        );
+    }
+
+    exportCsv() {
+        const bundle = this.auth.exportData();
+        if (!bundle) return;
+        const tables = backupToCsv(bundle, this.exercises, key => i18n.t(key));
+        const date = toDateKey(new Date());
+        // Byte order mark, so spreadsheet apps read the file as UTF-8
+        this.downloadBlob(new Blob(['\ufeff', tables.sessions], { type: 'text/csv' }), `fitness-sessions-${date}.csv`);
+        this.downloadBlob(new Blob(['\ufeff', tables.checkIns], { type: 'text/csv' }), `fitness-checkins-${date}.csv`);
+        this.downloadBlob(new Blob(['\ufeff', tables.totals], { type: 'text/csv' }), `fitness-totals-${date}.csv`);
+    }
+
+    async loadImportFile() {
+        const file = this.importFileInput.files[0];
+        // Allow picking the same file again
+        this.importFileInput.value = '';
+        if (!file) return;
+        
+        let bundle;
+        try {
+            bundle = parseBackup(await file.text());
+        } catch (error) {
+            alert(i18n.t(error.message));
+            return;
+        }
+        // Rejected before the preview rather than when importing
+        const checked = this.auth.checkBackupPreferences(bundle.data.preferences || {});
+        if (!checked.success) {
+            alert(checked.message);
+            return;
+        }
+        this.pendingImport = bundle;
+        
+        this.importModeSelect.value = 'merge';
+        this.importPreviewEl.classList.remove('hidden');
+        this.renderImportPreview();
+    }
+
+    renderImportPreview() {
+        if (!this.pendingImport) return;
+        const bundle = this.pendingImport;
+        const mode = this.importModeSelect.value;
+        const { sessions, checkIns, preferences } = previewBackup(this.auth.getBackupState(), bundle, mode);
+        
+        const user = bundle.user || {};
+        const exportedAt = new Date(bundle.exportedAt);
+        let source = i18n.t('backup.source', { name: user.name || i18n.t('backup.unknownUser') });
+        if (user.email) source += ` (${user.email})`;
+        if (!Number.isNaN(exportedAt.getTime())) {
+            source += i18n.t('backup.exportedAt', { date: i18n.formatDateTime(exportedAt) });
+        }
+        if (user.email && this.auth.normalizeEmail(user.email) !== this.auth.normalizeEmail(this.auth.currentUser.email)) {
+            source += i18n.t('backup.otherAccount');
+        }
+        document.getElementById('import-source').textContent = source;
+        
+        const removed = count => (count > 0 ? i18n.t('backup.removed', { count }) : '');
+        const changes = [
+            i18n.t('backup.sessionChanges', sessions) + removed(sessions.removed),
+            i18n.t('backup.checkInChanges', checkIns) + removed(checkIns.removed),
+            preferences.length > 0
+                ? i18n.t('backup.settingsChanged', {
+                    names: preferences.map(name => i18n.t(`backup.preference.${name}`)).join(', ')
+                })
+                : i18n.t('backup.settingsUnchanged')
+        ];
+        const list = document.getElementById('import-changes');
+        list.innerHTML = '';
+        changes.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+    }
+
+    confirmImport() {
+        if (!this.pendingImport) return;
+        const mode = this.importModeSelect.value;
+        if (mode === 'replace' && !confirm(i18n.t('backup.replaceConfirm'))) {
+            return;
+        }
+        
+        const result = this.auth.importData(this.pendingImport, mode);
+        if (!result.success) {
+            alert(result.message);
+            return;
+        }
+        
+        this.closeImportPreview();
+        // Goal, calibration, voice and detection settings may have changed
+        this.updateUI();
+        this.renderAccount();
+        alert(i18n.t('backup.imported'));
+    }
+
+    closeImportPreview() {
+        this.pendingImport = null;
+        this.importPreviewEl.classList.add('hidden');
+    }
+
+    showExerciseView() {
+        this.hideAllViews();
+        this.exerciseView.classList.remove('hidden');
+    }
+
+    showCalendar() {
+        if (!this.auth.isAuthenticated()) {
+            this.showAccessDenied();
+            return;
+        }
+
+        this.hideAllViews();
+        this.calendarView.classList.remove('hidden');
+        this.renderCalendar();
+    }
+
+    showExerciseSelection() {
+        if (!this.auth.isAuthenticated()) {
+            this.showAccessDenied();
+            return;
+        }
+
+        this.hideAllViews();
+        this.exerciseSelectionView.classList.remove('hidden');
+    }
+
+    showAccount() {
+        if (!this.auth.isAuthenticated()) {
+            this.showAccessDenied();
+            return;
+        }
+
+        this.hideAllViews();
+        this.accountView.classList.remove('hidden');
+        this.closeImportPreview();
+        this.renderAccount();
+    }
+
+    showSettings() {
+        if (!this.auth.isAuthenticated()) {
+            this.showAccessDenied();
+            return;
+        }
+
+        this.hideAllViews();
+        this.settingsView.classList.remove('hidden');
+        this.renderSettings();
+    }
+
+    renderAccount() {
+        if (!this.auth.currentUser) return;
+
+        document.getElementById('account-name').textContent = this.auth.currentUser.name;
+        document.getElementById('account-email').textContent = this.auth.currentUser.email;
+
+        const stats = this.auth.getUserStats();
+        Object.entries(this.exercises).forEach(([id, exercise]) => {
+            const valueEl = document.getElementById(`stat-${id}`);
+            valueEl.textContent = exercise.type === 'timed'
+                ? this.formatTotalTime(stats[id])
+                : stats[id];
+        });
+        
+        this.renderHistory();
+        
+        const goal = this.auth.getDailyGoal();
+        Object.keys(this.exercises).forEach(id => {
+            document.getElementById(`goal-${id}`).value = goal[id] || '';
+        });
+        
+        const voice = this.auth.getVoiceSettings();
+        this.voiceVerbosityEl.value = voice.verbosity;
+        this.renderVoiceOptions(voice);
+        
+        this.renderCalibrationList();
+        this.renderAchievements();
+        this.renderReminderSettings();
+        
+        this.syncUrlInput.value = this.auth.sync.serverUrl;
+        this.syncStatusEl.textContent = this.auth.sync.getStatus();
+    }
+
+    renderAchievements() {
+        const grid = document.getElementById('achievement-grid');
+        const unlocked = this.auth.getAchievements();
+        grid.innerHTML = '';
+        
+        Object.entries(ACHIEVEMENTS).forEach(([id, achievement]) => {
+            const badge = document.createElement('div');
+            badge.className = unlocked[id] ? 'achievement-badge unlocked' : 'achievement-badge';
+            
+            const icon = document.createElement('div');
+            icon.className = 'achievement-icon';
+            icon.textContent = achievement.icon;
+            
+            const label = document.createElement('div');
+            label.className = 'achievement-label';
+            label.textContent = i18n.t(achievement.label);
+            
+            const description = document.createElement('div');
+            description.className = 'achievement-description';
+            description.textContent = i18n.t(achievement.description, achievement.params);
+            
+            const date = document.createElement('div');
+            date.className = 'achievement-date';
+            date.textContent = unlocked[id]
+                ? i18n.t('achievement.unlockedOn', { date: i18n.formatDate(new Date(unlocked[id])) })
+                : i18n.t('achievement.locked');
+            
+            badge.append(icon, label, description, date);
+            grid.appendChild(badge);
+        });
+    }
+
+    checkAchievements() {
+        const earned = this.auth.updateAchievements();
+        if (earned.length === 0) return;
+        
+        this.toastQueue.push(...earned);
+        if (!this.toastTimer) {
+            this.showNextToast();
+        }
+        if (!this.accountView.classList.contains('hidden')) {
+            this.renderAchievements();
+        }
+    }
+
+    showNextToast() {
+        const id = this.toastQueue.shift();
+        if (!id) {
+            this.toastTimer = null;
+            this.achievementToast.classList.add('hidden');
+            return;
+        }
+        
+        const achievement = ACHIEVEMENTS[id];
+        document.getElementById('achievement-toast-icon').textContent = achievement.icon;
+        document.getElementById('achievement-toast-label').textContent = i18n.t(achievement.label);
+        this.achievementToast.classList.remove('hidden');
+        this.toastTimer = setTimeout(() => this.showNextToast(), this.TOAST_DURATION);
+    }
+
+    setupDailyGoal() {
+        const goalGrid = document.getElementById('goal-grid');
+        goalGrid.innerHTML = '';
+        
+        Object.entries(this.exercises).forEach(([id, exercise]) => {
+            const label = document.createElement('label');
+            label.className = 'goal-field';
+            label.textContent = i18n.t(exercise.type === 'timed' ? 'goal.fieldSeconds' : 'goal.fieldReps', {
+                exercise: i18n.t(exercise.label)
+            });
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.id = `goal-${id}`;
+            input.placeholder = '0';
+            
+            label.appendChild(input);
+            goalGrid.appendChild(label);
+        });
+        
+        document.getElementById('goal-save-btn').addEventListener('click', () => {
+            const goal = {};
+            Object.keys(this.exercises).forEach(id => {
+                goal[id] = Number(document.getElementById(`goal-${id}`).value) || 0;
+            });
+            
+            const result = this.auth.saveDailyGoal(goal);
+            if (!result.success) {
+                alert(result.message);
+                return;
+            }
+            this.renderGoalProgress();
+            alert(i18n.t('goal.saved'));
+        });
+    }
+
+    renderCalibrationList() {
+        const list = document.getElementById('calibration-list');
+        const calibration = this.auth.getCalibration();
+        list.innerHTML = '';
+        
+        Object.entries(this.exercises).filter(([, exercise]) => exercise.calibration).forEach(([id, exercise]) => {
+            const row = document.createElement('div');
+            row.className = 'calibration-row';
+            
+            const label = document.createElement('div');
+            label.className = 'calibration-label';
+            const name = i18n.t(exercise.label);
+            label.textContent = calibration[id]
+                ? i18n.t('calibration.calibratedOn', { exercise: name, date: i18n.formatDate(new Date(calibration[id].calibratedAt)) })
+                : i18n.t('calibration.default', { exercise: name });
+            row.appendChild(label);
+            
+            const calibrateBtn = document.createElement('button');
+            calibrateBtn.className = 'btn btn-secondary';
+            calibrateBtn.textContent = i18n.t(calibration[id] ? 'calibration.rerun' : 'controls.calibrate');
+            calibrateBtn.addEventListener('click', () => {
+                this.selectExercise(id);
+                this.showExerciseView();
+                this.startCalibration();
+            });
+            row.appendChild(calibrateBtn);
+            
+            if (calibration[id]) {
+                const resetBtn = document.createElement('button');
+                resetBtn.className = 'btn btn-secondary';
+                resetBtn.textContent = i18n.t('controls.reset');
+                resetBtn.addEventListener('click', () => {
+                    if (confirm(i18n.t('calibration.resetConfirm', { exercise: name }))) {
+                        this.auth.resetCalibration(id);
+                        this.analyzer.setCalibration(this.auth.getCalibrationThresholds());
+                        this.renderCalibrationList();
+                    }
+                });
+                row.appendChild(resetBtn);
+            }
+            
+            list.appendChild(row);
+        });
+    }
+
+    setupVoice() {
+        this.voiceVerbosityEl = document.getElementById('voice-verbosity');
+        this.voiceLangEl = document.getElementById('voice-lang');
+        this.voiceNameEl = document.getElementById('voice-name');
+        
+        if (!this.coach.isSupported()) {
+            document.getElementById('voice-hint').textContent = i18n.t('voice.unsupported');
+            document.getElementById('voice-form').classList.add('hidden');
+            return;
+        }
+        
+        // Voices are loaded asynchronously by most browsers
+        window.speechSynthesis.addEventListener('voiceschanged', () => {
+            this.renderVoiceOptions(this.auth.getVoiceSettings());
+        });
+        this.voiceLangEl.addEventListener('change', () => {
+            this.renderVoiceOptions({ lang: this.voiceLangEl.value, voiceURI: '' });
+        });
+        
+        document.getElementById('voice-save-btn').addEventListener('click', () => {
+            const settings = this.readVoiceSettings();
+            this.auth.saveVoiceSettings(settings);
+            this.coach.setSettings(settings);
+            alert(i18n.t('voice.saved'));
+        });
+        document.getElementById('voice-test-btn').addEventListener('click', () => {
+            this.coach.setSettings({ ...this.readVoiceSettings(), verbosity: 'full' });
+            this.coach.speak(i18n.t('reason.keepBodyStraight'), true);
+            this.coach.setSettings(this.auth.getVoiceSettings());
+        });
+    }
+    
+    setupReminders() {
+        const dayGrid = document.getElementById('reminder-days');
+        REMINDER_DAYS.forEach((name, day) => {
+            const label = document.createElement('label');
+            label.className = 'reminder-day';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = day;
+            label.append(input, i18n.t(name));
+            dayGrid.appendChild(label);
+        });
+        
+        document.getElementById('reminder-add-btn').addEventListener('click', () => {
+            const times = this.readReminderSettings().times;
+            if (times.length >= this.reminders.MAX_TIMES) return;
+            this.renderReminderTimes([...times, '']);
+        });
+        
+        document.getElementById('reminder-save-btn').addEventListener('click', async () => {
+            const settings = this.readReminderSettings();
+            const result = this.auth.saveReminderSettings(settings);
+            if (!result.success) {
+                alert(result.message);
+                return;
+            }
+            // Asked on a click, as browsers require; without permission reminders show in the app
+            if (settings.enabled && 'Notification' in window && Notification.permission === 'default') {
+                await Notification.requestPermission();
+            }
+            await this.startReminders();
+            this.renderReminderSettings();
+            alert(i18n.t('reminder.saved'));
+        });
+        
+        document.getElementById('reminder-start-btn').addEventListener('click', () => {
+            this.reminderBanner.classList.add('hidden');
+            const today = toDateKey(new Date());
+            const programDay = this.auth.getProgramDayFor(today);
+            if (programDay && !programDay.rest) {
+                this.startDayWorkout(today);
+            } else {
+                this.showExerciseView();
+            }
+        });
+        document.getElementById('reminder-dismiss-btn').addEventListener('click', () => {
+            this.reminderBanner.classList.add('hidden');
+        });
+        
+        // Leaving the app is when the service worker takes over reminding
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveReminderState();
+            }
+        });
+    }
+    
+    async startReminders() {
+        if (this.auth.isAuthenticated()) {
+            // A reminder the service worker showed while the app was closed isn't repeated here
+            const shared = await ReminderScheduler.loadSharedState().catch(() => null);
+            let lastFired = this.auth.getLastReminder();
+            if (shared && shared.userId === this.auth.currentUser.id && shared.lastFired > lastFired) {
+                lastFired = shared.lastFired;
+                this.auth.saveLastReminder(lastFired);
+            }
+            this.reminders.setSettings(this.auth.getReminderSettings(), lastFired);
+        } else {
+            this.reminders.stop();
+            this.reminderBanner.classList.add('hidden');
+        }
+        this.saveReminderState();
+        this.backgroundReminders = await this.registerBackgroundReminders();
+        this.renderReminderStatus();
+    }
+    
+    async registerBackgroundReminders() {
+        // Periodic Background Sync wakes the service worker now and then, also while the app is
+        // closed; Chromium only offers it to the installed app. True when it can remind.
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return false;
+        try {
+            // Not `ready`: it never settles when the worker failed to register
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration || !registration.periodicSync) return false;
+            
+            const settings = this.auth.isAuthenticated() ? this.auth.getReminderSettings() : null;
+            if (!settings || !settings.enabled) {
+                await registration.periodicSync.unregister(REMINDER_TAG);
+            }
+            const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (permission.state !== 'granted') return false;
+            if (settings && settings.enabled) {
+                await registration.periodicSync.register(REMINDER_TAG, { minInterval: REMINDER_SYNC_INTERVAL });
+            }
+            return true;
+        } catch (error) {
+            console.error('Background reminders unavailable:', error);
+            return false;
+        }
+    }
+    
+    saveReminderState() {
+        ReminderScheduler.saveSharedState(this.getReminderState()).catch(error => {
+            console.error('Reminder state not saved:', error);
+        });
+    }
+    
+    getReminderState() {
+        // What the service worker needs to remind while the app is closed (see sw.js)
+        if (!this.auth.isAuthenticated()) {
+            return {
+                userId: null,
+                settings: { ...ReminderScheduler.defaultSettings(), enabled: false },
+                lastFired: '',
+                suppressedDays: []
+            };
+        }
+        
+        const now = new Date();
+        const suppressedDays = [];
+        for (let i = 0; i < this.REMINDER_STATE_DAYS; i++) {
+            const dateKey = toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + i));
+            if (this.reminders.isSuppressed(dateKey)) {
+                suppressedDays.push(dateKey);
+            }
+        }
+        const { title, body } = this.getReminderText();
+        return {
+            userId: this.auth.currentUser.id,
+            settings: this.auth.getReminderSettings(),
+            lastFired: this.reminders.lastFired,
+            suppressedDays,
+            day: toDateKey(now),
+            title,
+            body: i18n.t('reminder.body'),
+            streakBody: body
+        };
+    }
+    
+    readReminderSettings() {
+        return {
+            enabled: document.getElementById('reminder-enabled').checked,
+            times: [...document.querySelectorAll('#reminder-times input')].map(input => input.value).filter(Boolean),
+            days: [...document.querySelectorAll('#reminder-days input:checked')].map(input => Number(input.value))
+        };
+    }
+    
+    renderReminderSettings() {
+        const settings = this.auth.getReminderSettings();
+        document.getElementById('reminder-enabled').checked = settings.enabled;
+        this.renderReminderTimes(settings.times);
+        document.querySelectorAll('#reminder-days input').forEach(input => {
+            input.checked = settings.days.includes(Number(input.value));
+        });
+        this.renderReminderStatus();
+    }
+    
+    renderReminderStatus() {
+        let status;
+        if (!('Notification' in window)) {
+            status = 'reminder.statusUnsupported';
+        } else if (Notification.permission === 'granted') {
+            status = this.backgroundReminders ? 'reminder.statusBackground' : 'reminder.statusGranted';
+        } else if (Notification.permission === 'denied') {
+            status = 'reminder.statusDenied';
+        } else {
+            status = 'reminder.statusDefault';
+        }
+        document.getElementById('reminder-status').textContent = i18n.t(status);
+    }
+    
+    renderReminderTimes(times) {
+        const list = document.getElementById('reminder-times');
+        list.innerHTML = '';
+        times.forEach(time => {
+            const row = document.createElement('div');
+            row.className = 'reminder-time';
+            
+            const input = document.createElement('input');
+            input.type = 'time';
+            input.value = time;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary';
+            removeBtn.textContent = '×';
+            removeBtn.title = i18n.t('reminder.removeTime');
+            removeBtn.addEventListener('click', () => row.remove());
+            
+            row.append(input, removeBtn);
+            list.appendChild(row);
+        });
+    }
+    
+    getReminderText() {
+        const streak = this.auth.getStreaks().current;
+        return {
+            title: i18n.t('reminder.notificationTitle'),
+            body: streak > 0 ? i18n.t('reminder.streakBody', { count: streak }) : i18n.t('reminder.body')
+        };
+    }
+    
+    showReminder() {
+        const { title, body } = this.getReminderText();
+        
+        if ('Notification' in window && Notification.permission === 'granted') {
+            const options = { body, icon: 'icons/icon-192.png', tag: REMINDER_TAG };
+            // Through the service worker where possible: it also works for the installed app
+            if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+                navigator.serviceWorker.ready.then(registration => registration.showNotification(title, options));
+            } else {
+                new Notification(title, options);
+            }
+            return;
+        }
+        
+        document.getElementById('reminder-banner-text').textContent = body;
+        this.reminderBanner.classList.remove('hidden');
+    }
+    
+    readVoiceSettings() {
+        return {
+            verbosity: this.voiceVerbosityEl.value,
+            lang: this.voiceLangEl.value,
+            voiceURI: this.voiceNameEl.value
+        };
+    }
+    
+    renderVoiceOptions(settings) {
+        if (!this.coach.isSupported()) return;
+        
+        const fillSelect = (select, options, value) => {
+            select.innerHTML = '';
+            options.forEach(([optionValue, text]) => {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.value = value;
+        };
+        
+        fillSelect(this.voiceLangEl,
+            [['', i18n.t('voice.languageDefault')], ...this.coach.getLanguages().map(lang => [lang, lang])],
+            settings.lang || '');
+        fillSelect(this.voiceNameEl,
+            [['', i18n.t('voice.defaultVoice')], ...this.coach.getVoices(settings.lang).map(v => [v.voiceURI, v.name])],
+            settings.voiceURI || '');
+    }
+
+    setupSettings() {
+        // Form fields of the detection settings that are plain numbers
+        this.settingFields = {
+            modelComplexity: document.getElementById('setting-model-complexity'),
+            minDetectionConfidence: document.getElementById('setting-min-detection'),
+            minTrackingConfidence: document.getElementById('setting-min-tracking'),
+            smoothingFactor: document.getElementById('setting-smoothing'),
+            visibilityThreshold: document.getElementById('setting-visibility')
+        };
+        
+        const sensitivityGrid = document.getElementById('sensitivity-grid');
+        sensitivityGrid.innerHTML = '';
+        Object.entries(this.exercises).forEach(([id, exercise]) => {
+            const label = document.createElement('label');
+            label.className = 'goal-field';
+            label.textContent = i18n.t(exercise.label);
+            
+            const select = document.createElement('select');
+            select.id = `sensitivity-${id}`;
+            Object.entries(SENSITIVITY_PRESETS).forEach(([preset, name]) => {
+                const option = document.createElement('option');
+                option.value = preset;
+                option.textContent = i18n.t(name);
+                select.appendChild(option);
+            });
+            
+            label.appendChild(select);
+            sensitivityGrid.appendChild(label);
+        });
+        
+        // Every change is saved and applied to the running detection at once
+        const form = document.getElementById('settings-form');
+        form.addEventListener('input', () => this.renderSettingValues());
+        form.addEventListener('change', () => {
+            const result = this.auth.saveDetectionSettings(this.readDetectionSettings());
+            if (!result.success) {
+                alert(result.message);
+                this.renderSettings();
+                return;
+            }
+            this.applyDetectionSettings();
+        });
+        
+        document.getElementById('settings-reset-btn').addEventListener('click', () => {
+            if (!confirm(i18n.t('settings.restoreConfirm'))) return;
+            this.auth.saveDetectionSettings(this.auth.DEFAULT_DETECTION_SETTINGS);
+            this.applyDetectionSettings();
+            this.renderSettings();
+        });
+    }
+    
+    renderSettings() {
+        const settings = this.auth.getDetectionSettings();
+        Object.entries(this.settingFields).forEach(([key, field]) => {
+            field.value = settings[key];
+        });
+        Object.keys(this.exercises).forEach(id => {
+            document.getElementById(`sensitivity-${id}`).value = settings.sensitivity[id] || 'standard';
+        });
+        document.getElementById('setting-debug-overlay').checked = settings.debugOverlay;
+        this.renderSettingValues();
+    }
+    
+    renderSettingValues() {
+        // Current number next to every slider
+        Object.entries(this.settingFields).forEach(([key, field]) => {
+            const output = document.getElementById(`${field.id}-value`);
+            if (output) {
+                output.textContent = Number(field.value).toFixed(2);
+            }
+        });
+    }
+    
+    readDetectionSettings() {
+        const settings = {
+            debugOverlay: document.getElementById('setting-debug-overlay').checked,
+            sensitivity: {}
+        };
+        Object.entries(this.settingFields).forEach(([key, field]) => {
+            settings[key] = Number(field.value);
+        });
+        Object.keys(this.exercises).forEach(id => {
+            settings.sensitivity[id] = document.getElementById(`sensitivity-${id}`).value;
         });
+        return settings;
     }
-
-    showExerciseView() {
-        this.hideAllViews();
-        this.exerciseView.classList.remove('hidden');
+    
+    getPoseOptions(settings) {
+        return {
+            modelComplexity: settings.modelComplexity,
+            smoothLandmarks: true,
+            enableSegmentation: false,
+            smoothSegmentation: false,
+            minDetectionConfidence: settings.minDetectionConfidence,
+            minTrackingConfidence: settings.minTrackingConfidence
+        };
+    }
+    
+    applyDetectionSettings() {
+        const settings = this.auth.getDetectionSettings();
+        this.analyzer.smoothingFactor = settings.smoothingFactor;
+        this.analyzer.visibilityThreshold = settings.visibilityThreshold;
+        this.analyzer.setSensitivity(settings.sensitivity);
+        this.debugOverlay = settings.debugOverlay;
+        this.filterTrace = [];
+        
+        // The pose model only exists once the camera is ready; init() applies the settings then
+        if (this.pose) {
+            this.pose.setOptions(this.getPoseOptions(settings));
+        }
+    }
+    
+    formatGoalAmount(exerciseId, amount) {
+        return this.exercises[exerciseId].type === 'timed' ? this.formatTotalTime(amount) : Math.floor(amount);
     }
 
-    showCalendar() {
+    renderGoalProgress() {
+        const goalEl = document.getElementById('goal-progress');
+        goalEl.classList.remove('goal-complete');
         if (!this.auth.isAuthenticated()) {
-            this.showAccessDenied();
+            goalEl.textContent = '';
+            return;
+        }
+        
+        const checkIn = this.auth.getCheckIn(toDateKey(new Date()));
+        if (checkIn && checkIn.source === 'auto') {
+            goalEl.textContent = i18n.t('goal.completeToday');
+            goalEl.classList.add('goal-complete');
+            return;
+        }
+        
+        const progress = this.auth.getDayProgress();
+        
+        // Target picked from the program calendar for the current exercise
+        const target = this.workoutTarget;
+        if (target && target.exercise === this.currentExercise) {
+            const done = progress.totals[target.exercise] || 0;
+            const total = target.sets * target.amount;
+            const amount = this.formatGoalAmount(target.exercise, target.amount);
+            goalEl.textContent = done >= total
+                ? i18n.t('goal.programTargetDone', { day: target.day })
+                : i18n.t('goal.programTarget', {
+                    day: target.day,
+                    sets: target.sets,
+                    amount,
+                    done: this.formatGoalAmount(target.exercise, done),
+                    total: this.formatGoalAmount(target.exercise, total)
+                });
+            if (done >= total) {
+                goalEl.classList.add('goal-complete');
+            }
+            return;
+        }
+        
+        const programDay = this.auth.getProgramDayFor(toDateKey(new Date()));
+        if (programDay && programDay.rest) {
+            goalEl.textContent = i18n.t('goal.restDay', { day: programDay.day });
             return;
         }
+        
+        const parts = Object.entries(this.auth.getGoalFor()).map(([id, goal]) =>
+            `${i18n.t(this.exercises[id].label)} ${this.formatGoalAmount(id, progress.totals[id] || 0)}/${this.formatGoalAmount(id, goal)}`
+        ).join(' · ');
+        goalEl.textContent = programDay
+            ? i18n.t('goal.programDayGoal', { day: programDay.day, parts })
+            : i18n.t('goal.dailyGoal', { parts });
+    }
 
-        this.hideAllViews();
-        this.calendarView.classList.remove('hidden');
-        this.renderCalendar();
+    setupPrograms() {
+        this.programSelect = document.getElementById('program-select');
+        Object.entries(PROGRAMS).forEach(([id, program]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${i18n.t(program.label)} — ${i18n.t(program.description)}`;
+            this.programSelect.appendChild(option);
+        });
+        
+        document.getElementById('program-start-btn').addEventListener('click', () => {
+            if (this.auth.getActiveProgram() &&
+                !confirm(i18n.t('program.replaceConfirm'))) {
+                return;
+            }
+            const result = this.auth.startProgram(this.programSelect.value);
+            if (!result.success) {
+                alert(result.message);
+                return;
+            }
+            this.renderCalendar();
+            this.renderGoalProgress();
+        });
+        
+        document.getElementById('program-stop-btn').addEventListener('click', () => {
+            if (confirm(i18n.t('program.stopConfirm'))) {
+                this.auth.stopProgram();
+                this.workoutTarget = null;
+                this.renderCalendar();
+                this.renderGoalProgress();
+            }
+        });
     }
 
-    showExerciseSelection() {
-        if (!this.auth.isAuthenticated()) {
-            this.showAccessDenied();
+    renderProgramPanel() {
+        const active = this.auth.getActiveProgram();
+        const infoEl = document.getElementById('program-info');
+        const stopBtn = document.getElementById('program-stop-btn');
+        
+        if (!active || !PROGRAMS[active.programId]) {
+            infoEl.textContent = i18n.t('program.none');
+            stopBtn.classList.add('hidden');
             return;
         }
+        
+        const program = PROGRAMS[active.programId];
+        const today = this.auth.getProgramDayFor(toDateKey(new Date()));
+        this.programSelect.value = active.programId;
+        stopBtn.classList.remove('hidden');
+        const name = i18n.t(program.label);
+        infoEl.textContent = today
+            ? i18n.t('program.progress', { program: name, day: today.day, length: program.length })
+            : i18n.t('program.finished', { program: name });
+    }
 
-        this.hideAllViews();
-        this.exerciseSelectionView.classList.remove('hidden');
+    formatProgramTarget(target) {
+        const exercise = this.exercises[target.exercise];
+        const amount = exercise.type === 'timed' ? i18n.t('units.secondsShort', { count: target.amount }) : target.amount;
+        return `${target.sets}×${amount} ${i18n.t(exercise.label)}`;
     }
 
-    showAccount() {
-        if (!this.auth.isAuthenticated()) {
-            this.showAccessDenied();
-            return;
-        }
+    startDayWorkout(dateKey) {
+        const programDay = this.auth.getProgramDayFor(dateKey);
+        if (!programDay || programDay.rest) return;
+        
+        // Continue with the first exercise whose target is not reached yet
+        const progress = this.auth.getDayProgress(dateKey);
+        const target = programDay.targets.find(t => (progress.totals[t.exercise] || 0) < t.sets * t.amount) ||
+            programDay.targets[0];
+        
+        this.selectExercise(target.exercise, { ...target, day: programDay.day });
+        this.showExerciseView();
+    }
 
-        this.hideAllViews();
-        this.accountView.classList.remove('hidden');
-        this.renderAccount();
+    showDayHistory(dateKey) {
+        // Workouts that earned an automatic check-in
+        this.showAccount();
+        this.historyExerciseEl.value = '';
+        this.historyFromEl.value = dateKey;
+        this.historyToEl.value = dateKey;
+        this.renderHistory();
+        document.getElementById('history-list').scrollIntoView({ behavior: 'smooth' });
     }
 
-    renderAccount() {
-        if (!this.auth.currentUser) return;
+    setupHistoryFilters() {
+        this.historyExerciseEl = document.getElementById('history-exercise');
+        this.historyFromEl = document.getElementById('history-from');
+        this.historyToEl = document.getElementById('history-to');
+        
+        Object.entries(this.exercises).forEach(([id, exercise]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = i18n.t(exercise.label);
+            this.historyExerciseEl.appendChild(option);
+        });
+        
+        [this.historyExerciseEl, this.historyFromEl, this.historyToEl].forEach(el => {
+            el.addEventListener('change', () => this.renderHistory());
+        });
+    }
 
-        document.getElementById('account-name').textContent = this.auth.currentUser.name;
-        document.getElementById('account-email').textContent = this.auth.currentUser.email;
+    renderHistory() {
+        const historyList = document.getElementById('history-list');
+        const exercise = this.historyExerciseEl.value;
+        const from = this.historyFromEl.value;
+        const to = this.historyToEl.value;
+        
+        const sessions = this.auth.getUserSessions()
+            .filter(session => !exercise || session.exercise === exercise)
+            .filter(session => {
+                const day = toDateKey(new Date(session.startedAt));
+                return (!from || day >= from) && (!to || day <= to);
+            })
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+        
+        historyList.innerHTML = '';
+        
+        if (sessions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = i18n.t('history.empty');
+            historyList.appendChild(empty);
+            return;
+        }
+        
+        sessions.forEach(session => {
+            historyList.appendChild(this.createHistoryItem(session));
+        });
+    }
 
-        const stats = this.auth.getUserStats();
-        document.getElementById('stat-pushups').textContent = stats.pushups || 0;
-        document.getElementById('stat-squats').textContent = stats.squats || 0;
+    createHistoryItem(session) {
+        const exercise = this.exercises[session.exercise];
+        const label = exercise ? i18n.t(exercise.label) : session.exercise;
+        const result = exercise && exercise.type === 'timed'
+            ? this.formatTotalTime(session.holdSeconds)
+            : i18n.t('units.reps', { count: session.reps });
+        
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        
+        const details = document.createElement('div');
+        details.className = 'history-details';
+        
+        const title = document.createElement('div');
+        title.className = 'history-title';
+        title.textContent = `${label} — ${result}`;
+        details.appendChild(title);
+        
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        if (session.legacy) {
+            meta.textContent = i18n.t('history.legacy');
+        } else {
+            const minutes = Math.round((new Date(session.endedAt) - new Date(session.startedAt)) / 60000);
+            meta.textContent = `${i18n.formatDateTime(new Date(session.startedAt))} · ` +
+                `${i18n.t('units.minutesShort', { count: minutes })} · ${i18n.t('history.pauses', { count: session.pauses })}`;
+            if (session.source === 'video') {
+                meta.textContent += ` · ${i18n.t('history.fromVideo', { name: session.videoName })}`;
+            }
+        }
+        details.appendChild(meta);
+        
+        // Older sessions have no rep quality
+        if (session.repScores && (session.repScores.length > 0 || session.partialReps > 0)) {
+            const qualityEl = document.createElement('div');
+            qualityEl.className = 'history-meta';
+            const parts = [];
+            if (session.repScores.length > 0) {
+                const average = session.repScores.reduce((sum, score) => sum + score, 0) / session.repScores.length;
+                parts.push(i18n.t('history.avgQuality', { score: Math.round(average) }));
+            }
+            if (session.partialReps > 0) {
+                parts.push(i18n.t('history.partialReps', { count: session.partialReps }));
+            }
+            if (session.timeUnderTension > 0) {
+                parts.push(i18n.t('history.underTension', { count: session.timeUnderTension }));
+            }
+            qualityEl.textContent = parts.join(' · ');
+            details.appendChild(qualityEl);
+        }
+        
+        if (session.sets && session.sets.length > 0) {
+            const setsEl = document.createElement('div');
+            setsEl.className = 'history-meta';
+            const sets = session.sets.map(set => {
+                if (exercise && exercise.type === 'timed') return this.formatTotalTime(set.holdSeconds);
+                return set.timeUnderTension
+                    ? `${set.reps} (${i18n.t('units.secondsShort', { count: set.timeUnderTension })})`
+                    : set.reps;
+            }).join(' · ');
+            setsEl.textContent = i18n.t('history.sets', { sets });
+            details.appendChild(setsEl);
+        }
+        
+        const errors = Object.entries(session.formErrors || {});
+        if (errors.length > 0) {
+            const errorsEl = document.createElement('div');
+            errorsEl.className = 'history-errors';
+            errorsEl.textContent = errors.map(([reason, count]) => `${i18n.t(reason)} ×${count}`).join(', ');
+            details.appendChild(errorsEl);
+        }
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'history-delete';
+        deleteBtn.textContent = i18n.t('common.delete');
+        deleteBtn.addEventListener('click', () => {
+            if (confirm(i18n.t('history.deleteConfirm'))) {
+                this.auth.deleteSession(session.id);
+                this.renderAccount();
+                this.renderGoalProgress();
+            }
+        });
         
-        // Format plank time (total seconds)
-        const plankSeconds = Math.floor(stats.planks || 0);
-        const hours = Math.floor(plankSeconds / 3600);
-        const minutes = Math.floor((plankSeconds % 3600) / 60);
-        const seconds = plankSeconds % 60;
+        item.appendChild(details);
+        item.appendChild(deleteBtn);
+        return item;
+    }
+
+    formatTotalTime(totalSeconds) {
+        // Format total time held (seconds) as H:MM:SS or MM:SS
+        const wholeSeconds = Math.floor(totalSeconds || 0);
+        const hours = Math.floor(wholeSeconds / 3600);
+        const minutes = Math.floor((wholeSeconds % 3600) / 60);
+        const seconds = wholeSeconds % 60;
         
         if (hours > 0) {
-            document.getElementById('stat-planks').textContent = `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-        } else {
-            document.getElementById('stat-planks').textContent = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+            return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
         }
+        return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
     }
 
     showAccessDenied() {
@@ -478,69 +2601,176 @@ class FitnessTrainer {
         this.calendarView.classList.add('hidden');
         this.exerciseSelectionView.classList.add('hidden');
         this.accountView.classList.add('hidden');
+        this.settingsView.classList.add('hidden');
+        this.videoView.classList.add('hidden');
         this.accessDeniedView.classList.add('hidden');
     }
 
     renderCalendar() {
         const calendarGrid = document.getElementById('calendar-grid');
-        const calendar = this.auth.getUserCalendar();
-        const checkedInDays = this.auth.getCheckedInDays();
+        const checkedIn = new Set(this.auth.getCheckIns());
+        const streaks = this.auth.getStreaks();
         const congratulations = document.getElementById('congratulations');
+        const today = toDateKey(new Date());
         
-        calendarGrid.innerHTML = '';
-        
-        if (checkedInDays >= 30) {
+        if (streaks.current >= 30) {
             congratulations.classList.remove('hidden');
             // Set up start over button
             const startOverBtn = document.getElementById('start-over-btn');
             if (startOverBtn) {
                 startOverBtn.onclick = () => {
-                    if (confirm('Are you sure you want to start over? This will reset your 30-day calendar.')) {
+                    if (confirm(i18n.t('calendar.startOverConfirm'))) {
                         this.auth.resetCalendar();
                         this.renderCalendar();
                     }
                 };
             }
-            return;
         } else {
             congratulations.classList.add('hidden');
         }
         
-        for (let day = 1; day <= 30; day++) {
+        this.renderProgramPanel();
+        
+        // Streak summary
+        document.getElementById('current-streak').textContent = streaks.current;
+        document.getElementById('longest-streak').textContent = streaks.longest;
+        const streakNote = document.getElementById('streak-note');
+        const undated = this.auth.getUndatedCheckIns();
+        if (streaks.current === 0 && streaks.lastMissed) {
+            streakNote.textContent = i18n.t('calendar.streakBroken', { date: i18n.formatDate(fromDateKey(streaks.lastMissed)) });
+        } else if (undated > 0) {
+            streakNote.textContent = i18n.t('calendar.undated', { count: undated });
+        } else {
+            streakNote.textContent = '';
+        }
+        
+        // Month header
+        const month = this.calendarMonth;
+        document.getElementById('calendar-month-label').textContent =
+            i18n.formatDate(month, { month: 'long', year: 'numeric' });
+        
+        calendarGrid.innerHTML = '';
+        
+        // Weekday header (weeks start on Monday)
+        const monday = new Date(2024, 0, 1);
+        for (let i = 0; i < 7; i++) {
+            const weekday = new Date(monday);
+            weekday.setDate(monday.getDate() + i);
+            const headerCell = document.createElement('div');
+            headerCell.className = 'calendar-weekday';
+            headerCell.textContent = i18n.formatDate(weekday, { weekday: 'short' });
+            calendarGrid.appendChild(headerCell);
+        }
+        
+        // Empty cells before the first day of the month
+        const leadingDays = (month.getDay() + 6) % 7;
+        for (let i = 0; i < leadingDays; i++) {
+            const emptyCell = document.createElement('div');
+            emptyCell.className = 'calendar-day outside';
+            calendarGrid.appendChild(emptyCell);
+        }
+        
+        const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateKey = toDateKey(new Date(month.getFullYear(), month.getMonth(), day));
             const dayElement = document.createElement('div');
             dayElement.className = 'calendar-day';
             
-            if (calendar[day]) {
+            const dayNumber = document.createElement('div');
+            dayNumber.className = 'calendar-day-number';
+            dayNumber.textContent = day;
+            dayElement.appendChild(dayNumber);
+            
+            if (dateKey === today) {
+                dayElement.classList.add('today');
+            }
+            
+            // Target of the program day
+            const programDay = this.auth.getProgramDayFor(dateKey);
+            if (programDay) {
+                const programEl = document.createElement('div');
+                programEl.className = 'calendar-program';
+                programEl.textContent = programDay.rest
+                    ? i18n.t('calendar.dayRest', { day: programDay.day })
+                    : i18n.t('calendar.dayTargets', {
+                        day: programDay.day,
+                        targets: programDay.targets.map(t => this.formatProgramTarget(t)).join(', ')
+                    });
+                if (programDay.rest) {
+                    dayElement.classList.add('rest');
+                }
+                dayElement.appendChild(programEl);
+            }
+            
+            if (checkedIn.has(dateKey)) {
+                const checkIn = this.auth.getCheckIn(dateKey);
                 dayElement.classList.add('checked-in');
-                dayElement.innerHTML = `<span>✓</span><br>Day ${day}`;
-            } else {
+                const mark = document.createElement('span');
+                if (checkIn.source === 'auto') {
+                    // Earned by workouts: open the sessions behind it
+                    mark.textContent = i18n.t('calendar.goalMark');
+                    dayElement.classList.add('auto');
+                    dayElement.title = i18n.t('calendar.goalMet', { count: checkIn.sessions.length });
+                    dayElement.addEventListener('click', () => this.showDayHistory(dateKey));
+                } else {
+                    mark.textContent = i18n.t('calendar.manualMark');
+                    dayElement.title = i18n.t('calendar.manual');
+                }
+                dayElement.appendChild(mark);
+            } else if (dateKey === today) {
                 dayElement.classList.add('not-checked-in');
-                const dayNumber = document.createElement('div');
-                dayNumber.textContent = `Day ${day}`;
-                dayNumber.style.marginBottom = '10px';
-                dayNumber.style.fontWeight = '600';
-                dayElement.appendChild(dayNumber);
-                
                 const checkInBtn = document.createElement('button');
-                checkInBtn.textContent = 'Check In';
+                checkInBtn.textContent = i18n.t('calendar.checkIn');
                 checkInBtn.className = 'check-in-btn';
                 checkInBtn.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    // Only allow checking in if previous day is checked or it's day 1
-                    if (day === 1 || calendar[day - 1]) {
-                        this.auth.checkIn(day);
+                    const result = this.auth.checkIn(dateKey);
+                    if (result.success) {
+                        this.checkAchievements();
                         this.renderCalendar();
                     } else {
-                        alert('Please check in for previous days first!');
+                        alert(result.message);
                     }
                 });
+                
+                // Progress towards the goal that checks the day in automatically
+                const progress = this.auth.getDayProgress(dateKey);
+                const goal = this.auth.getGoalFor(dateKey);
+                const goalEl = document.createElement('div');
+                goalEl.className = 'calendar-goal';
+                goalEl.textContent = Object.entries(goal).map(([id, target]) =>
+                    `${i18n.t(this.exercises[id].label)}: ${this.formatGoalAmount(id, progress.totals[id] || 0)}/${this.formatGoalAmount(id, target)}`
+                ).join(', ');
+                dayElement.appendChild(goalEl);
+                
+                if (programDay && !programDay.rest) {
+                    const startBtn = document.createElement('button');
+                    startBtn.textContent = i18n.t('calendar.startWorkout');
+                    startBtn.className = 'check-in-btn';
+                    startBtn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.startDayWorkout(dateKey);
+                    });
+                    dayElement.appendChild(startBtn);
+                }
                 dayElement.appendChild(checkInBtn);
+            } else if (dateKey > today) {
+                dayElement.classList.add('future');
+            } else if (this.auth.isMissedDay(dateKey)) {
+                dayElement.classList.add('missed');
+            } else {
+                dayElement.classList.add('not-checked-in');
             }
             
             calendarGrid.appendChild(dayElement);
         }
     }
     
+    changeCalendarMonth(offset) {
+        this.calendarMonth = new Date(this.calendarMonth.getFullYear(), this.calendarMonth.getMonth() + offset, 1);
+        this.renderCalendar();
+    }
+    
     async setupCamera() {
         try {
             const stream = await navigator.mediaDevices.getUserMedia({
@@ -564,97 +2794,789 @@ class FitnessTrainer {
         }
     }
     
-    start() {
+    start() {
+        if (!this.pose && this.poseLoadError) {
+            alert(this.poseLoadError);
+            return;
+        }
+        if (!this.pose || !this.video.srcObject) {
+            alert(i18n.t('camera.unavailable'));
+            return;
+        }
+        
+        // The camera and a video file can't share the pose model at the same time
+        this.closeVideoAnalysis();
+        
+        this.isRunning = true;
+        this.isPaused = false;
+        this.startBtn.disabled = true;
+        this.pauseBtn.disabled = false;
+        
+        // For timed exercises, timer will start when correct form is detected
+        if (this.isTimedExercise()) {
+            // Don't start timer yet - wait for correct form
+            this.holdFormValid = false;
+        }
+        
+        this.startSets();
+        this.startSession();
+        
+        // Start processing loop
+        this.processVideo();
+    }
+    
+    stop() {
+        if (this.calibrationRun) {
+            this.stopCalibration();
+        }
+        
+        if (this.replayer) {
+            this.replayer.stop();
+            this.replayer = null;
+        }
+        
+        this.isRunning = false;
+        this.isPaused = false;
+        this.cancelRest();
+        this.endSession();
+        if (this.isTimedExercise()) {
+            this.stopHoldTimer();
+            this.holdFormValid = false;
+        }
+        this.setSetInputsDisabled(false);
+        
+        this.startBtn.disabled = false;
+        this.pauseBtn.disabled = true;
+        this.pauseBtn.textContent = i18n.t('controls.pause');
+        
+        if (this.isReplaying) {
+            this.isReplaying = false;
+            this.recordBtn.disabled = false;
+            this.videoRecordBtn.disabled = false;
+            this.replayBtn.disabled = false;
+            
+            // Back to the camera frame size and error state
+            if (this.video.videoWidth) {
+                this.canvas.width = this.video.videoWidth;
+                this.canvas.height = this.video.videoHeight;
+            }
+            this.errorMessage.classList.toggle('hidden', Boolean(this.video.srcObject));
+        }
+    }
+    
+    toggleRecording() {
+        if (this.recorder.isRecording) {
+            const recording = this.recorder.stop();
+            this.recordBtn.textContent = i18n.t('controls.record');
+            this.recordBtn.classList.remove('recording');
+            this.downloadBlob(
+                new Blob([JSON.stringify(recording)], { type: 'application/json' }),
+                `pose-${recording.exercise}-${recording.recordedAt.replace(/[:.]/g, '-')}.json`
+            );
+        } else {
+            this.recorder.start(this.currentExercise, this.canvas.width, this.canvas.height);
+            this.recordBtn.textContent = i18n.t('controls.stopRecording');
+            this.recordBtn.classList.add('recording');
+        }
+    }
+    
+    async toggleVideoRecording() {
+        if (this.videoRecorder.isRecording) {
+            this.videoRecordBtn.disabled = true;
+            const { video, sidecar } = await this.videoRecorder.stop();
+            this.videoRecordBtn.disabled = false;
+            this.videoRecordBtn.textContent = i18n.t('controls.recordVideo');
+            this.videoRecordBtn.classList.remove('recording');
+            
+            // The sidecar lists every rep with its time, so a coach can jump straight to it
+            const name = `workout-${sidecar.exercise}-${sidecar.recordedAt.replace(/[:.]/g, '-')}`;
+            sidecar.video = `${name}.webm`;
+            this.downloadBlob(video, `${name}.webm`);
+            this.downloadBlob(new Blob([JSON.stringify(sidecar, null, 2)], { type: 'application/json' }), `${name}.json`);
+        } else {
+            if (!this.video.srcObject) {
+                alert(i18n.t('recording.noCamera'));
+                return;
+            }
+            this.videoRecorder.start(this.currentExercise);
+            this.videoRecordBtn.textContent = i18n.t('controls.stopVideo');
+            this.videoRecordBtn.classList.add('recording');
+        }
+    }
+    
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        // Revoke later: the download of a large video may not have started yet
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    async loadReplayFile() {
+        const file = this.replayFileInput.files[0];
+        // Allow picking the same file again
+        this.replayFileInput.value = '';
+        if (!file) return;
+        
+        let recording;
+        try {
+            recording = PoseRecorder.parse(await file.text());
+        } catch (error) {
+            alert(i18n.t(error.message, error.params));
+            return;
+        }
+        
+        this.startReplay(recording);
+    }
+    
+    startReplay(recording) {
+        // End any live session before switching to recorded frames
+        this.stop();
+        if (this.videoRecorder.isRecording) {
+            this.toggleVideoRecording();
+        }
+        this.selectExercise(recording.exercise);
+        
+        if (recording.width && recording.height) {
+            this.canvas.width = recording.width;
+            this.canvas.height = recording.height;
+        }
+        this.errorMessage.classList.add('hidden');
+        
+        this.isReplaying = true;
+        this.isRunning = true;
+        this.isPaused = false;
+        this.startBtn.disabled = true;
+        this.pauseBtn.disabled = false;
+        this.recordBtn.disabled = true;
+        this.videoRecordBtn.disabled = true;
+        this.replayBtn.disabled = true;
+        this.startSets();
+        
+        // Frames go through the same smoothing, analysis and HUD as live results,
+        // timed by when they were recorded, as VideoAnalysis times video frames
+        this.replayer = new PoseReplayer(
+            recording,
+            frame => this.onPoseResults(
+                { poseLandmarks: frame.landmarks, poseWorldLandmarks: frame.worldLandmarks },
+                frame.t
+            ),
+            () => this.stop()
+        );
+        this.replayer.play();
+    }
+    
+    async loadVideoFile() {
+        const file = this.videoFileInput.files[0];
+        // Allow picking the same file again
+        this.videoFileInput.value = '';
+        if (!file) return;
+        
+        if (!this.pose) {
+            alert(this.poseLoadError || i18n.t('video.poseLoading'));
+            return;
+        }
+        
+        this.stop();
+        this.closeVideoAnalysis();
+        
+        // A separate analyzer with the user's settings, so the live counters stay untouched
+        const settings = this.auth.getDetectionSettings();
+        const analyzer = new PoseAnalyzer(this.currentExercise, {
+            smoothingFactor: settings.smoothingFactor,
+            visibilityThreshold: settings.visibilityThreshold,
+            sensitivity: settings.sensitivity,
+            calibration: this.auth.getCalibrationThresholds(),
+            targetTempo: this.analyzer.targetTempo
+        });
+        const run = new VideoAnalysis(this.analysisVideo, analyzer, image => this.detectVideoFrame(image));
+        this.videoAnalysis = run;
+        
+        this.hideAllViews();
+        this.videoView.classList.remove('hidden');
+        document.getElementById('video-title').textContent = i18n.t('video.titleFile', {
+            exercise: i18n.t(this.exercises[this.currentExercise].label),
+            file: file.name
+        });
+        document.getElementById('video-report').classList.add('hidden');
+        document.getElementById('video-progress').classList.remove('hidden');
+        document.getElementById('video-frame-status').textContent = '';
+        this.analysisVideo.controls = false;
+        this.renderVideoProgress(0);
+        
+        try {
+            await run.load(file);
+            this.analysisCanvas.width = this.analysisVideo.videoWidth;
+            this.analysisCanvas.height = this.analysisVideo.videoHeight;
+            run.onProgress = progress => this.renderVideoProgress(progress);
+            
+            const finished = await run.run();
+            if (!finished || this.videoAnalysis !== run) return;
+        } catch (error) {
+            console.error('Video analysis error:', error);
+            if (this.videoAnalysis === run) {
+                alert(i18n.t(error.message || 'video.failed'));
+                this.closeVideoAnalysis();
+                this.showExerciseView();
+            }
+            return;
+        }
+        
+        document.getElementById('video-progress').classList.add('hidden');
+        this.analysisVideo.controls = true;
+        this.renderVideoReport(run.getReport());
+        this.drawVideoFrame();
+    }
+    
+    detectVideoFrame(image) {
+        return new Promise((resolve, reject) => {
+            this.videoFrameResolve = resolve;
+            this.pose.send({ image }).catch(error => {
+                this.videoFrameResolve = null;
+                reject(error);
+            });
+        });
+    }
+    
+    closeVideoAnalysis() {
+        if (!this.videoAnalysis) return;
+        this.videoAnalysis.unload();
+        this.videoAnalysis = null;
+        this.videoReport = null;
+        
+        // Let a frame that is still being detected finish the cancelled loop
+        if (this.videoFrameResolve) {
+            const resolve = this.videoFrameResolve;
+            this.videoFrameResolve = null;
+            resolve({});
+        }
+        this.analysisCtx.clearRect(0, 0, this.analysisCanvas.width, this.analysisCanvas.height);
+    }
+    
+    renderVideoProgress(progress) {
+        const percent = Math.round(progress * 100);
+        document.getElementById('video-progress-fill').style.width = `${percent}%`;
+        document.getElementById('video-progress-text').textContent = i18n.t('video.progress', { percent });
+    }
+    
+    drawVideoFrame() {
+        const run = this.videoAnalysis;
+        if (!run) return;
+        
+        this.analysisCtx.clearRect(0, 0, this.analysisCanvas.width, this.analysisCanvas.height);
+        const frame = run.frameAt(this.analysisVideo.currentTime);
+        const statusEl = document.getElementById('video-frame-status');
+        if (!frame) {
+            statusEl.textContent = '';
+            return;
+        }
+        
+        if (frame.landmarks) {
+            this.drawSkeleton(frame.landmarks, this.analysisCtx);
+        }
+        const parts = [VideoAnalysis.formatTime(frame.t)];
+        if (this.exercises[run.analyzer.exerciseId].type !== 'timed') {
+            parts.push(i18n.t('units.reps', { count: frame.reps }));
+        }
+        parts.push(i18n.t(frame.landmarks ? frame.reason || 'video.goodForm' : 'video.outOfView'));
+        statusEl.textContent = parts.join(' · ');
+    }
+    
+    renderVideoReport(report) {
+        const exercise = this.exercises[report.exercise];
+        const end = new Date(report.recordedAt);
+        this.videoReport = {
+            report,
+            // Same shape as a live session; filmed when the file was last modified
+            session: {
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                exercise: report.exercise,
+                startedAt: new Date(end.getTime() - report.duration * 1000).toISOString(),
+                endedAt: end.toISOString(),
+                reps: exercise.type === 'timed' ? 0 : report.reps,
+                holdSeconds: exercise.type === 'timed' ? report.holdSeconds : 0,
+                pauses: 0,
+                formErrors: report.formErrors,
+                sets: [],
+                repScores: report.repScores,
+                partialReps: report.partialReps,
+                timeUnderTension: report.timeUnderTension,
+                source: 'video',
+                videoName: report.fileName,
+                timeline: report.timeline
+            }
+        };
+        
+        const summary = document.getElementById('video-summary');
+        const parts = [exercise.type === 'timed'
+            ? i18n.t('video.held', { time: this.formatTotalTime(report.holdSeconds) })
+            : i18n.t('units.reps', { count: report.reps })];
+        if (report.partialReps > 0) {
+            parts.push(i18n.t('video.partial', { count: report.partialReps }));
+        }
+        if (report.repScores.length > 0) {
+            const average = report.repScores.reduce((sum, score) => sum + score, 0) / report.repScores.length;
+            parts.push(i18n.t('history.avgQuality', { score: Math.round(average) }));
+        }
+        parts.push(i18n.t('video.analysedAt', {
+            duration: VideoAnalysis.formatTime(report.duration),
+            fps: this.videoAnalysis.fps
+        }));
+        summary.textContent = parts.join(' · ');
+        
+        // Every entry jumps to its moment in the video
+        const timeline = document.getElementById('video-timeline');
+        timeline.innerHTML = '';
+        if (report.timeline.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'history-empty';
+            empty.textContent = i18n.t('video.nothingDetected');
+            timeline.appendChild(empty);
+        }
+        report.timeline.forEach(entry => {
+            const item = document.createElement('li');
+            const time = document.createElement('button');
+            time.className = 'video-time';
+            time.textContent = VideoAnalysis.formatTime(entry.t);
+            time.addEventListener('click', () => {
+                this.analysisVideo.currentTime = entry.t;
+            });
+            item.appendChild(time);
+            item.appendChild(document.createTextNode(VideoAnalysis.describeEntry(entry)));
+            timeline.appendChild(item);
+        });
+        
+        const saveBtn = document.getElementById('video-save-btn');
+        saveBtn.disabled = false;
+        saveBtn.textContent = i18n.t('video.save');
+        document.getElementById('video-report').classList.remove('hidden');
+    }
+    
+    saveVideoReport() {
+        if (!this.videoReport) return;
+        if (!this.auth.isAuthenticated()) {
+            alert(i18n.t('video.loginRequired'));
+            return;
+        }
+        
+        const { session } = this.videoReport;
+        if (session.reps === 0 && session.holdSeconds === 0 && session.partialReps === 0) {
+            alert(i18n.t('video.nothingCounted'));
+            return;
+        }
+        
+        this.auth.saveSession(session);
+        this.renderGoalProgress();
+        this.checkAchievements();
+        const saveBtn = document.getElementById('video-save-btn');
+        saveBtn.disabled = true;
+        saveBtn.textContent = i18n.t('video.saved');
+    }
+    
+    startCalibration() {
+        const exercise = this.exercises[this.currentExercise];
+        if (!this.auth.isAuthenticated()) {
+            alert(i18n.t('calibration.loginRequired'));
+            return;
+        }
         if (!this.pose || !this.video.srcObject) {
-            alert('Camera not available');
+            alert(i18n.t('camera.unavailable'));
             return;
         }
         
-        this.isRunning = true;
-        this.isPaused = false;
+        this.stop();
+        this.closeVideoAnalysis();
+        this.calibrationRun = {
+            exercise: this.currentExercise,
+            stepIndex: 0,
+            stage: 'countdown',
+            stageEndsAt: Date.now() + this.CALIBRATION_COUNTDOWN,
+            frames: [],
+            samples: {}
+        };
+        
+        this.calibrationOverlay.classList.remove('hidden');
         this.startBtn.disabled = true;
-        this.pauseBtn.disabled = false;
+        this.calibrateBtn.disabled = true;
+        document.getElementById('calibration-title').textContent = i18n.t('calibration.heading', {
+            exercise: i18n.t(exercise.label)
+        });
+        this.renderCalibrationStep();
         
-        // For planks, timer will start when correct form is detected
-        if (this.currentExercise === 'planks') {
-            // Don't start timer yet - wait for correct form
-            this.plankFormValid = false;
+        // Frames are processed like a workout, but only measured
+        this.isRunning = true;
+        this.calibrationInterval = setInterval(() => this.updateCalibration(), 100);
+        this.processVideo();
+    }
+    
+    renderCalibrationStep() {
+        const run = this.calibrationRun;
+        const steps = this.exercises[run.exercise].calibration.steps;
+        const seconds = Math.max(0, Math.ceil((run.stageEndsAt - Date.now()) / 1000));
+        
+        document.getElementById('calibration-step').textContent = i18n.t('calibration.step', {
+            step: run.stepIndex + 1,
+            count: steps.length
+        });
+        document.getElementById('calibration-instruction').textContent = i18n.t(steps[run.stepIndex].instruction);
+        document.getElementById('calibration-countdown').textContent = i18n.t(
+            run.stage === 'countdown' ? 'calibration.getIntoPosition' : 'calibration.holdStill',
+            { seconds }
+        );
+    }
+    
+    collectCalibrationFrame(landmarks, worldLandmarks) {
+        if (!landmarks) return;
+        this.drawSkeleton(landmarks);
+        
+        const measured = this.analyzer.measure(landmarks, worldLandmarks);
+        if (measured && this.calibrationRun.stage === 'capture') {
+            this.calibrationRun.frames.push(measured);
+        }
+    }
+    
+    updateCalibration() {
+        const run = this.calibrationRun;
+        const now = Date.now();
+        if (now < run.stageEndsAt) {
+            this.renderCalibrationStep();
+            return;
         }
         
-        // Start processing loop
-        this.processVideo();
+        if (run.stage === 'countdown') {
+            run.stage = 'capture';
+            run.frames = [];
+            run.stageEndsAt = now + this.CALIBRATION_CAPTURE;
+            this.renderCalibrationStep();
+            return;
+        }
+        
+        // Capture of this step is over
+        const steps = this.exercises[run.exercise].calibration.steps;
+        if (run.frames.length === 0) {
+            this.stopCalibration();
+            alert(i18n.t('calibration.notVisible'));
+            return;
+        }
+        run.samples[steps[run.stepIndex].key] = run.frames;
+        run.stepIndex++;
+        
+        if (run.stepIndex < steps.length) {
+            run.stage = 'countdown';
+            run.stageEndsAt = now + this.CALIBRATION_COUNTDOWN;
+            this.renderCalibrationStep();
+            return;
+        }
+        
+        let thresholds;
+        try {
+            thresholds = this.analyzer.deriveCalibration(run.samples);
+        } catch (error) {
+            this.stopCalibration();
+            alert(i18n.t('calibration.failed', { reason: i18n.t(error.message) }));
+            return;
+        }
+        
+        this.auth.saveCalibration(run.exercise, thresholds);
+        this.analyzer.setCalibration(this.auth.getCalibrationThresholds());
+        const label = i18n.t(this.exercises[run.exercise].label);
+        this.stopCalibration();
+        alert(i18n.t('calibration.saved', { exercise: label }));
+    }
+    
+    stopCalibration() {
+        clearInterval(this.calibrationInterval);
+        this.calibrationInterval = null;
+        this.calibrationRun = null;
+        this.isRunning = false;
+        
+        this.calibrationOverlay.classList.add('hidden');
+        this.startBtn.disabled = false;
+        this.calibrateBtn.disabled = false;
+        this.analyzer.reset();
     }
     
-    startPlankTimer() {
+    startHoldTimer() {
         // Start interval if not already running
-        if (this.plankTimerInterval) return;
+        if (this.holdTimerInterval) return;
         
-        this.plankTimerInterval = setInterval(() => {
+        this.holdTimerInterval = setInterval(() => {
             if (!this.isPaused && this.isRunning) {
-                if (this.plankFormValid && this.plankStartTime !== null) {
+                if (this.holdFormValid && this.holdStartTime !== null) {
                     // Only count time when form is valid and start time is set
                     const now = Date.now();
-                    this.plankElapsedTime = now - this.plankStartTime - this.plankPauseTime;
+                    this.holdElapsedTime = now - this.holdStartTime - this.holdPauseTime;
+                    this.coach.announceHold(Math.floor((this.holdElapsedTime - this.setStartHold) / 1000));
                 }
                 // Always update display
-                this.updatePlankDisplay();
+                this.updateHoldDisplay();
+                this.checkSetComplete();
             }
         }, 100); // Update every 100ms for smooth display
     }
     
-    stopPlankTimerCounting() {
+    stopHoldTimerCounting() {
         // Pause the timer counting (but keep interval running for display)
-        if (this.plankLastPauseStart === null && this.plankStartTime !== null) {
-            this.plankLastPauseStart = Date.now();
+        if (this.holdLastPauseStart === null && this.holdStartTime !== null) {
+            this.holdLastPauseStart = Date.now();
         }
     }
     
-    resumePlankTimerCounting() {
+    resumeHoldTimerCounting() {
         // Resume the timer counting
-        if (this.plankLastPauseStart !== null) {
-            const pauseDuration = Date.now() - this.plankLastPauseStart;
-            this.plankPauseTime += pauseDuration;
-            this.plankLastPauseStart = null;
+        if (this.holdLastPauseStart !== null) {
+            const pauseDuration = Date.now() - this.holdLastPauseStart;
+            this.holdPauseTime += pauseDuration;
+            this.holdLastPauseStart = null;
         }
     }
     
-    stopPlankTimer() {
-        if (this.plankTimerInterval) {
-            clearInterval(this.plankTimerInterval);
-            this.plankTimerInterval = null;
+    stopHoldTimer() {
+        if (this.holdTimerInterval) {
+            clearInterval(this.holdTimerInterval);
+            this.holdTimerInterval = null;
         }
     }
     
-    updatePlankDisplay() {
-        const totalSeconds = Math.floor(this.plankElapsedTime / 1000);
+    updateHoldDisplay() {
+        // In sets mode the stopwatch shows the current set only
+        const elapsed = this.holdElapsedTime - this.setStartHold;
+        const totalSeconds = Math.floor(elapsed / 1000);
         const minutes = Math.floor(totalSeconds / 60);
         const seconds = totalSeconds % 60;
-        const milliseconds = Math.floor((this.plankElapsedTime % 1000) / 100);
+        const milliseconds = Math.floor((elapsed % 1000) / 100);
         
         // Format as MM:SS.ms (stopwatch style)
         this.counterEl.textContent = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${milliseconds}`;
     }
     
-    savePlankTime() {
-        // Save plank time when session ends (pause, stop, or reset)
-        // Only save if we haven't already saved this session's time
-        if (this.auth.isAuthenticated() && this.plankElapsedTime > 0 && this.currentExercise === 'planks' && !this.plankTimeSaved) {
-            const totalSecondsFloat = this.plankElapsedTime / 1000;
-            const stats = this.auth.getUserStats();
-            // Add to existing total
-            stats.planks = (stats.planks || 0) + totalSecondsFloat;
-            this.auth.saveUserStats(stats);
-            this.plankTimeSaved = true;
+    setTempoTarget(text) {
+        const tempo = PoseAnalyzer.parseTempo(text);
+        if (text.trim() && !tempo) {
+            alert(i18n.t('sets.tempoInvalid'));
+            this.tempoInput.value = this.auth.getTempoTarget();
+            return;
+        }
+        this.analyzer.targetTempo = tempo;
+        this.auth.saveTempoTarget(text.trim());
+    }
+    
+    readSetPlan() {
+        const sets = parseInt(this.setsCountInput.value, 10);
+        if (!sets || sets < 1) return null;
+        
+        return {
+            sets,
+            target: Math.max(1, Number(this.setsTargetInput.value) || 1),
+            rest: Math.max(0, Number(this.setsRestInput.value) || 0)
+        };
+    }
+    
+    setSetInputsDisabled(disabled) {
+        [this.setsCountInput, this.setsTargetInput, this.setsRestInput].forEach(input => {
+            input.disabled = disabled;
+        });
+    }
+    
+    startSets() {
+        this.setPlan = this.readSetPlan();
+        this.currentSet = 1;
+        // The first set starts from what is already on the counter
+        this.setStartReps = this.setPlan ? this.repCount : 0;
+        this.setStartHold = this.setPlan ? this.holdElapsedTime : 0;
+        this.setTimeUnderTension = 0;
+        this.setRepScores = [];
+        this.setSetInputsDisabled(true);
+        this.renderSetStatus();
+        
+        if (this.isTimedExercise()) {
+            this.updateHoldDisplay();
+        } else {
+            this.counterEl.textContent = this.repCount - this.setStartReps;
+        }
+    }
+    
+    getSetAmount() {
+        // Reps, or seconds held, in the current set
+        return this.isTimedExercise()
+            ? (this.holdElapsedTime - this.setStartHold) / 1000
+            : this.repCount - this.setStartReps;
+    }
+    
+    renderSetStatus() {
+        if (!this.setPlan || !this.isRunning) {
+            this.setStatusEl.textContent = '';
+            return;
+        }
+        const target = i18n.t(this.isTimedExercise() ? 'units.secondsShort' : 'units.reps', { count: this.setPlan.target });
+        this.setStatusEl.textContent = i18n.t('sets.status', { set: this.currentSet, sets: this.setPlan.sets, target });
+    }
+    
+    checkSetComplete() {
+        if (!this.setPlan || this.isResting || !this.isRunning) return;
+        if (this.getSetAmount() < this.setPlan.target) return;
+        
+        const timed = this.isTimedExercise();
+        if (this.session) {
+            this.session.sets.push({
+                reps: timed ? 0 : this.getSetAmount(),
+                holdSeconds: timed ? Math.round(this.getSetAmount() * 10) / 10 : 0,
+                timeUnderTension: timed ? 0 : Math.round(this.setTimeUnderTension * 10) / 10,
+                // Lowest rep quality, when every rep of the set was scored
+                minScore: !timed && this.setRepScores.length === this.getSetAmount() ? Math.min(...this.setRepScores) : null,
+                completedAt: new Date().toISOString()
+            });
+        }
+        this.saveSession();
+        
+        if (this.currentSet >= this.setPlan.sets) {
+            // Workout finished: stop counting
+            const sets = this.setPlan.sets;
+            this.stop();
+            this.setStatusEl.textContent = i18n.t('sets.allDone', { count: sets });
+            this.coach.speak(i18n.t('coach.workoutComplete'));
+            return;
+        }
+        this.startRest();
+    }
+    
+    startRest() {
+        this.isResting = true;
+        if (this.isTimedExercise()) {
+            this.stopHoldTimerCounting();
+            this.holdFormValid = false;
+        }
+        
+        this.restRemaining = this.setPlan.rest * 1000;
+        if (this.restRemaining <= 0) {
+            this.endRest();
+            return;
+        }
+        
+        this.restNextEl.textContent = i18n.t('sets.next', { set: this.currentSet + 1, sets: this.setPlan.sets });
+        this.coach.speak(i18n.t('coach.setDoneRest', {
+            set: this.currentSet,
+            time: VoiceCoach.formatSeconds(this.setPlan.rest)
+        }));
+        this.restOverlay.classList.remove('hidden');
+        this.setStatusEl.textContent = i18n.t('sets.setDone', { set: this.currentSet, sets: this.setPlan.sets });
+        this.updateRestDisplay();
+        
+        // The countdown stands still while the workout is paused
+        let lastTick = Date.now();
+        this.restInterval = setInterval(() => {
+            const now = Date.now();
+            if (!this.isPaused) {
+                this.restRemaining -= now - lastTick;
+            }
+            lastTick = now;
+            
+            if (this.restRemaining <= 0) {
+                this.endRest();
+            } else {
+                this.updateRestDisplay();
+            }
+        }, 250);
+    }
+    
+    updateRestDisplay() {
+        const totalSeconds = Math.ceil(this.restRemaining / 1000);
+        this.restCountdownEl.textContent = `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    }
+    
+    endRest() {
+        if (!this.isResting) return;
+        this.cancelRest();
+        
+        this.currentSet++;
+        this.setStartReps = this.repCount;
+        this.setStartHold = this.holdElapsedTime;
+        this.setTimeUnderTension = 0;
+        this.setRepScores = [];
+        this.coach.resetHold();
+        this.coach.speak(i18n.t('coach.setGo', { set: this.currentSet }), true);
+        if (this.isTimedExercise()) {
+            this.updateHoldDisplay();
+        } else {
+            this.counterEl.textContent = '0';
+        }
+        this.renderSetStatus();
+    }
+    
+    cancelRest() {
+        if (this.restInterval) {
+            clearInterval(this.restInterval);
+            this.restInterval = null;
+        }
+        this.isResting = false;
+        this.restOverlay.classList.add('hidden');
+    }
+    
+    startSession() {
+        // Replays are for debugging only and never become history
+        if (this.isReplaying) return;
+        
+        const now = new Date().toISOString();
+        this.session = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            exercise: this.currentExercise,
+            startedAt: now,
+            endedAt: now,
+            reps: 0,
+            holdSeconds: 0,
+            pauses: 0,
+            formErrors: {}, // reason -> number of times it appeared
+            sets: [], // { reps, holdSeconds, timeUnderTension, minScore, completedAt } per finished set in sets mode
+            repScores: [], // 0-100 quality of every full rep
+            partialReps: 0,
+            timeUnderTension: 0 // Seconds spent in reps
+        };
+    }
+    
+    saveSession() {
+        // Saved on every rep, pause and session end, so it is safe to call repeatedly
+        if (!this.session) return;
+        
+        this.session.reps = this.isTimedExercise() ? 0 : this.repCount;
+        this.session.holdSeconds = this.isTimedExercise() ? this.holdElapsedTime / 1000 : 0;
+        this.session.endedAt = new Date().toISOString();
+        
+        // Sessions without any counted work are not kept
+        if (this.session.reps === 0 && this.session.holdSeconds === 0 && this.session.partialReps === 0) return;
+        
+        if (!this.auth.isAuthenticated()) {
+            this.auth.saveGuestSession(this.session);
+            return;
         }
+        
+        // Meeting the daily goal checks today in automatically
+        this.auth.saveSession(this.session);
+        this.renderGoalProgress();
+        // Evaluated on every save, so a milestone shows up during the workout
+        this.checkAchievements();
+    }
+    
+    endSession() {
+        this.saveSession();
+        this.session = null;
+        // After a guest workout, offer to keep it in an account
+        this.renderGuestBanner();
     }
     
     async processVideo() {
+        // Replayed frames are fed by the replayer instead of the camera
+        if (this.isReplaying) {
+            return;
+        }
+        
         if (!this.isRunning) {
-            // Stop plank timer when not running and save time
-            if (this.currentExercise === 'planks') {
-                this.savePlankTime();
-                this.stopPlankTimer();
-                this.plankFormValid = false;
+            // Stop hold timer when not running and save time
+            this.endSession();
+            if (this.isTimedExercise()) {
+                this.stopHoldTimer();
+                this.holdFormValid = false;
             }
             return;
         }
@@ -669,21 +3591,37 @@ class FitnessTrainer {
     
     pause() {
         this.isPaused = !this.isPaused;
-        this.pauseBtn.textContent = this.isPaused ? 'Resume' : 'Pause';
+        this.pauseBtn.textContent = i18n.t(this.isPaused ? 'controls.resume' : 'controls.pause');
+        
+        if (this.isPaused && this.session) {
+            this.session.pauses++;
+        }
+        if (this.isPaused) {
+            this.coach.stop();
+        }
         
-        // Handle plank timer pause/resume
-        if (this.currentExercise === 'planks') {
+        if (this.replayer) {
+            if (this.isPaused) {
+                this.replayer.pause();
+            } else {
+                this.replayer.resume();
+            }
+        }
+        
+        // Handle hold timer pause/resume
+        if (this.isTimedExercise()) {
             if (this.isPaused) {
                 // Pause timer counting
-                if (this.plankLastPauseStart === null && this.plankStartTime !== null) {
-                    this.plankLastPauseStart = Date.now();
+                if (this.holdLastPauseStart === null && this.holdStartTime !== null) {
+                    this.holdLastPauseStart = Date.now();
                 }
+                this.saveSession();
             } else {
                 // Resume timer if form is valid
-                if (this.plankFormValid) {
-                    this.resumePlankTimerCounting();
-                    if (!this.plankTimerInterval) {
-                        this.startPlankTimer();
+                if (this.holdFormValid) {
+                    this.resumeHoldTimerCounting();
+                    if (!this.holdTimerInterval) {
+                        this.startHoldTimer();
                     }
                 }
             }
@@ -691,24 +3629,26 @@ class FitnessTrainer {
     }
     
     reset() {
-        // Save plank time before resetting
-        if (this.currentExercise === 'planks') {
-            this.savePlankTime();
-        }
-        
-        this.pushUpCount = 0;
-        this.pushUpState = 'UP';
-        this.squatCount = 0;
-        this.squatState = 'UP';
-        this.plankStartTime = null;
-        this.plankElapsedTime = 0;
-        this.plankPauseTime = 0;
-        this.plankLastPauseStart = null;
-        this.plankFormValid = false;
-        this.plankTimeSaved = false;
-        this.stopPlankTimer();
-        
-        if (this.currentExercise === 'planks') {
+        // Save the session before resetting
+        this.endSession();
+        
+        this.repCount = 0;
+        this.analyzer.reset();
+        this.coach.reset();
+        this.cancelRest();
+        this.currentSet = 1;
+        this.setStartReps = 0;
+        this.setStartHold = 0;
+        this.setTimeUnderTension = 0;
+        this.setRepScores = [];
+        this.holdStartTime = null;
+        this.holdElapsedTime = 0;
+        this.holdPauseTime = 0;
+        this.holdLastPauseStart = null;
+        this.holdFormValid = false;
+        this.stopHoldTimer();
+        
+        if (this.isTimedExercise()) {
             this.counterEl.textContent = '00:00.0';
         } else {
             this.counterEl.textContent = '0';
@@ -718,131 +3658,133 @@ class FitnessTrainer {
         this.statusEl.className = 'status';
         this.feedbackEl.textContent = '';
         this.handsStatusEl.textContent = '';
-        this.previousPoseData = null;
-        this.baselineShoulderY = null;
-        this.baselineHipY = null;
-        this.baselineHipYSquat = null;
+        this.repScoreEl.textContent = '';
+        this.repTempoEl.textContent = '';
+        this.renderSetStatus();
+        
+        // A reset while running starts a fresh session
+        if (this.isRunning) {
+            this.startSession();
+        }
     }
     
-    onPoseResults(results) {
+    // `timestamp` is in ms; replays pass the recorded time of the frame
+    onPoseResults(results, timestamp = Date.now()) {
+        // Frames of a video file belong to its analysis loop
+        if (this.videoFrameResolve) {
+            const resolve = this.videoFrameResolve;
+            this.videoFrameResolve = null;
+            resolve(results);
+            return;
+        }
+        
         // Clear canvas
         this.ctx.save();
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.ctx.restore();
         
-        if (!results.poseLandmarks) {
+        // Raw landmarks are recorded, so replays go through smoothing again
+        const worldLandmarks = results.poseWorldLandmarks || null;
+        this.recorder.addFrame(results.poseLandmarks, worldLandmarks);
+        
+        if (this.calibrationRun) {
+            this.collectCalibrationFrame(results.poseLandmarks, worldLandmarks);
+            return;
+        }
+        
+        const { landmarks, analysis, handsCheck, events } = this.analyzer.process(
+            results.poseLandmarks || null, timestamp, worldLandmarks
+        );
+        
+        if (!landmarks) {
+            this.filterTrace = [];
             this.updateStatus('', '');
             this.handsStatusEl.textContent = '';
+            if (this.isTimedExercise()) {
+                this.updateHoldState(false);
+            }
             return;
         }
         
-        // Smooth pose data
-        const smoothedLandmarks = this.smoothPoseData(results.poseLandmarks);
-        
         // Draw skeleton
-        this.drawSkeleton(smoothedLandmarks);
+        this.drawSkeleton(landmarks);
+        if (this.debugOverlay) {
+            this.drawFilterDebug(results.poseLandmarks, landmarks);
+        }
+        this.showOrientation(analysis);
         
-        // Analyze based on exercise type
-        if (this.currentExercise === 'pushups') {
-            const analysis = this.analyzePushUp(smoothedLandmarks);
-            
-            // Update state machine and count
-            this.updatePushUpState(analysis);
-            
-            // Provide feedback
-            this.provideFeedback(analysis);
-            
-            // Check if hands are on the floor
-            const handsCheck = this.checkHandsOnFloor(smoothedLandmarks);
-            if (handsCheck.handsOnFloor) {
-                this.handsStatusEl.textContent = '✓ Hands on floor';
-                this.handsStatusEl.className = 'hands-status on-floor';
-            } else {
-                this.handsStatusEl.textContent = '✗ Hands not on floor';
-                this.handsStatusEl.className = 'hands-status not-on-floor';
-            }
-        } else if (this.currentExercise === 'squats') {
-            const analysis = this.analyzeSquat(smoothedLandmarks);
-            
-            // Update state machine and count
-            this.updateSquatState(analysis);
-            
-            // Provide feedback
-            this.provideFeedback(analysis);
-            
+        // Nothing is counted while resting between sets
+        if (this.isResting) {
+            this.updateStatus('', '');
+            this.feedbackEl.textContent = '';
             this.handsStatusEl.textContent = '';
-        } else if (this.currentExercise === 'planks') {
-            const analysis = this.analyzePlank(smoothedLandmarks);
-            this.provideFeedback(analysis);
-            
-            // Control timer based on plank form validity
-            const wasValid = this.plankFormValid;
-            this.plankFormValid = analysis.isValid === true;
-            
-            // Ensure timer interval is running when exercise is running
-            if (this.isRunning && !this.isPaused && !this.plankTimerInterval) {
-                this.startPlankTimer();
-            }
-            
-            // Start/resume timer counting when form becomes valid
-            if (this.plankFormValid && !wasValid && this.isRunning && !this.isPaused) {
-                // Initialize start time when first valid form detected
-                if (this.plankStartTime === null) {
-                    this.plankStartTime = Date.now();
-                    this.plankPauseTime = 0;
-                    this.plankTimeSaved = false; // Reset saved flag when starting new session
-                } else {
-                    // Resume counting if we were paused
-                    this.resumePlankTimerCounting();
+            return;
+        }
+        
+        events.forEach(event => {
+            if (event.type === 'rep') {
+                this.countRep(event);
+            } else if (event.type === 'partialRep') {
+                this.countPartialRep();
+            } else if (event.type === 'formError' && this.isRunning && !this.isPaused) {
+                this.coach.announceFormError(event.reason);
+                if (this.session) {
+                    const formErrors = this.session.formErrors;
+                    formErrors[event.reason] = (formErrors[event.reason] || 0) + 1;
                 }
             }
-            
-            // Stop timer counting when form becomes invalid
-            if (!this.plankFormValid && wasValid && this.isRunning && !this.isPaused) {
-                this.stopPlankTimerCounting();
-            }
-            
-            // Check if hands are on the floor
-            const handsCheck = this.checkHandsOnFloor(smoothedLandmarks);
+        });
+        
+        if (this.isTimedExercise()) {
+            this.updateHoldState(analysis.isValid === true);
+        }
+        
+        // Provide feedback
+        this.provideFeedback(analysis);
+        
+        // Check if hands are on the floor
+        if (handsCheck) {
             if (handsCheck.handsOnFloor) {
-                this.handsStatusEl.textContent = '✓ Hands on floor';
+                this.handsStatusEl.textContent = i18n.t('hands.onFloor');
                 this.handsStatusEl.className = 'hands-status on-floor';
             } else {
-                this.handsStatusEl.textContent = '✗ Hands not on floor';
+                this.handsStatusEl.textContent = i18n.t('hands.notOnFloor');
                 this.handsStatusEl.className = 'hands-status not-on-floor';
             }
         } else {
-            // For other exercises, just check hands on floor
-            const handsCheck = this.checkHandsOnFloor(smoothedLandmarks);
-            this.provideFeedback(handsCheck);
-            if (handsCheck.handsOnFloor) {
-                this.handsStatusEl.textContent = '✓ Hands on floor';
-                this.handsStatusEl.className = 'hands-status on-floor';
-            } else {
-                this.handsStatusEl.textContent = '✗ Hands not on floor';
-                this.handsStatusEl.className = 'hands-status not-on-floor';
-            }
+            this.handsStatusEl.textContent = '';
         }
     }
     
-    smoothPoseData(landmarks) {
-        if (!this.previousPoseData) {
-            this.previousPoseData = landmarks.map(lm => ({ ...lm }));
-            return landmarks;
+    updateHoldState(isValid) {
+        // Control timer based on form validity
+        const wasValid = this.holdFormValid;
+        this.holdFormValid = isValid;
+        
+        // Ensure timer interval is running when exercise is running
+        if (this.isRunning && !this.isPaused && !this.holdTimerInterval) {
+            this.startHoldTimer();
         }
         
-        return landmarks.map((lm, i) => {
-            const prev = this.previousPoseData[i];
-            return {
-                x: lm.x * (1 - this.smoothingFactor) + prev.x * this.smoothingFactor,
-                y: lm.y * (1 - this.smoothingFactor) + prev.y * this.smoothingFactor,
-                z: lm.z * (1 - this.smoothingFactor) + prev.z * this.smoothingFactor,
-                visibility: lm.visibility
-            };
-        });
+        // Start/resume timer counting when form becomes valid
+        if (this.holdFormValid && !wasValid && this.isRunning && !this.isPaused) {
+            // Initialize start time when first valid form detected
+            if (this.holdStartTime === null) {
+                this.holdStartTime = Date.now();
+                this.holdPauseTime = 0;
+            } else {
+                // Resume counting if we were paused
+                this.resumeHoldTimerCounting();
+            }
+        }
+        
+        // Stop timer counting when form becomes invalid
+        if (!this.holdFormValid && wasValid && this.isRunning && !this.isPaused) {
+            this.stopHoldTimerCounting();
+        }
     }
     
-    drawSkeleton(landmarks) {
+    drawSkeleton(landmarks, ctx = this.ctx) {
         // Define connections for skeleton
         const connections = [
             [11, 12], // shoulders
@@ -866,472 +3808,176 @@ class FitnessTrainer {
         }
         
         // Draw connections
-        this.ctx.strokeStyle = skeletonColor;
-        this.ctx.lineWidth = 4;
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
-        this.ctx.shadowBlur = 15;
-        this.ctx.shadowColor = skeletonColor;
+        ctx.strokeStyle = skeletonColor;
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = skeletonColor;
         
         connections.forEach(([start, end]) => {
             const startPoint = landmarks[start];
             const endPoint = landmarks[end];
             
-            if (startPoint.visibility > 0.5 && endPoint.visibility > 0.5) {
-                this.ctx.beginPath();
-                this.ctx.moveTo(
-                    startPoint.x * this.canvas.width,
-                    startPoint.y * this.canvas.height
+            if (this.analyzer.isVisible(startPoint) && this.analyzer.isVisible(endPoint)) {
+                ctx.beginPath();
+                ctx.moveTo(
+                    startPoint.x * ctx.canvas.width,
+                    startPoint.y * ctx.canvas.height
                 );
-                this.ctx.lineTo(
-                    endPoint.x * this.canvas.width,
-                    endPoint.y * this.canvas.height
+                ctx.lineTo(
+                    endPoint.x * ctx.canvas.width,
+                    endPoint.y * ctx.canvas.height
                 );
-                this.ctx.stroke();
+                ctx.stroke();
             }
         });
         
         // Draw joints (key points)
         const keyPoints = [11, 12, 13, 14, 15, 16, 23, 24]; // shoulders, elbows, wrists, hips
-        this.ctx.shadowBlur = 10;
+        ctx.shadowBlur = 10;
         
         keyPoints.forEach(index => {
             const point = landmarks[index];
-            if (point.visibility > 0.5) {
-                this.ctx.fillStyle = jointColor;
-                this.ctx.beginPath();
-                this.ctx.arc(
-                    point.x * this.canvas.width,
-                    point.y * this.canvas.height,
+            if (this.analyzer.isVisible(point)) {
+                ctx.fillStyle = jointColor;
+                ctx.beginPath();
+                ctx.arc(
+                    point.x * ctx.canvas.width,
+                    point.y * ctx.canvas.height,
                     8,
                     0,
                     2 * Math.PI
                 );
-                this.ctx.fill();
+                ctx.fill();
                 
                 // Inner highlight
-                this.ctx.fillStyle = '#ffffff';
-                this.ctx.beginPath();
-                this.ctx.arc(
-                    point.x * this.canvas.width,
-                    point.y * this.canvas.height,
+                ctx.fillStyle = '#ffffff';
+                ctx.beginPath();
+                ctx.arc(
+                    point.x * ctx.canvas.width,
+                    point.y * ctx.canvas.height,
                     4,
                     0,
                     2 * Math.PI
                 );
-                this.ctx.fill();
+                ctx.fill();
             }
         });
         
         // Reset shadow
-        this.ctx.shadowBlur = 0;
-        
-        // Store current pose for smoothing
-        this.previousPoseData = landmarks.map(lm => ({ ...lm }));
-    }
-    
-    analyzePushUp(landmarks) {
-        // Get key landmarks
-        // MediaPipe Pose landmark indices:
-        // 11: left shoulder, 12: right shoulder
-        // 13: left elbow, 14: right elbow
-        // 15: left wrist, 16: right wrist
-        // 23: left hip, 24: right hip
-        
-        const leftShoulder = landmarks[11];
-        const rightShoulder = landmarks[12];
-        const leftElbow = landmarks[13];
-        const rightElbow = landmarks[14];
-        const leftWrist = landmarks[15];
-        const rightWrist = landmarks[16];
-        const leftHip = landmarks[23];
-        const rightHip = landmarks[24];
-        
-        // Check visibility
-        const allVisible = 
-            leftShoulder.visibility > 0.5 &&
-            rightShoulder.visibility > 0.5 &&
-            leftElbow.visibility > 0.5 &&
-            rightElbow.visibility > 0.5 &&
-            leftWrist.visibility > 0.5 &&
-            rightWrist.visibility > 0.5;
-        
-        if (!allVisible) {
-            return { isValid: false, reason: 'Not all body parts visible' };
-        }
-        
-        // Calculate elbow angles
-        const leftAngle = this.calculateAngle(leftShoulder, leftElbow, leftWrist);
-        const rightAngle = this.calculateAngle(rightShoulder, rightElbow, rightWrist);
-        
-        // Calculate shoulder movement (vertical distance from hips)
-        const avgShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
-        const avgHipY = (leftHip.y + rightHip.y) / 2;
-        const shoulderHeight = Math.abs(avgShoulderY - avgHipY);
-        
-        // Calculate symmetry (difference in elbow angles)
-        const angleDifference = Math.abs(leftAngle - rightAngle);
-        
-        // Calculate body alignment (shoulder level)
-        const shoulderLevel = Math.abs(leftShoulder.y - rightShoulder.y);
-        const hipLevel = Math.abs(leftHip.y - rightHip.y);
-        const bodyTilt = Math.max(shoulderLevel, hipLevel);
-        
-        // Check if angles are valid (elbows bent enough)
-        const bothArmsBent = leftAngle < this.ELBOW_ANGLE_THRESHOLD && 
-                            rightAngle < this.ELBOW_ANGLE_THRESHOLD;
-        
-        // Check symmetry
-        const isSymmetric = angleDifference < this.SYMMETRY_THRESHOLD;
-        
-        // Check body alignment (no excessive tilt)
-        const isAligned = bodyTilt < 0.03; // 3% of frame height
-        
-        // Determine if push-up is correct
-        let isValid = false;
-        let reason = '';
-        
-        // Check if shoulders are above hips (proper push-up position)
-        const shoulderToHipDistance = avgShoulderY - avgHipY;
-        const shouldersAboveHips = shoulderToHipDistance < 0; // Negative means shoulders are above (smaller Y)
-        
-        // Establish baseline on first valid frame when in UP position (arms straight or starting)
-        if (this.baselineShoulderY === null && shouldersAboveHips && isAligned) {
-            // Only set baseline if arms are not fully bent (starting position)
-            const avgAngle = (leftAngle + rightAngle) / 2;
-            if (avgAngle > 140) { // Arms mostly straight
-                this.baselineShoulderY = avgShoulderY;
-                this.baselineHipY = avgHipY;
-            }
-        }
-        
-        // Phase-aware validation: different rules for UP vs DOWN phase
-        const avgAngle = (leftAngle + rightAngle) / 2;
-        const isInDownPhase = this.pushUpState === 'DOWN';
-        
-        // Validation checks in priority order
-        if (!shouldersAboveHips) {
-            reason = 'Keep your body higher';
-        } else if (!isAligned) {
-            reason = 'Keep your body straight';
-        } else if (!isSymmetric) {
-            reason = 'Work with both arms symmetrically';
-        } else if (isInDownPhase && !bothArmsBent) {
-            // During DOWN phase, we require arms to be bent
-            reason = 'Bend your arms more';
-        } else if (!isInDownPhase && avgAngle < 100) {
-            // During UP phase, if arms are still very bent, it's incomplete
-            reason = 'Straighten your arms completely';
-        } else {
-            // All form checks passed - valid push-up
-            isValid = true;
-        }
-        
-        return {
-            isValid,
-            reason: isValid ? '' : reason,
-            leftAngle,
-            rightAngle,
-            angleDifference,
-            shoulderHeight,
-            bodyTilt,
-            avgShoulderY,
-            avgHipY,
-            shouldersAboveHips,
-            isAligned
-        };
-    }
-    
-    calculateAngle(point1, point2, point3) {
-        // Calculate angle at point2 (the middle point)
-        const vector1 = {
-            x: point1.x - point2.x,
-            y: point1.y - point2.y
-        };
-        const vector2 = {
-            x: point3.x - point2.x,
-            y: point3.y - point2.y
-        };
-        
-        const dotProduct = vector1.x * vector2.x + vector1.y * vector2.y;
-        const magnitude1 = Math.sqrt(vector1.x * vector1.x + vector1.y * vector1.y);
-        const magnitude2 = Math.sqrt(vector2.x * vector2.x + vector2.y * vector2.y);
-        
-        const cosAngle = dotProduct / (magnitude1 * magnitude2);
-        const angle = Math.acos(Math.max(-1, Math.min(1, cosAngle))) * (180 / Math.PI);
-        
-        return angle;
+        ctx.shadowBlur = 0;
     }
     
-    updatePushUpState(analysis) {
-        // Don't update state if we don't have valid pose data
-        if (!analysis) {
-            return;
-        }
-        
-        const { avgShoulderY, avgHipY, leftAngle, rightAngle, shouldersAboveHips, isAligned } = analysis;
-        
-        // Use baseline for state detection if available
-        if (this.baselineShoulderY === null) {
-            return; // Wait for baseline
-        }
+    drawFilterDebug(raw, filtered) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        
+        // Raw detections as red rings around the filtered joints
+        ctx.strokeStyle = '#ff6b6b';
+        ctx.lineWidth = 2;
+        [11, 12, 13, 14, 15, 16, 23, 24, 25, 26, 27, 28].forEach(index => {
+            ctx.beginPath();
+            ctx.arc(raw[index].x * width, raw[index].y * height, 6, 0, 2 * Math.PI);
+            ctx.stroke();
+        });
         
-        // Basic safety check - must have shoulders above hips and body aligned
-        if (!shouldersAboveHips || !isAligned) {
-            return;
+        // Height of the first landmark the exercise reads, raw (red) against filtered (cyan),
+        // shows the jitter the filter removes and the lag it adds
+        const index = POSE_LANDMARKS[this.exercises[this.currentExercise].landmarks[0]];
+        this.filterTrace.push({ raw: raw[index].y, filtered: filtered[index].y });
+        if (this.filterTrace.length > this.DEBUG_TRACE_LENGTH) {
+            this.filterTrace.shift();
         }
         
-        const shoulderMovement = avgShoulderY - this.baselineShoulderY;
-        const avgAngle = (leftAngle + rightAngle) / 2;
-        const downThreshold = this.MIN_SHOULDER_DROP * 2; // Require significant movement to count as down
-        const upThreshold = this.MIN_SHOULDER_DROP * 0.5; // Threshold to return to up
-        
-        // State machine logic
-        if (this.pushUpState === 'UP') {
-            // Transition to DOWN when:
-            // 1. Shoulders have moved down significantly, AND
-            // 2. Arms are bent (angle decreased - during down phase we expect bending)
-            if (shoulderMovement > downThreshold && avgAngle < this.ELBOW_ANGLE_THRESHOLD) {
-                this.pushUpState = 'DOWN';
-            }
-        } else if (this.pushUpState === 'DOWN') {
-            // Transition to UP when:
-            // 1. Shoulders have moved back up close to baseline, AND
-            // 2. Arms are returning to straighter position (angles increasing)
-            if (shoulderMovement < upThreshold && avgAngle > 110) {
-                this.pushUpState = 'UP';
-                this.pushUpCount++;
-                this.counterEl.textContent = this.pushUpCount;
-                
-                // Save to user stats
-                if (this.auth.isAuthenticated()) {
-                    this.auth.addExerciseCount('pushups', 1);
+        const box = { x: 10, y: height - 110, width: 240, height: 100 };
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(box.x, box.y, box.width, box.height);
+        
+        const values = this.filterTrace.flatMap(point => [point.raw, point.filtered]);
+        const min = Math.min(...values);
+        const range = Math.max(Math.max(...values) - min, 0.01);
+        const plot = key => {
+            ctx.beginPath();
+            this.filterTrace.forEach((point, i) => {
+                const x = box.x + (i / (this.DEBUG_TRACE_LENGTH - 1)) * box.width;
+                const y = box.y + 5 + ((point[key] - min) / range) * (box.height - 10);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
                 }
-                
-                // Update baseline for next repetition (use current position as new baseline)
-                this.baselineShoulderY = avgShoulderY;
-                this.baselineHipY = avgHipY;
-                
-                // Celebration animation
-                this.counterEl.style.transition = 'transform 0.2s ease';
-                this.counterEl.style.transform = 'scale(1.3)';
-                setTimeout(() => {
-                    this.counterEl.style.transform = 'scale(1)';
-                }, 200);
-            }
-        }
+            });
+            ctx.stroke();
+        };
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#ff6b6b';
+        plot('raw');
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#4ecdc4';
+        plot('filtered');
     }
     
-    analyzeSquat(landmarks) {
-        // MediaPipe Pose landmark indices:
-        // 23: left hip, 24: right hip
-        // 25: left knee, 26: right knee
-        // 27: left ankle, 28: right ankle
-        
-        const leftHip = landmarks[23];
-        const rightHip = landmarks[24];
-        const leftKnee = landmarks[25];
-        const rightKnee = landmarks[26];
-        const leftAnkle = landmarks[27];
-        const rightAnkle = landmarks[28];
-        
-        // Check visibility
-        const allVisible = 
-            leftHip.visibility > 0.5 &&
-            rightHip.visibility > 0.5 &&
-            leftKnee.visibility > 0.5 &&
-            rightKnee.visibility > 0.5 &&
-            leftAnkle.visibility > 0.5 &&
-            rightAnkle.visibility > 0.5;
-        
-        if (!allVisible) {
-            return { isValid: false, reason: 'Not all body parts visible' };
-        }
-        
-        // Calculate knee angles
-        const leftKneeAngle = this.calculateAngle(leftHip, leftKnee, leftAnkle);
-        const rightKneeAngle = this.calculateAngle(rightHip, rightKnee, rightAnkle);
-        
-        // Calculate average hip Y position
-        const avgHipY = (leftHip.y + rightHip.y) / 2;
-        
-        // Establish baseline on first valid frame when standing
-        if (this.baselineHipYSquat === null) {
-            const avgAngle = (leftKneeAngle + rightKneeAngle) / 2;
-            if (avgAngle > 150) { // Legs mostly straight (standing)
-                this.baselineHipYSquat = avgHipY;
+    countRep(rep) {
+        // Reps made while resting are ignored, so the total is kept here rather than in the analyzer
+        this.repCount++;
+        this.counterEl.textContent = this.repCount - this.setStartReps;
+        this.coach.announceRep(this.repCount - this.setStartReps);
+        this.videoRecorder.addMarker(i18n.t('video.event.rep', { count: this.repCount }), { rep: this.repCount, score: rep.score });
+        
+        if (rep.score !== undefined) {
+            if (this.session) {
+                this.session.repScores.push(rep.score);
+                this.session.timeUnderTension = Math.round((this.session.timeUnderTension + rep.timeUnderTension) * 10) / 10;
             }
+            this.setTimeUnderTension += rep.timeUnderTension;
+            this.setRepScores.push(rep.score);
+            this.showRepScore(i18n.t('rep.lastScore', { score: rep.score }), rep.score);
+            this.showRepTempo(rep);
         }
         
-        // Calculate angles and symmetry
-        const avgAngle = (leftKneeAngle + rightKneeAngle) / 2;
-        const angleDifference = Math.abs(leftKneeAngle - rightKneeAngle);
-        const isSymmetric = angleDifference < 20; // degrees
-        
-        // Determine if squat is correct
-        let isValid = false;
-        let reason = '';
-        
-        if (this.baselineHipYSquat === null) {
-            reason = 'Stand up straight to start';
-        } else if (!isSymmetric) {
-            reason = 'Keep both legs balanced';
-        } else if (avgAngle < this.SQUAT_KNEE_ANGLE_THRESHOLD) {
-            // Legs are bent enough for a squat
-            const hipDrop = avgHipY - this.baselineHipYSquat;
-            if (hipDrop > this.SQUAT_HIP_DROP_THRESHOLD) {
-                isValid = true;
-            } else {
-                reason = 'Go lower';
-            }
-        } else if (avgAngle > 150) {
-            // Legs are straight (standing position)
-            isValid = true;
-        } else {
-            reason = 'Position yourself in view';
-        }
+        // Save to workout history
+        this.saveSession();
         
-        return {
-            isValid,
-            reason: isValid ? '' : reason,
-            leftKneeAngle,
-            rightKneeAngle,
-            avgAngle,
-            avgHipY,
-            isSymmetric
-        };
+        // Celebration animation
+        this.counterEl.style.transition = 'transform 0.2s ease';
+        this.counterEl.style.transform = 'scale(1.3)';
+        setTimeout(() => {
+            this.counterEl.style.transform = 'scale(1)';
+        }, 200);
+        
+        this.checkSetComplete();
     }
     
-    updateSquatState(analysis) {
-        if (!analysis || this.baselineHipYSquat === null) {
-            return;
-        }
-        
-        const { avgAngle } = analysis;
-        
-        // State machine logic for squats
-        if (this.squatState === 'UP') {
-            // Transition to DOWN when knees are bent significantly
-            if (avgAngle < this.SQUAT_KNEE_ANGLE_THRESHOLD) {
-                this.squatState = 'DOWN';
-            }
-        } else if (this.squatState === 'DOWN') {
-            // Transition to UP when returning to standing
-            if (avgAngle > 150) {
-                this.squatState = 'UP';
-                this.squatCount++;
-                this.counterEl.textContent = this.squatCount;
-                
-                // Save to user stats
-                if (this.auth.isAuthenticated()) {
-                    this.auth.addExerciseCount('squats', 1);
-                }
-                
-                // Celebration animation
-                this.counterEl.style.transition = 'transform 0.2s ease';
-                this.counterEl.style.transform = 'scale(1.3)';
-                setTimeout(() => {
-                    this.counterEl.style.transform = 'scale(1)';
-                }, 200);
-            }
+    countPartialRep() {
+        if (this.session) {
+            this.session.partialReps++;
         }
+        this.showRepScore(i18n.t('rep.partial'), 0);
+        this.coach.announceFormError('reason.partialRep');
+        this.saveSession();
     }
     
-    analyzePlank(landmarks) {
-        // For planks, we want to check if the body is straight and horizontal
-        // MediaPipe Pose landmark indices:
-        // 11: left shoulder, 12: right shoulder
-        // 23: left hip, 24: right hip
-        // 27: left ankle, 28: right ankle
-        
-        const leftShoulder = landmarks[11];
-        const rightShoulder = landmarks[12];
-        const leftHip = landmarks[23];
-        const rightHip = landmarks[24];
-        const leftAnkle = landmarks[27];
-        const rightAnkle = landmarks[28];
-        
-        // Check visibility
-        const allVisible = 
-            leftShoulder.visibility > 0.5 &&
-            rightShoulder.visibility > 0.5 &&
-            leftHip.visibility > 0.5 &&
-            rightHip.visibility > 0.5;
-        
-        if (!allVisible) {
-            return { isValid: false, reason: 'Position yourself in view' };
-        }
-        
-        // Calculate body alignment (shoulder and hip level)
-        const shoulderLevel = Math.abs(leftShoulder.y - rightShoulder.y);
-        const hipLevel = Math.abs(leftHip.y - rightHip.y);
-        const bodyTilt = Math.max(shoulderLevel, hipLevel);
-        
-        // Check if body is straight (low tilt)
-        const isAligned = bodyTilt < 0.03; // 3% of frame height
-        
-        // Calculate if body is relatively horizontal (hips not too much higher/lower than shoulders)
-        const avgShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
-        const avgHipY = (leftHip.y + rightHip.y) / 2;
-        const verticalDiff = Math.abs(avgShoulderY - avgHipY);
-        const isHorizontal = verticalDiff < 0.2; // Allow some variation
-        
-        let isValid = false;
-        let reason = '';
-        
-        if (!isAligned) {
-            reason = 'Keep your body straight';
-        } else if (!isHorizontal) {
-            reason = 'Keep your body horizontal';
-        } else {
-            isValid = true;
+    showRepTempo(rep) {
+        const { eccentric, pause, concentric } = rep.tempo;
+        this.repTempoEl.textContent = i18n.t('rep.tempo', { tempo: `${eccentric}-${pause}-${concentric}` }) +
+            (rep.tempoFeedback ? ` · ${i18n.t(rep.tempoFeedback)}` : '');
+        this.repTempoEl.className = 'rep-tempo' + (rep.tempoFeedback ? ' too-fast' : '');
+        if (rep.tempoFeedback) {
+            this.coach.announceFormError(rep.tempoFeedback);
         }
-        
-        return {
-            isValid,
-            reason: isValid ? '' : reason,
-            bodyTilt,
-            isAligned,
-            isHorizontal
-        };
     }
     
-    checkHandsOnFloor(landmarks) {
-        // MediaPipe Pose landmark indices:
-        // 15: left wrist, 16: right wrist
-        // 23: left hip, 24: right hip
-        // 27: left ankle, 28: right ankle
-        
-        const leftWrist = landmarks[15];
-        const rightWrist = landmarks[16];
-        const leftHip = landmarks[23];
-        const rightHip = landmarks[24];
-        const leftAnkle = landmarks[27];
-        const rightAnkle = landmarks[28];
-        
-        // Check visibility
-        const wristsVisible = leftWrist.visibility > 0.5 && rightWrist.visibility > 0.5;
-        
-        if (!wristsVisible) {
-            return { handsOnFloor: false, reason: 'Wrists not visible' };
-        }
-        
-        // Calculate average positions
-        const avgWristY = (leftWrist.y + rightWrist.y) / 2;
-        const avgHipY = (leftHip.y + rightHip.y) / 2;
-        const avgAnkleY = leftAnkle.visibility > 0.5 && rightAnkle.visibility > 0.5 
-            ? (leftAnkle.y + rightAnkle.y) / 2 
-            : avgHipY + 0.3; // Fallback if ankles not visible
-        
-        // Hands are on floor if wrists are at or below hip/ankle level
-        // We use a threshold: wrists should be at least at hip level or lower
-        const threshold = avgHipY + 0.15; // Allow some tolerance (15% of frame height)
-        const handsOnFloor = avgWristY >= threshold;
-        
-        return {
-            handsOnFloor,
-            reason: handsOnFloor ? 'Hands detected on floor' : 'Raise your hands'
-        };
+    showOrientation(analysis) {
+        // Which way the camera sees the user, and whether angles are measured in 3D
+        const label = analysis.orientation ? i18n.t(`view.${analysis.orientation}`) : '';
+        this.viewStatusEl.textContent = label && analysis.is3D ? `${label} · 3D` : label;
+    }
+    
+    showRepScore(text, score) {
+        this.repScoreEl.textContent = text;
+        this.repScoreEl.className = 'rep-score ' + (score >= 80 ? 'good' : score >= 50 ? 'fair' : 'poor');
     }
     
     provideFeedback(analysis) {
@@ -1343,20 +3989,20 @@ class FitnessTrainer {
         if (analysis.isValid !== undefined) {
             // Push-up analysis feedback
             if (analysis.isValid) {
-                this.updateStatus('Correct', 'correct');
+                this.updateStatus(i18n.t('status.correct'), 'correct');
                 this.feedbackEl.textContent = '';
             } else {
-                this.updateStatus('Incorrect', 'incorrect');
-                this.feedbackEl.textContent = analysis.reason || '';
+                this.updateStatus(i18n.t('status.incorrect'), 'incorrect');
+                this.feedbackEl.textContent = analysis.reason ? i18n.t(analysis.reason) : '';
             }
         } else {
             // Hands check feedback (for other exercises)
             if (analysis.handsOnFloor) {
-                this.updateStatus('Hands on floor ✓', 'correct');
+                this.updateStatus(i18n.t('status.handsOnFloor'), 'correct');
                 this.feedbackEl.textContent = '';
             } else {
-                this.updateStatus('Hands not on floor', 'incorrect');
-                this.feedbackEl.textContent = analysis.reason || '';
+                this.updateStatus(i18n.t('status.handsNotOnFloor'), 'incorrect');
+                this.feedbackEl.textContent = analysis.reason ? i18n.t(analysis.reason) : '';
             }
         }
     }
@@ -1367,6 +4013,15 @@ class FitnessTrainer {
     }
 }
 
+// Offline support: caches the app and the pose model once it has been opened (see sw.js)
+if ('serviceWorker' in navigator && window.isSecureContext) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    });
+}
+
 // Initialize application when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
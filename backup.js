@@ -0,0 +1,261 @@
+// ============================================
+// BACKUP
+// Export of a user's data as a versioned JSON bundle or as CSV tables,
+// and the validation and merge rules used to import a bundle again.
+// ============================================
+
+const BACKUP_FORMAT = 'fitness-trainer-backup';
+const BACKUP_VERSION = 1;
+
+// Bundle fields (version 1):
+//   format, version, exportedAt - identify the file
+//   user          - name and email of the exported account, shown before importing
+//   data.calendar - date key -> check-in, as stored in calendar_<id>
+//   data.sessions - workout history, sessions_<id>
+//   data.stats    - lifetime totals, stats_<id>; informational, totals are recomputed from sessions
+//   data.preferences - goal, program, calibration, voice, settings, achievements, reminders
+//                   (objects) and tempo (text)
+const BACKUP_PREFERENCES = ['goal', 'program', 'calibration', 'voice', 'settings', 'achievements', 'reminders', 'tempo'];
+
+function createBackup(user, data) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        user: { name: user.name, email: user.email },
+        data
+    };
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Local calendar date, the way check-ins are keyed ('YYYY-MM-DD')
+function localDateKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Throws an Error whose message is a message key (see i18n.js).
+// Preferences are only checked for their shape here; AuthSystem checks their values
+// with the same rules as its setters before importing.
+function parseBackup(text, today = localDateKey(new Date())) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (error) {
+        throw new Error('backup.error.invalidJson');
+    }
+
+    if (!isPlainObject(bundle) || bundle.format !== BACKUP_FORMAT || !Number.isInteger(bundle.version)) {
+        throw new Error('backup.error.notBackup');
+    }
+    if (bundle.version > BACKUP_VERSION) {
+        throw new Error('backup.error.newer');
+    }
+
+    const data = bundle.data;
+    if (!isPlainObject(data) || !isPlainObject(data.calendar) || !Array.isArray(data.sessions)) {
+        throw new Error('backup.error.missingData');
+    }
+
+    // Dated check-ins follow the check-in rules, so none lie in the future;
+    // numbered days 1-30 come from the old 30-day calendar
+    const calendarValid = Object.entries(data.calendar).every(([key, checkIn]) => {
+        if (/^([1-9]|[12]\d|30)$/.test(key)) return typeof checkIn === 'boolean';
+        return /^\d{4}-\d{2}-\d{2}$/.test(key) && !Number.isNaN(Date.parse(key)) && key <= today &&
+            isPlainObject(checkIn);
+    });
+    if (!calendarValid) {
+        throw new Error('backup.error.malformedCalendar');
+    }
+
+    // Every field the history, achievements and CSV export read. Fields added by later
+    // versions (sets, quality, video sessions) may be missing from older sessions.
+    const isCount = value => typeof value === 'number' && value >= 0;
+    const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    const optional = (value, check) => value === undefined || check(value);
+    const isSet = set => isPlainObject(set) && isCount(set.reps) && isCount(set.holdSeconds) &&
+        optional(set.timeUnderTension, isCount) &&
+        optional(set.minScore, score => score === null || isCount(score));
+    const isTimelineEntry = entry => isPlainObject(entry) && isCount(entry.t) &&
+        typeof entry.key === 'string' && optional(entry.params, isPlainObject);
+    const sessionsValid = data.sessions.every(session =>
+        isPlainObject(session) &&
+        // Ids the sync server accepts as record keys (see server/server.js)
+        typeof session.id === 'string' && /^[\w.-]{1,100}$/.test(session.id) &&
+        typeof session.exercise === 'string' &&
+        isDate(session.startedAt) &&
+        isDate(session.endedAt) &&
+        isCount(session.reps) &&
+        isCount(session.holdSeconds) &&
+        isCount(session.pauses) &&
+        isPlainObject(session.formErrors) && Object.values(session.formErrors).every(isCount) &&
+        optional(session.sets, sets => Array.isArray(sets) && sets.every(isSet)) &&
+        optional(session.repScores, scores => Array.isArray(scores) && scores.every(isCount)) &&
+        optional(session.partialReps, isCount) &&
+        optional(session.timeUnderTension, isCount) &&
+        optional(session.source, source => typeof source === 'string') &&
+        optional(session.videoName, name => typeof name === 'string') &&
+        optional(session.timeline, timeline => Array.isArray(timeline) && timeline.every(isTimelineEntry)) &&
+        optional(session.legacy, legacy => typeof legacy === 'boolean')
+    );
+    if (!sessionsValid) {
+        throw new Error('backup.error.malformedSessions');
+    }
+    if (new Set(data.sessions.map(session => session.id)).size !== data.sessions.length) {
+        throw new Error('backup.error.duplicateSession');
+    }
+
+    const preferences = data.preferences || {};
+    const preferencesValid = isPlainObject(preferences) && BACKUP_PREFERENCES.every(name => {
+        const value = preferences[name];
+        if (value === undefined) return true;
+        if (name === 'tempo') return typeof value === 'string';
+        if (name === 'program') return value === null || isPlainObject(value);
+        return isPlainObject(value);
+    });
+    if (!preferencesValid) {
+        throw new Error('backup.error.malformedSettings');
+    }
+
+    return bundle;
+}
+
+// Data after importing. current and the result are { calendar, sessions, preferences }.
+//   merge   - sessions are matched by id, so importing the same backup twice adds nothing;
+//             of two copies of a session the one saved last wins. Existing check-ins and
+//             preferences are kept and only missing ones are taken from the backup.
+//   replace - the backup's data replaces everything
+function applyBackup(current, bundle, mode) {
+    const imported = bundle.data;
+    const importedPreferences = imported.preferences || {};
+
+    if (mode === 'replace') {
+        return {
+            calendar: { ...imported.calendar },
+            sessions: imported.sessions.map(session => ({ ...session })),
+            preferences: { ...importedPreferences }
+        };
+    }
+
+    const sessions = current.sessions.map(session => ({ ...session }));
+    imported.sessions.forEach(session => {
+        const index = sessions.findIndex(existing => existing.id === session.id);
+        if (index === -1) {
+            sessions.push({ ...session });
+        } else if (session.endedAt > sessions[index].endedAt) {
+            sessions[index] = { ...session };
+        }
+    });
+    sessions.sort((a, b) => (a.startedAt < b.startedAt ? -1 : a.startedAt > b.startedAt ? 1 : 0));
+
+    return {
+        calendar: { ...imported.calendar, ...current.calendar },
+        sessions,
+        preferences: { ...importedPreferences, ...current.preferences }
+    };
+}
+
+// What an import would change, shown before anything is written
+function previewBackup(current, bundle, mode) {
+    const result = applyBackup(current, bundle, mode);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    const before = {};
+    current.sessions.forEach(session => {
+        before[session.id] = session;
+    });
+    const after = new Set(result.sessions.map(session => session.id));
+    const sessions = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+    result.sessions.forEach(session => {
+        const existing = before[session.id];
+        if (!existing) {
+            sessions.added++;
+        } else if (same(existing, session)) {
+            sessions.unchanged++;
+        } else {
+            sessions.updated++;
+        }
+    });
+    sessions.removed = current.sessions.filter(session => !after.has(session.id)).length;
+
+    const checkIns = { added: 0, removed: 0 };
+    Object.keys(result.calendar).forEach(key => {
+        if (!current.calendar[key]) checkIns.added++;
+    });
+    Object.keys(current.calendar).forEach(key => {
+        if (!result.calendar[key]) checkIns.removed++;
+    });
+
+    const preferences = BACKUP_PREFERENCES.filter(name =>
+        !same(current.preferences[name], result.preferences[name])
+    );
+
+    return { sessions, checkIns, preferences, result };
+}
+
+function toCsv(rows) {
+    // Spreadsheets run cells starting with = + - @ as formulas, so those are prefixed
+    // with ' to stay text. RFC 4180: quote fields containing separators, quotes or line breaks.
+    const escape = value => {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+// CSV tables for spreadsheets: { sessions, checkIns, totals }.
+// `translate` turns the form error keys of the sessions into text.
+function backupToCsv(bundle, exercises, translate = key => key) {
+    const { calendar, sessions, stats = {} } = bundle.data;
+    const average = values => values.length > 0
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+        : '';
+
+    const sessionRows = [[
+        'id', 'exercise', 'startedAt', 'endedAt', 'reps', 'partialReps', 'holdSeconds',
+        'pauses', 'sets', 'averageQuality', 'timeUnderTension', 'source', 'formErrors'
+    ]];
+    sessions.forEach(session => {
+        sessionRows.push([
+            session.id,
+            session.exercise,
+            session.startedAt,
+            session.endedAt,
+            session.reps,
+            session.partialReps || 0,
+            session.holdSeconds,
+            session.pauses || 0,
+            (session.sets || []).length,
+            average(session.repScores || []),
+            session.timeUnderTension || 0,
+            session.legacy ? 'legacy' : session.source || 'camera',
+            Object.entries(session.formErrors || {}).map(([reason, count]) => `${translate(reason)} ×${count}`).join('; ')
+        ]);
+    });
+
+    const checkInRows = [['date', 'checkedInAt', 'source']];
+    Object.keys(calendar).sort().forEach(key => {
+        const checkIn = isPlainObject(calendar[key]) ? calendar[key] : {};
+        checkInRows.push([key, checkIn.checkedInAt, checkIn.source]);
+    });
+
+    const totalRows = [['exercise', 'total', 'unit']];
+    Object.entries(stats).forEach(([id, total]) => {
+        const exercise = exercises[id];
+        totalRows.push([id, total, exercise && exercise.type === 'timed' ? 'seconds' : 'reps']);
+    });
+
+    return {
+        sessions: toCsv(sessionRows),
+        checkIns: toCsv(checkInRows),
+        totals: toCsv(totalRows)
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BACKUP_FORMAT, BACKUP_VERSION, createBackup, parseBackup, applyBackup, previewBackup, toCsv, backupToCsv };
+}
@@ -0,0 +1,85 @@
+// ============================================
+// CALENDAR
+// Local date keys and the check-in streak rules.
+// DOM-free, so it runs in the browser and under Node.
+// ============================================
+
+// Local calendar date as YYYY-MM-DD
+function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function fromDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function isDateKey(key) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(key);
+}
+
+// Whole calendar days from a to b (rounded, so DST changes do not matter)
+function daysBetween(a, b) {
+    return Math.round((b - a) / (24 * 60 * 60 * 1000));
+}
+
+// True when every day strictly between the two dates is a rest day
+function onlyRestDaysBetween(from, to, isRestDay) {
+    const cursor = new Date(from);
+    cursor.setDate(cursor.getDate() + 1);
+    while (cursor < to) {
+        if (!isRestDay(toDateKey(cursor))) return false;
+        cursor.setDate(cursor.getDate() + 1);
+    }
+    return true;
+}
+
+// Streaks of the sorted check-in date keys. Rest days of the training program
+// (isRestDay(dateKey) is true) don't extend a streak, but taking one doesn't break it either.
+function calculateStreaks(checkIns, now = new Date(), isRestDay = () => false) {
+    const checked = new Set(checkIns);
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    checkIns.forEach(key => {
+        const date = fromDateKey(key);
+        run = previous && onlyRestDaysBetween(previous, date, isRestDay) ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = date;
+    });
+
+    // Today still counts as open: the streak is only broken once a whole day is missed
+    const cursor = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (!checked.has(toDateKey(cursor))) {
+        cursor.setDate(cursor.getDate() - 1);
+    }
+    let current = 0;
+    while (checked.has(toDateKey(cursor)) || isRestDay(toDateKey(cursor))) {
+        if (checked.has(toDateKey(cursor))) current++;
+        cursor.setDate(cursor.getDate() - 1);
+    }
+
+    // The most recent day without a check-in since training began breaks the streak
+    let lastMissed = null;
+    if (checkIns.length > 0 && toDateKey(cursor) >= checkIns[0]) {
+        lastMissed = toDateKey(cursor);
+    }
+
+    return { current, longest, lastMissed };
+}
+
+// A past day after the first check-in that was neither checked in nor a rest day
+function isMissedDate(dateKey, checkIns, now = new Date(), isRestDay = () => false) {
+    return checkIns.length > 0 &&
+        dateKey > checkIns[0] &&
+        dateKey < toDateKey(now) &&
+        !checkIns.includes(dateKey) &&
+        !isRestDay(dateKey);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { toDateKey, fromDateKey, isDateKey, daysBetween, calculateStreaks, isMissedDate };
+}
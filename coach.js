@@ -0,0 +1,123 @@
+// ============================================
+// VOICE COACH
+// Speaks rep counts, hold milestones and form tips with the
+// Speech Synthesis API, so the user does not need to see the screen.
+// ============================================
+
+// Verbosity levels:
+//   off    - silent
+//   counts - reps, hold milestones and sets
+//   full   - counts plus form tips
+const VOICE_VERBOSITY = ['off', 'counts', 'full'];
+
+class VoiceCoach {
+    constructor() {
+        this.synth = typeof window !== 'undefined' && window.speechSynthesis ? window.speechSynthesis : null;
+        this.settings = VoiceCoach.defaultSettings();
+
+        this.REASON_REPEAT_MS = 8000; // The same form tip is not repeated sooner
+        this.TIP_GAP_MS = 3000; // Minimum time between any two form tips
+        this.HOLD_MILESTONES = [10, 20, 30, 45, 60]; // Seconds; after the last one every 30 s
+
+        this.reset();
+    }
+
+    static defaultSettings() {
+        return { verbosity: 'full', lang: '', voiceURI: '', rate: 1 };
+    }
+
+    isSupported() {
+        return Boolean(this.synth);
+    }
+
+    setSettings(settings) {
+        this.settings = { ...VoiceCoach.defaultSettings(), ...settings };
+        if (this.settings.verbosity === 'off') {
+            this.stop();
+        }
+    }
+
+    getVoices(lang = '') {
+        if (!this.synth) return [];
+        return this.synth.getVoices().filter(voice => !lang || voice.lang === lang);
+    }
+
+    getLanguages() {
+        return [...new Set(this.getVoices().map(voice => voice.lang))].sort();
+    }
+
+    reset() {
+        this.lastTipAt = 0;
+        this.reasonSpokenAt = {};
+        this.lastMilestone = 0;
+    }
+
+    stop() {
+        if (this.synth) {
+            this.synth.cancel();
+        }
+    }
+
+    speak(text, interrupt = false) {
+        if (!this.synth || this.settings.verbosity === 'off') return;
+
+        // Counts must stay in sync with the movement, so they cut off older speech
+        if (interrupt) {
+            this.synth.cancel();
+        }
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voice = this.getVoices().find(v => v.voiceURI === this.settings.voiceURI);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        } else {
+            // Without a chosen language the voice matches the language of the app
+            utterance.lang = this.settings.lang || i18n.language;
+        }
+        utterance.rate = this.settings.rate;
+        this.synth.speak(utterance);
+    }
+
+    announceRep(count) {
+        this.speak(String(count), true);
+    }
+
+    // `reason` is a message key; its text is spoken
+    announceFormError(reason) {
+        if (this.settings.verbosity !== 'full' || !this.synth) return;
+
+        // Throttle: never talk over another cue and leave time between tips
+        const now = Date.now();
+        if (this.synth.speaking || now - this.lastTipAt < this.TIP_GAP_MS) return;
+        if (now - (this.reasonSpokenAt[reason] || 0) < this.REASON_REPEAT_MS) return;
+
+        this.lastTipAt = now;
+        this.reasonSpokenAt[reason] = now;
+        this.speak(i18n.t(reason));
+    }
+
+    announceHold(seconds) {
+        const last = this.HOLD_MILESTONES[this.HOLD_MILESTONES.length - 1];
+        const milestone = seconds >= last
+            ? last + Math.floor((seconds - last) / 30) * 30
+            : [...this.HOLD_MILESTONES].reverse().find(m => seconds >= m);
+
+        if (!milestone || milestone <= this.lastMilestone) return;
+        this.lastMilestone = milestone;
+        this.speak(VoiceCoach.formatSeconds(milestone), true);
+    }
+
+    resetHold() {
+        this.lastMilestone = 0;
+    }
+
+    static formatSeconds(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        const secondsText = i18n.t('time.seconds', { count: rest });
+        if (minutes === 0) return secondsText;
+        const minutesText = i18n.t('time.minutes', { count: minutes });
+        return rest === 0 ? minutesText : `${minutesText} ${secondsText}`;
+    }
+}
@@ -0,0 +1,38 @@
+// ============================================
+// DEPLOYMENT CONFIG
+// Settings of this installation, edited by whoever hosts the app.
+// Also read by the service worker (sw.js), so it must not touch the DOM.
+// ============================================
+
+// MediaPipe Pose script, model and wasm files.
+//   localPath - folder with a copy of the files, served by this app; fill it with
+//               `node server/fetch-mediapipe.js`. Tried first, so the trainer works
+//               offline and on networks that block the CDN
+//   cdnPath   - used when the local copy is missing, and where the copy is fetched from;
+//               pinned to one package version so both always match. Empty to never use the network
+const MEDIAPIPE_CONFIG = {
+    localPath: 'vendor/mediapipe/pose/',
+    cdnPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/pose@0.5.1675469404/'
+};
+
+// Files of the Pose solution. The model file of the selected complexity is
+// fetched on demand; the others are needed by every model.
+const MEDIAPIPE_POSE_FILES = [
+    'pose.js',
+    'pose_solution_packed_assets.data',
+    'pose_solution_packed_assets_loader.js',
+    'pose_solution_simd_wasm_bin.js',
+    'pose_solution_simd_wasm_bin.wasm',
+    'pose_solution_wasm_bin.js',
+    'pose_solution_wasm_bin.wasm',
+    'pose_web.binarypb'
+];
+const MEDIAPIPE_POSE_MODELS = [
+    'pose_landmark_lite.tflite',
+    'pose_landmark_full.tflite',
+    'pose_landmark_heavy.tflite'
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MEDIAPIPE_CONFIG, MEDIAPIPE_POSE_FILES, MEDIAPIPE_POSE_MODELS };
+}
@@ -0,0 +1,365 @@
+// ============================================
+// EXERCISE REGISTRY
+// Declarative description of every supported exercise.
+// The trainer loop, selection grid and stats are generated from it,
+// so adding an exercise only means adding an entry here.
+// ============================================
+
+// MediaPipe Pose landmark indices
+const POSE_LANDMARKS = {
+    nose: 0,
+    leftEye: 2,
+    rightEye: 5,
+    leftShoulder: 11,
+    rightShoulder: 12,
+    leftElbow: 13,
+    rightElbow: 14,
+    leftWrist: 15,
+    rightWrist: 16,
+    leftHip: 23,
+    rightHip: 24,
+    leftKnee: 25,
+    rightKnee: 26,
+    leftAnkle: 27,
+    rightAnkle: 28
+};
+
+// Maps a value onto 0..1 between its worst and best value (either direction)
+function scoreRange(value, worst, best) {
+    return Math.max(0, Math.min(1, (value - worst) / (best - worst)));
+}
+
+// Sensitivity presets offered in the settings (message keys of their names);
+// 'standard' keeps the registry thresholds
+const SENSITIVITY_PRESETS = {
+    relaxed: 'sensitivity.relaxed',
+    standard: 'sensitivity.standard',
+    strict: 'sensitivity.strict'
+};
+
+// Exercise entry fields:
+//   label, description - message keys (see i18n.js) of the text used in the HUD, selection grid and stats
+//   type          - 'reps' counts repetitions, 'timed' measures how long valid form is held
+//   landmarks     - named landmarks the exercise reads (keys of POSE_LANDMARKS)
+//   visible       - landmarks that must be visible, otherwise `hiddenReason` is reported.
+//                   Every reason, instruction and derive error is a message key
+//   angles        - joint angles as [point, vertex, point] landmark names
+//   thresholds    - tunable numbers, passed to every callback as `t`
+//   sensitivity   - threshold overrides of the 'relaxed' and 'strict' presets
+//   handsOnFloor  - show the "hands on floor" indicator
+//   measure       - derives per-frame metrics from landmarks (`p`) and angles (`a`)
+//   baseline      - reference position captured the first time `when` holds
+//   rules         - form checks in priority order; the first matching rule is the feedback.
+//                   A rule with `views` only applies when the camera sees the user from one of them
+//   unusableViews - camera orientations ('front', 'side', 'diagonal') the exercise can't be judged
+//                   from, with the `reason` shown instead; `only2D` ones work with 3D landmarks
+//   phases        - state machine; a transition with `rep: true` counts a repetition
+//   quality       - rep scoring: `started` begins a rep, `top` ends a rep that never reached
+//                   the bottom (a partial rep), `sample` gives the per-frame values that are
+//                   aggregated over the rep and `score` turns them into 0-100
+//   calibration   - guided setup: every step records the averaged metrics of one held
+//                   position, `derive` turns them into personal thresholds (throws if unusable)
+const EXERCISES = {
+    pushups: {
+        label: 'exercise.pushups.label',
+        description: 'exercise.pushups.description',
+        type: 'reps',
+        landmarks: ['leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist', 'leftHip', 'rightHip'],
+        visible: ['leftShoulder', 'rightShoulder', 'leftElbow', 'rightElbow', 'leftWrist', 'rightWrist'],
+        hiddenReason: 'reason.notAllVisible',
+        angles: {
+            leftAngle: ['leftShoulder', 'leftElbow', 'leftWrist'],
+            rightAngle: ['rightShoulder', 'rightElbow', 'rightWrist']
+        },
+        thresholds: {
+            elbowAngle: 120, // degrees (lower = more bent, 90 = fully bent)
+            symmetry: 15, // degrees difference between arms
+            minShoulderDrop: 0.02, // Minimum downward movement (2% of frame)
+            maxTilt: 0.03, // 3% of frame height
+            baselineAngle: 140, // Arms mostly straight
+            straightArmsAngle: 100, // Still very bent during UP phase
+            upAngle: 110, // Arms straight enough to finish a rep
+            partialAngle: 130, // Bending below this starts a rep
+            targetAngle: 90, // Elbow angle of a full-depth rep
+            targetShoulderDrop: 0.1, // Shoulder drop of a full-depth rep (10% of frame)
+            bottomMargin: 10 // Degrees above the deepest angle that still count as the bottom (tempo)
+        },
+        // Presets keep the order of the angles: straight arms < up < elbow < partial < baseline
+        sensitivity: {
+            relaxed: {
+                elbowAngle: 125, partialAngle: 132, baselineAngle: 138, straightArmsAngle: 95, upAngle: 105,
+                symmetry: 25, maxTilt: 0.05, minShoulderDrop: 0.015
+            },
+            strict: {
+                elbowAngle: 100, partialAngle: 125, baselineAngle: 150, straightArmsAngle: 85, upAngle: 95,
+                symmetry: 10, maxTilt: 0.02, minShoulderDrop: 0.03
+            }
+        },
+        unusableViews: {
+            // Shoulders and hips line up behind each other, so the body line can't be seen
+            front: { reason: 'reason.turnSidewaysPushups' }
+        },
+        handsOnFloor: true,
+        measure(p, a, t) {
+            const avgShoulderY = (p.leftShoulder.y + p.rightShoulder.y) / 2;
+            const avgHipY = (p.leftHip.y + p.rightHip.y) / 2;
+            const shoulderLevel = Math.abs(p.leftShoulder.y - p.rightShoulder.y);
+            const hipLevel = Math.abs(p.leftHip.y - p.rightHip.y);
+            const bodyTilt = Math.max(shoulderLevel, hipLevel);
+            const angleDifference = Math.abs(a.leftAngle - a.rightAngle);
+
+            return {
+                avgAngle: (a.leftAngle + a.rightAngle) / 2,
+                avgShoulderY,
+                avgHipY,
+                shoulderHeight: Math.abs(avgShoulderY - avgHipY),
+                angleDifference,
+                bodyTilt,
+                // Negative means shoulders are above (smaller Y)
+                shouldersAboveHips: avgShoulderY - avgHipY < 0,
+                isAligned: bodyTilt < t.maxTilt,
+                isSymmetric: angleDifference < t.symmetry,
+                bothArmsBent: a.leftAngle < t.elbowAngle && a.rightAngle < t.elbowAngle
+            };
+        },
+        baseline: {
+            // Starting position: proper framing with arms mostly straight
+            when: (m, t) => m.shouldersAboveHips && m.isAligned && m.avgAngle > t.baselineAngle,
+            capture: m => ({ shoulderY: m.avgShoulderY, hipY: m.avgHipY })
+        },
+        rules: [
+            { reason: 'reason.keepBodyHigher', when: m => !m.shouldersAboveHips },
+            { reason: 'reason.keepBodyStraight', when: m => !m.isAligned },
+            // Side-on, the far arm is hidden behind the body
+            { reason: 'reason.armsSymmetric', views: ['front', 'diagonal'], when: m => !m.isSymmetric },
+            { reason: 'reason.bendArmsMore', when: (m, t, s) => s.phase === 'DOWN' && !m.bothArmsBent },
+            { reason: 'reason.straightenArms', when: (m, t, s) => s.phase !== 'DOWN' && m.avgAngle < t.straightArmsAngle }
+        ],
+        phases: {
+            initial: 'UP',
+            requiresBaseline: true,
+            // Basic safety check - must have shoulders above hips and body aligned
+            guard: m => m.shouldersAboveHips && m.isAligned,
+            transitions: [
+                {
+                    from: 'UP',
+                    to: 'DOWN',
+                    // Shoulders moved down significantly while the arms bend
+                    when: (m, t, s) => m.avgShoulderY - s.baseline.shoulderY > t.minShoulderDrop * 2 &&
+                        m.avgAngle < t.elbowAngle
+                },
+                {
+                    from: 'DOWN',
+                    to: 'UP',
+                    rep: true,
+                    // Use the finishing position as the baseline for the next repetition
+                    rebaseline: true,
+                    when: (m, t, s) => m.avgShoulderY - s.baseline.shoulderY < t.minShoulderDrop * 0.5 &&
+                        m.avgAngle > t.upAngle
+                }
+            ]
+        },
+        quality: {
+            started: (m, t) => m.avgAngle < t.partialAngle,
+            top: (m, t) => m.avgAngle > t.baselineAngle,
+            sample: (m, t, s) => ({
+                angle: m.avgAngle,
+                depth: m.avgShoulderY - s.baseline.shoulderY,
+                asymmetry: m.angleDifference,
+                tilt: m.bodyTilt
+            }),
+            score: (r, t) =>
+                35 * scoreRange(r.minAngle, t.elbowAngle, t.targetAngle) +
+                15 * scoreRange(r.maxDepth, t.minShoulderDrop * 2, t.targetShoulderDrop) +
+                25 * scoreRange(r.maxAsymmetry, t.symmetry, 0) +
+                25 * scoreRange(r.maxTilt, t.maxTilt, 0)
+        },
+        calibration: {
+            steps: [
+                { key: 'top', instruction: 'calibration.pushups.top' },
+                { key: 'bottom', instruction: 'calibration.pushups.bottom' }
+            ],
+            derive(samples, t) {
+                const { top, bottom } = samples;
+                const range = top.avgAngle - bottom.avgAngle;
+                const drop = bottom.avgShoulderY - top.avgShoulderY;
+                if (range < 30) throw new Error('calibration.error.bendArms');
+                if (drop < 0.03) throw new Error('calibration.error.shouldersStill');
+
+                // Same order as the defaults: straight arms < up < elbow < partial < baseline
+                return {
+                    straightArmsAngle: bottom.avgAngle + range * 0.25,
+                    upAngle: bottom.avgAngle + range * 0.35,
+                    elbowAngle: bottom.avgAngle + range * 0.45,
+                    partialAngle: bottom.avgAngle + range * 0.6,
+                    baselineAngle: bottom.avgAngle + range * 0.75,
+                    targetAngle: bottom.avgAngle + range * 0.1,
+                    minShoulderDrop: drop * 0.25,
+                    targetShoulderDrop: drop * 0.9,
+                    maxTilt: Math.max(t.maxTilt, top.bodyTilt + 0.02, bottom.bodyTilt + 0.02),
+                    symmetry: Math.max(t.symmetry, top.angleDifference + 10, bottom.angleDifference + 10)
+                };
+            }
+        }
+    },
+
+    squats: {
+        label: 'exercise.squats.label',
+        description: 'exercise.squats.description',
+        type: 'reps',
+        landmarks: ['leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'],
+        visible: ['leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'],
+        hiddenReason: 'reason.notAllVisible',
+        angles: {
+            leftKneeAngle: ['leftHip', 'leftKnee', 'leftAnkle'],
+            rightKneeAngle: ['rightHip', 'rightKnee', 'rightAnkle']
+        },
+        thresholds: {
+            kneeAngle: 120, // degrees (lower = more bent)
+            hipDrop: 0.15, // 15% of frame height
+            symmetry: 20, // degrees difference between legs
+            standingAngle: 150, // Legs mostly straight (standing)
+            partialAngle: 140, // Bending below this starts a rep
+            targetAngle: 90, // Knee angle of a full-depth squat
+            targetHipDrop: 0.25, // Hip drop of a full-depth squat (25% of frame)
+            maxHipTilt: 0.05, // Hips level within 5% of frame height
+            bottomMargin: 10 // Degrees above the deepest angle that still count as the bottom (tempo)
+        },
+        sensitivity: {
+            relaxed: { kneeAngle: 130, standingAngle: 145, hipDrop: 0.1, symmetry: 30, maxHipTilt: 0.07 },
+            strict: { kneeAngle: 100, standingAngle: 160, partialAngle: 145, hipDrop: 0.2, symmetry: 12, maxHipTilt: 0.03 }
+        },
+        unusableViews: {
+            // Knees bend towards the camera, which a flat image barely shows
+            front: { reason: 'reason.turnForKnees', only2D: true }
+        },
+        handsOnFloor: false,
+        measure(p, a, t) {
+            const angleDifference = Math.abs(a.leftKneeAngle - a.rightKneeAngle);
+
+            return {
+                avgAngle: (a.leftKneeAngle + a.rightKneeAngle) / 2,
+                avgHipY: (p.leftHip.y + p.rightHip.y) / 2,
+                hipTilt: Math.abs(p.leftHip.y - p.rightHip.y),
+                angleDifference,
+                isSymmetric: angleDifference < t.symmetry
+            };
+        },
+        baseline: {
+            when: (m, t) => m.avgAngle > t.standingAngle,
+            capture: m => ({ hipY: m.avgHipY })
+        },
+        rules: [
+            { reason: 'reason.standUp', when: (m, t, s) => !s.baseline },
+            { reason: 'reason.legsBalanced', views: ['front', 'diagonal'], when: m => !m.isSymmetric },
+            { reason: 'reason.goLower', when: (m, t, s) => m.avgAngle < t.kneeAngle && m.avgHipY - s.baseline.hipY <= t.hipDrop },
+            { reason: 'reason.positionInView', when: (m, t) => m.avgAngle >= t.kneeAngle && m.avgAngle <= t.standingAngle }
+        ],
+        phases: {
+            initial: 'UP',
+            requiresBaseline: true,
+            transitions: [
+                { from: 'UP', to: 'DOWN', when: (m, t) => m.avgAngle < t.kneeAngle },
+                { from: 'DOWN', to: 'UP', rep: true, when: (m, t) => m.avgAngle > t.standingAngle }
+            ]
+        },
+        quality: {
+            started: (m, t) => m.avgAngle < t.partialAngle,
+            top: (m, t) => m.avgAngle > t.standingAngle,
+            sample: (m, t, s) => ({
+                angle: m.avgAngle,
+                depth: m.avgHipY - s.baseline.hipY,
+                asymmetry: m.angleDifference,
+                tilt: m.hipTilt
+            }),
+            score: (r, t) =>
+                35 * scoreRange(r.minAngle, t.kneeAngle, t.targetAngle) +
+                15 * scoreRange(r.maxDepth, t.hipDrop, t.targetHipDrop) +
+                25 * scoreRange(r.maxAsymmetry, t.symmetry, 0) +
+                25 * scoreRange(r.maxTilt, t.maxHipTilt, 0)
+        },
+        calibration: {
+            steps: [
+                { key: 'top', instruction: 'calibration.squats.top' },
+                { key: 'bottom', instruction: 'calibration.squats.bottom' }
+            ],
+            derive(samples, t) {
+                const { top, bottom } = samples;
+                const range = top.avgAngle - bottom.avgAngle;
+                const drop = bottom.avgHipY - top.avgHipY;
+                if (range < 30) throw new Error('calibration.error.bendKnees');
+                if (drop < 0.05) throw new Error('calibration.error.hipsStill');
+
+                return {
+                    kneeAngle: bottom.avgAngle + range * 0.4,
+                    partialAngle: bottom.avgAngle + range * 0.63,
+                    standingAngle: bottom.avgAngle + range * 0.75,
+                    targetAngle: bottom.avgAngle + range * 0.1,
+                    hipDrop: drop * 0.5,
+                    targetHipDrop: drop * 0.9,
+                    maxHipTilt: Math.max(t.maxHipTilt, top.hipTilt + 0.02, bottom.hipTilt + 0.02),
+                    symmetry: Math.max(t.symmetry, top.angleDifference + 10, bottom.angleDifference + 10)
+                };
+            }
+        }
+    },
+
+    planks: {
+        label: 'exercise.planks.label',
+        description: 'exercise.planks.description',
+        type: 'timed',
+        landmarks: ['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip'],
+        visible: ['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip'],
+        hiddenReason: 'reason.positionInView',
+        angles: {},
+        thresholds: {
+            maxTilt: 0.03, // 3% of frame height
+            maxVerticalDiff: 0.2 // Hips not too much higher/lower than shoulders
+        },
+        sensitivity: {
+            relaxed: { maxTilt: 0.05, maxVerticalDiff: 0.3 },
+            strict: { maxTilt: 0.02, maxVerticalDiff: 0.12 }
+        },
+        unusableViews: {
+            front: { reason: 'reason.turnSidewaysPlanks' }
+        },
+        handsOnFloor: true,
+        measure(p, a, t) {
+            const shoulderLevel = Math.abs(p.leftShoulder.y - p.rightShoulder.y);
+            const hipLevel = Math.abs(p.leftHip.y - p.rightHip.y);
+            const bodyTilt = Math.max(shoulderLevel, hipLevel);
+            const avgShoulderY = (p.leftShoulder.y + p.rightShoulder.y) / 2;
+            const avgHipY = (p.leftHip.y + p.rightHip.y) / 2;
+
+            const verticalDiff = Math.abs(avgShoulderY - avgHipY);
+
+            return {
+                bodyTilt,
+                verticalDiff,
+                isAligned: bodyTilt < t.maxTilt,
+                isHorizontal: verticalDiff < t.maxVerticalDiff
+            };
+        },
+        rules: [
+            { reason: 'reason.keepBodyStraight', when: m => !m.isAligned },
+            { reason: 'reason.keepBodyHorizontal', when: m => !m.isHorizontal }
+        ],
+        calibration: {
+            steps: [
+                { key: 'hold', instruction: 'calibration.planks.hold' }
+            ],
+            derive(samples, t) {
+                const { hold } = samples;
+                // Only loosen the limits enough to accept the user's own good plank
+                return {
+                    maxTilt: Math.max(t.maxTilt, hold.bodyTilt + 0.02),
+                    maxVerticalDiff: Math.max(t.maxVerticalDiff, hold.verticalDiff + 0.05)
+                };
+            }
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EXERCISES, POSE_LANDMARKS, SENSITIVITY_PRESETS };
+}
@@ -0,0 +1,993 @@
+// ============================================
+// LOCALIZATION
+// Message catalogs of the supported languages and the lookup that turns
+// message keys into text. Registries, analyzers and validators only deal
+// in keys; text is produced where it is shown or spoken.
+// ============================================
+
+// Languages offered in the language picker, by language code
+const LANGUAGES = {
+    en: 'English',
+    ru: 'Русский'
+};
+const DEFAULT_LANGUAGE = 'en';
+
+// Catalog entries are text with {name} placeholders, or plural forms keyed by
+// Intl.PluralRules category ('one', 'few', 'many', 'other') chosen by the `count`
+// parameter. Keys missing from a language fall back to English.
+const MESSAGES = {
+    en: {
+        'app.title': 'Fitness Trainer',
+        'app.poseLoadFailed': 'Pose detection could not be loaded. Connect to the internet once, or copy the model files to this app (see README).',
+        'language.label': 'Language',
+        'language.unknown': 'Unknown language',
+        'language.reloadConfirm': 'Changing the language restarts the app and ends the current workout. Continue?',
+
+        'common.save': 'Save',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'common.delete': 'Delete',
+
+        'nav.calendar': 'Calendar',
+        'nav.exercises': 'Exercise Selection',
+        'nav.account': 'My Account',
+        'nav.settings': 'Settings',
+
+        'auth.loginRegister': 'Login / Register',
+        'auth.logout': 'Logout ({name})',
+        'auth.name': 'Name',
+        'auth.email': 'Email',
+        'auth.password': 'Password',
+        'auth.login': 'Login',
+        'auth.register': 'Register',
+        'auth.noAccount': 'Don\'t have an account?',
+        'auth.haveAccount': 'Already have an account?',
+        'auth.passwordHint': 'At least 8 characters, with letters and numbers',
+        'auth.syncUrl': 'Sync server URL (optional)',
+        'auth.passwordTooShort': 'Password must be at least {count} characters',
+        'auth.passwordLettersNumbers': 'Password must contain both letters and numbers',
+        'auth.passwordMatchesEmail': 'Password must not match your email',
+        'auth.httpsRegister': 'Secure connection (HTTPS) required to register',
+        'auth.httpsLogin': 'Secure connection (HTTPS) required to log in',
+        'auth.emailTaken': 'Email already registered',
+        'auth.invalidCredentials': 'Invalid email or password',
+        'auth.syncUnreachable': 'Sync server unreachable',
+        'auth.failed': 'Something went wrong. Please try again.',
+
+        'access.title': 'Please Log In or Register',
+        'access.text': 'You need to be logged in to access this feature.',
+
+        'guest.login': 'Log in / Register',
+        'guest.discard': 'Discard',
+        'guest.discardConfirm': 'Discard the workouts done as a guest?',
+        'guest.mergeOption': {
+            one: 'Add the workout you did as a guest to this account',
+            other: 'Add the {count} workouts you did as a guest to this account'
+        },
+        'guest.banner': {
+            one: 'Your workout is kept on this device. Log in or register to add it to your history.',
+            other: '{count} workouts are kept on this device. Log in or register to add them to your history.'
+        },
+
+        'camera.required': 'Camera access required to start training',
+        'camera.unavailable': 'Camera not available',
+
+        'controls.start': 'Start',
+        'controls.pause': 'Pause',
+        'controls.resume': 'Resume',
+        'controls.reset': 'Reset',
+        'controls.record': 'Record',
+        'controls.stopRecording': 'Stop Recording',
+        'controls.recordVideo': 'Record Video',
+        'controls.stopVideo': 'Stop Video',
+        'controls.replay': 'Replay',
+        'controls.calibrate': 'Calibrate',
+        'controls.analyzeVideo': 'Analyze Video',
+
+        'status.correct': 'Correct',
+        'status.incorrect': 'Incorrect',
+        'status.handsOnFloor': 'Hands on floor ✓',
+        'status.handsNotOnFloor': 'Hands not on floor',
+        'hands.onFloor': '✓ Hands on floor',
+        'hands.notOnFloor': '✗ Hands not on floor',
+        'view.front': 'Front view',
+        'view.side': 'Side view',
+        'view.diagonal': 'Diagonal view',
+
+        'rep.lastScore': 'Last rep: {score}/100',
+        'rep.partial': 'Partial rep — go all the way down',
+        'rep.tempo': 'Tempo {tempo} s',
+
+        'units.reps': { one: '{count} rep', other: '{count} reps' },
+        'units.secondsShort': '{count} s',
+        'units.minutesShort': '{count} min',
+        'time.seconds': { one: '{count} second', other: '{count} seconds' },
+        'time.minutes': { one: '{count} minute', other: '{count} minutes' },
+
+        'sets.sets': 'Sets',
+        'sets.repsPerSet': 'Reps per set',
+        'sets.secondsPerSet': 'Seconds per set',
+        'sets.restSeconds': 'Rest (s)',
+        'sets.tempo': 'Tempo',
+        'sets.tempoHint': 'Seconds down-pause-up',
+        'sets.tempoInvalid': 'Enter the tempo as seconds down-pause-up, e.g. 3-1-1',
+        'sets.rest': 'Rest',
+        'sets.skipRest': 'Skip Rest',
+        'sets.status': 'Set {set} of {sets} · {target}',
+        'sets.setDone': 'Set {set} of {sets} done ✓',
+        'sets.next': 'Next: set {set} of {sets}',
+        'sets.allDone': { one: 'The set is done ✓', other: 'All {count} sets done ✓' },
+        'coach.workoutComplete': 'Workout complete',
+        'coach.setDoneRest': 'Set {set} done. Rest {time}',
+        'coach.setGo': 'Set {set}. Go',
+
+        // Exercise registry (exercises.js)
+        'exercise.pushups.label': 'Push-ups',
+        'exercise.pushups.description': 'Build upper body strength',
+        'exercise.squats.label': 'Squats',
+        'exercise.squats.description': 'Strengthen legs and core',
+        'exercise.planks.label': 'Planks',
+        'exercise.planks.description': 'Core stability training',
+        'exercises.title': 'Select Exercise',
+        'sensitivity.relaxed': 'Relaxed',
+        'sensitivity.standard': 'Standard',
+        'sensitivity.strict': 'Strict',
+
+        // Form feedback of the analyzers; also spoken by the voice coach
+        'reason.notAllVisible': 'Not all body parts visible',
+        'reason.positionInView': 'Position yourself in view',
+        'reason.turnSidewaysPushups': 'Turn sideways to the camera for push-ups',
+        'reason.turnForKnees': 'Turn a little to the side so your knees can be measured',
+        'reason.turnSidewaysPlanks': 'Turn sideways to the camera for planks',
+        'reason.keepBodyHigher': 'Keep your body higher',
+        'reason.keepBodyStraight': 'Keep your body straight',
+        'reason.armsSymmetric': 'Work with both arms symmetrically',
+        'reason.bendArmsMore': 'Bend your arms more',
+        'reason.straightenArms': 'Straighten your arms completely',
+        'reason.standUp': 'Stand up straight to start',
+        'reason.legsBalanced': 'Keep both legs balanced',
+        'reason.goLower': 'Go lower',
+        'reason.keepBodyHorizontal': 'Keep your body horizontal',
+        'reason.lowerSlowly': 'Lower yourself more slowly',
+        'reason.pauseAtBottom': 'Pause at the bottom',
+        'reason.comeUpSlowly': 'Come up more slowly',
+        'reason.wristsNotVisible': 'Wrists not visible',
+        'reason.handsOnFloor': 'Hands detected on floor',
+        'reason.raiseHands': 'Raise your hands',
+        'reason.partialRep': 'Partial rep',
+
+        'calibration.pushups.top': 'Hold the top of a push-up with straight arms',
+        'calibration.pushups.bottom': 'Lower yourself as far as you comfortably can and hold',
+        'calibration.squats.top': 'Stand up straight, turned slightly away from the camera',
+        'calibration.squats.bottom': 'Squat as deep as you comfortably can and hold',
+        'calibration.planks.hold': 'Hold your best plank',
+        'calibration.error.bendArms': 'Bend your arms more in the bottom position',
+        'calibration.error.shouldersStill': 'Your shoulders barely moved — step back so your whole body is in view',
+        'calibration.error.bendKnees': 'Bend your knees more in the bottom position',
+        'calibration.error.hipsStill': 'Your hips barely moved — step back so your whole body is in view',
+        'calibration.heading': '{exercise} calibration',
+        'calibration.step': 'Step {step} of {count}',
+        'calibration.getIntoPosition': 'Get into position: {seconds}',
+        'calibration.holdStill': 'Hold still: {seconds}',
+        'calibration.loginRequired': 'Please log in to save a calibration',
+        'calibration.notVisible': 'You were not fully visible. Check the camera view and try again.',
+        'calibration.failed': 'Calibration failed: {reason}',
+        'calibration.saved': 'Calibration saved. {exercise} now use your personal thresholds.',
+        'calibration.calibratedOn': '{exercise}: calibrated on {date}',
+        'calibration.default': '{exercise}: default thresholds',
+        'calibration.rerun': 'Re-run',
+        'calibration.resetConfirm': 'Go back to the default {exercise} thresholds?',
+
+        'account.profile': 'Profile',
+        'account.name': 'Name:',
+        'account.email': 'Email:',
+        'account.totals': 'Total Statistics',
+        'account.totalTime': '{exercise} (Total Time)',
+        'account.achievements': 'Achievements',
+        'account.goal': 'Daily Goal',
+        'account.goalHint': 'Reach every target in one day and the day is checked in automatically.',
+        'account.calibration': 'Calibration',
+        'account.calibrationHint': 'Record your own top and bottom positions so counting fits your body and camera.',
+        'account.reminders': 'Reminders',
+        'account.remindersHint': 'Get reminded to train on the days you choose. No reminder comes once the day is checked in.',
+        'account.voice': 'Voice Coaching',
+        'account.sync': 'Sync',
+        'account.syncHint': 'Connect to a sync server to keep your data on all your devices.',
+        'account.backup': 'Backup',
+        'account.backupHint': 'Download all your workouts, check-ins and settings to keep a copy, move them to another browser or open them in a spreadsheet.',
+        'account.history': 'Workout History',
+
+        'goal.fieldReps': '{exercise} (reps)',
+        'goal.fieldSeconds': '{exercise} (seconds)',
+        'goal.save': 'Save Goal',
+        'goal.saved': 'Daily goal saved',
+        'goal.loginRequired': 'Please log in to set a goal',
+        'goal.empty': 'Set a target for at least one exercise',
+        'goal.completeToday': 'Daily goal complete — today is checked in ✓',
+        'goal.programTargetDone': 'Day {day} target done ✓ — pick the next exercise in the calendar',
+        'goal.programTarget': 'Day {day} target: {sets} × {amount} · done {done}/{total}',
+        'goal.restDay': 'Day {day}: rest day',
+        'goal.programDayGoal': 'Day {day} goal: {parts}',
+        'goal.dailyGoal': 'Daily goal: {parts}',
+
+        'checkIn.loginRequired': 'Please log in to check in',
+        'checkIn.past': 'Past days cannot be checked in',
+        'checkIn.future': 'Future days cannot be checked in yet',
+        'checkIn.already': 'Already checked in today',
+
+        // Training programs (programs.js)
+        'program.beginner.label': 'Beginner',
+        'program.beginner.description': 'Gentle start with a rest day every fourth day',
+        'program.intermediate.label': 'Intermediate',
+        'program.intermediate.description': 'Higher volume with two rest days a week',
+        'program.pushupChallenge.label': 'Push-up Challenge',
+        'program.pushupChallenge.description': 'Push-ups only, building up to 5 sets of 20',
+        'program.start': 'Start Program',
+        'program.stop': 'Stop Program',
+        'program.loginRequired': 'Please log in to start a program',
+        'program.unknown': 'Unknown program',
+        'program.replaceConfirm': 'Replace your current program? Day 1 of the new program starts today.',
+        'program.stopConfirm': 'Stop the current program? Your check-ins are kept.',
+        'program.none': 'No program running. Pick one to get a target for every day.',
+        'program.progress': '{program}: day {day} of {length}',
+        'program.finished': '{program} finished — start it again or pick another program',
+
+        'calendar.title': 'Training Calendar',
+        'calendar.congratulations': '🎉 Congratulations! 🎉',
+        'calendar.streak30': 'You\'ve trained 30 days in a row!',
+        'calendar.startOver': 'Start Over',
+        'calendar.startOverConfirm': 'Are you sure you want to start over? This will clear all your check-ins.',
+        'calendar.currentStreak': 'Current Streak',
+        'calendar.longestStreak': 'Longest Streak',
+        'calendar.streakBroken': 'Streak broken: no check-in on {date}',
+        'calendar.undated': {
+            one: '{count} check-in from the old 30-day calendar is kept but has no date',
+            other: '{count} check-ins from the old 30-day calendar are kept but have no date'
+        },
+        'calendar.dayRest': 'Day {day} · Rest',
+        'calendar.dayTargets': 'Day {day} · {targets}',
+        'calendar.goalMark': '✓ Goal',
+        'calendar.goalMet': {
+            one: 'Daily goal met in {count} workout',
+            other: 'Daily goal met in {count} workouts'
+        },
+        'calendar.manualMark': '✓ Manual',
+        'calendar.manual': 'Checked in manually',
+        'calendar.checkIn': 'Check In',
+        'calendar.startWorkout': 'Start Workout',
+
+        // Achievements (achievements.js)
+        'achievement.unlocked': 'Achievement unlocked',
+        'achievement.unlockedOn': 'Unlocked {date}',
+        'achievement.locked': 'Locked',
+        'achievement.firstWorkout.label': 'First Workout',
+        'achievement.firstWorkout.description': 'Finish your first tracked workout',
+        'achievement.pushups100.label': 'Push-up Century',
+        'achievement.pushups100.description': 'Do 100 push-ups in total',
+        'achievement.pushups1000.label': 'Push-up Machine',
+        'achievement.pushups1000.description': 'Do 1000 push-ups in total',
+        'achievement.squats100.label': 'Leg Day',
+        'achievement.squats100.description': 'Do 100 squats in total',
+        'achievement.pushups50Session.label': 'Fifty in One Go',
+        'achievement.pushups50Session.description': 'Do 50 push-ups in a single workout',
+        'achievement.plank1Minute.label': 'Steady Core',
+        'achievement.plank1Minute.description': 'Hold a plank for 1 minute in one workout',
+        'achievement.plank5Minutes.label': 'Plank Marathon',
+        'achievement.plank5Minutes.description': 'Hold planks for 5 minutes in total',
+        'achievement.streak7.label': 'One Week Strong',
+        'achievement.streak7.description': 'Check in 7 days in a row',
+        'achievement.streak30.label': 'Habit Formed',
+        'achievement.streak30.description': 'Check in 30 days in a row',
+        'achievement.perfectSet.label': 'Perfect Form',
+        'achievement.perfectSet.description': 'Finish a set of at least {reps} reps with every rep scored {score} or more',
+
+        // Reminder days in Date.getDay() order (reminders.js)
+        'day.sun': 'Sun',
+        'day.mon': 'Mon',
+        'day.tue': 'Tue',
+        'day.wed': 'Wed',
+        'day.thu': 'Thu',
+        'day.fri': 'Fri',
+        'day.sat': 'Sat',
+        'reminder.enabled': 'Remind me',
+        'reminder.addTime': 'Add Time',
+        'reminder.removeTime': 'Remove this time',
+        'reminder.saved': 'Reminders saved',
+        'reminder.loginRequired': 'Please log in to set reminders',
+        'reminder.invalidTime': 'Enter reminder times as HH:MM',
+        'reminder.chooseTimeAndDay': 'Choose at least one time and one day for reminders',
+        'reminder.statusUnsupported': 'This browser has no notifications, so reminders appear as a banner in the app.',
+        'reminder.statusGranted': 'Reminders arrive as notifications while the app is open, also in a background tab. This browser can\'t remind you while the app is closed.',
+        'reminder.statusBackground': 'Reminders arrive as notifications. While the app is closed, the browser checks for them every now and then, so they may come late.',
+        'reminder.statusDenied': 'Notifications are blocked for this site, so reminders appear as a banner in the app.',
+        'reminder.statusDefault': 'Saving asks to allow notifications; otherwise reminders appear as a banner in the app.',
+        'reminder.notificationTitle': 'Time to train',
+        'reminder.streakBody': 'Keep your {count}-day streak going: today isn\'t checked in yet.',
+        'reminder.body': 'Today isn\'t checked in yet. A short workout is enough to start a streak.',
+        'reminder.later': 'Later',
+
+        'voice.hint': 'Hear rep counts, plank times and form tips while you train.',
+        'voice.unsupported': 'Speech is not supported in this browser.',
+        'voice.speak': 'Speak',
+        'voice.off': 'Nothing',
+        'voice.counts': 'Counts only',
+        'voice.full': 'Counts and form tips',
+        'voice.language': 'Language',
+        'voice.languageDefault': 'Same as the app',
+        'voice.voice': 'Voice',
+        'voice.defaultVoice': 'Default voice',
+        'voice.test': 'Test',
+        'voice.saved': 'Voice settings saved',
+
+        'settings.loginRequired': 'Please log in to change settings',
+        'settings.unknownModel': 'Unknown pose model',
+        'settings.outOfRange': 'Confidence, smoothing and visibility must be between 0 and 1',
+        'settings.poseModel': 'Pose Model',
+        'settings.poseModelHint': 'Heavier models track more precisely but need a faster device. Higher confidence ignores uncertain detections.',
+        'settings.model': 'Model',
+        'settings.modelLite': 'Lite (fastest)',
+        'settings.modelFull': 'Full',
+        'settings.modelHeavy': 'Heavy (most accurate)',
+        'settings.detectionConfidence': 'Detection confidence',
+        'settings.trackingConfidence': 'Tracking confidence',
+        'settings.detection': 'Detection',
+        'settings.detectionHint': 'More smoothing steadies the skeleton but reacts later. A higher visibility cut-off ignores body parts the camera barely sees.',
+        'settings.smoothing': 'Smoothing',
+        'settings.visibility': 'Visibility cut-off',
+        'settings.debugOverlay': 'Show raw detections (red) against the filtered skeleton',
+        'settings.sensitivity': 'Sensitivity',
+        'settings.sensitivityHint': 'Relaxed counts shallower reps and forgives small form errors, Strict asks for full range and clean form. Your calibration takes precedence.',
+        'settings.restoreDefaults': 'Restore Defaults',
+        'settings.restoreConfirm': 'Restore the default detection settings?',
+
+        // Sync status (sync.js)
+        'sync.now': 'Sync Now',
+        'sync.off': 'Sync is off — data stays on this device',
+        'sync.loginToSync': 'Log in to sync',
+        'sync.syncing': 'Syncing…',
+        'sync.relink': {
+            one: 'Log in again to link this account ({count} pending change)',
+            other: 'Log in again to link this account ({count} pending changes)'
+        },
+        'sync.pending': {
+            one: '{count} change waiting to sync',
+            other: '{count} changes waiting to sync'
+        },
+        'sync.syncedAt': 'Synced at {time}',
+        'sync.connected': 'Connected',
+        'sync.otherAccount': 'This email belongs to a different account on the server',
+        'sync.passwordMismatch': 'Server account has a different password',
+        'sync.unreachableKept': 'Server unreachable — changes are kept on this device',
+        'sync.unreachableQueued': 'Server unreachable — changes are queued',
+        'sync.relogin': 'Log in again to resume syncing',
+        'sync.rejected': 'The server rejected some records — they stay on this device only',
+
+        // Backup and import (backup.js)
+        'backup.exportJson': 'Export JSON',
+        'backup.exportCsv': 'Export CSV',
+        'backup.import': 'Import',
+        'backup.existingData': 'Existing data',
+        'backup.merge': 'Merge with the backup',
+        'backup.replace': 'Replace with the backup',
+        'backup.source': 'Backup of {name}',
+        'backup.unknownUser': 'unknown user',
+        'backup.exportedAt': ', exported {date}',
+        'backup.otherAccount': ' — this is a different account than yours',
+        'backup.sessionChanges': 'Sessions: {added} new, {updated} updated, {unchanged} unchanged',
+        'backup.checkInChanges': 'Check-ins: {added} new',
+        'backup.removed': ', {count} removed',
+        'backup.settingsChanged': 'Settings changed: {names}',
+        'backup.settingsUnchanged': 'Settings unchanged',
+        'backup.replaceConfirm': 'Replace all your workouts, check-ins and settings with the backup? This cannot be undone.',
+        'backup.imported': 'Backup imported',
+        'backup.loginRequired': 'Please log in to import data',
+        'backup.unknownMode': 'Unknown import mode',
+        'backup.preference.goal': 'daily goal',
+        'backup.preference.program': 'program',
+        'backup.preference.calibration': 'calibration',
+        'backup.preference.voice': 'voice coaching',
+        'backup.preference.settings': 'detection settings',
+        'backup.preference.achievements': 'achievements',
+        'backup.preference.reminders': 'reminders',
+        'backup.preference.tempo': 'tempo',
+        'backup.error.invalidJson': 'Backup is not valid JSON',
+        'backup.error.notBackup': 'This file is not a Fitness Trainer backup',
+        'backup.error.newer': 'This backup was made by a newer version of the app',
+        'backup.error.missingData': 'Backup is missing its calendar or sessions',
+        'backup.error.malformedSessions': 'Backup contains malformed sessions',
+        'backup.error.duplicateSession': 'Backup contains the same session twice',
+        'backup.error.malformedSettings': 'Backup contains malformed settings',
+        'backup.error.malformedCalendar': 'Backup contains malformed or future check-ins',
+        'backup.error.invalidPreference': 'Backup contains invalid data: {name}',
+
+        'history.allExercises': 'All exercises',
+        'history.from': 'From',
+        'history.to': 'To',
+        'history.empty': 'No workouts found',
+        'history.legacy': 'Total recorded before workout history',
+        'history.pauses': { one: '{count} pause', other: '{count} pauses' },
+        'history.fromVideo': 'from video {name}',
+        'history.avgQuality': 'Avg quality {score}/100',
+        'history.partialReps': { one: '{count} partial rep', other: '{count} partial reps' },
+        'history.underTension': '{count} s under tension',
+        'history.sets': 'Sets: {sets}',
+        'history.deleteConfirm': 'Delete this workout? Your totals will be recalculated.',
+
+        // Pose recordings and annotated videos (recorder.js)
+        'recording.noCamera': 'Camera is not available, so there is nothing to record',
+        'recording.invalidJson': 'Recording is not valid JSON',
+        'recording.unsupported': 'Unsupported recording format',
+        'recording.unknownExercise': 'Unknown exercise in recording: {exercise}',
+        'recording.malformed': 'Recording contains malformed frames',
+
+        // Video file analysis (video.js)
+        'video.title': 'Video Analysis',
+        'video.titleFile': '{exercise}: {file}',
+        'video.unsupported': 'This video format is not supported by your browser',
+        'video.poseLoading': 'Pose detection is still loading',
+        'video.failed': 'Video analysis failed',
+        'video.progress': 'Analyzing… {percent}%',
+        'video.goodForm': 'Good form',
+        'video.outOfView': 'Out of view',
+        'video.held': 'Held {time}',
+        'video.partial': '{count} partial',
+        'video.analysedAt': '{duration} analysed at {fps} fps',
+        'video.nothingDetected': 'Nothing was detected in this video',
+        'video.nothingCounted': 'Nothing was counted in this video',
+        'video.loginRequired': 'Please log in to save the workout to your history',
+        'video.save': 'Save to History',
+        'video.saved': 'Saved ✓',
+        'video.event.rep': 'Rep {count}',
+        'video.event.repQuality': 'Rep {count} (quality {score}/100)',
+        'video.event.holdStart': 'Hold started',
+        'video.event.holdStop': 'Hold stopped'
+    },
+
+    ru: {
+        'app.title': 'Фитнес-тренер',
+        'app.poseLoadFailed': 'Не удалось загрузить распознавание позы. Подключитесь к интернету хотя бы один раз или скопируйте файлы модели в приложение (см. README).',
+        'language.label': 'Язык',
+        'language.unknown': 'Неизвестный язык',
+        'language.reloadConfirm': 'При смене языка приложение перезапустится, а текущая тренировка завершится. Продолжить?',
+
+        'common.save': 'Сохранить',
+        'common.cancel': 'Отмена',
+        'common.close': 'Закрыть',
+        'common.delete': 'Удалить',
+
+        'nav.calendar': 'Календарь',
+        'nav.exercises': 'Выбор упражнения',
+        'nav.account': 'Мой аккаунт',
+        'nav.settings': 'Настройки',
+
+        'auth.loginRegister': 'Вход / Регистрация',
+        'auth.logout': 'Выйти ({name})',
+        'auth.name': 'Имя',
+        'auth.email': 'Эл. почта',
+        'auth.password': 'Пароль',
+        'auth.login': 'Войти',
+        'auth.register': 'Зарегистрироваться',
+        'auth.noAccount': 'Нет аккаунта?',
+        'auth.haveAccount': 'Уже есть аккаунт?',
+        'auth.passwordHint': 'Не менее 8 символов, буквы и цифры',
+        'auth.syncUrl': 'Адрес сервера синхронизации (необязательно)',
+        'auth.passwordTooShort': {
+            one: 'Пароль должен содержать не менее {count} символа',
+            few: 'Пароль должен содержать не менее {count} символов',
+            many: 'Пароль должен содержать не менее {count} символов',
+            other: 'Пароль должен содержать не менее {count} символа'
+        },
+        'auth.passwordLettersNumbers': 'Пароль должен содержать и буквы, и цифры',
+        'auth.passwordMatchesEmail': 'Пароль не должен совпадать с адресом почты',
+        'auth.httpsRegister': 'Для регистрации нужно защищённое соединение (HTTPS)',
+        'auth.httpsLogin': 'Для входа нужно защищённое соединение (HTTPS)',
+        'auth.emailTaken': 'Этот адрес уже зарегистрирован',
+        'auth.invalidCredentials': 'Неверный адрес почты или пароль',
+        'auth.syncUnreachable': 'Сервер синхронизации недоступен',
+        'auth.failed': 'Что-то пошло не так. Попробуйте ещё раз.',
+
+        'access.title': 'Войдите или зарегистрируйтесь',
+        'access.text': 'Эта функция доступна только после входа в аккаунт.',
+
+        'guest.login': 'Вход / Регистрация',
+        'guest.discard': 'Удалить',
+        'guest.discardConfirm': 'Удалить тренировки, выполненные без входа?',
+        'guest.mergeOption': {
+            one: 'Добавить {count} тренировку, выполненную без входа, в этот аккаунт',
+            few: 'Добавить {count} тренировки, выполненные без входа, в этот аккаунт',
+            many: 'Добавить {count} тренировок, выполненных без входа, в этот аккаунт',
+            other: 'Добавить {count} тренировки, выполненные без входа, в этот аккаунт'
+        },
+        'guest.banner': {
+            one: '{count} тренировка сохранена на этом устройстве. Войдите или зарегистрируйтесь, чтобы добавить её в историю.',
+            few: '{count} тренировки сохранены на этом устройстве. Войдите или зарегистрируйтесь, чтобы добавить их в историю.',
+            many: '{count} тренировок сохранено на этом устройстве. Войдите или зарегистрируйтесь, чтобы добавить их в историю.',
+            other: '{count} тренировки сохранено на этом устройстве. Войдите или зарегистрируйтесь, чтобы добавить их в историю.'
+        },
+
+        'camera.required': 'Для тренировки нужен доступ к камере',
+        'camera.unavailable': 'Камера недоступна',
+
+        'controls.start': 'Старт',
+        'controls.pause': 'Пауза',
+        'controls.resume': 'Продолжить',
+        'controls.reset': 'Сброс',
+        'controls.record': 'Запись',
+        'controls.stopRecording': 'Остановить запись',
+        'controls.recordVideo': 'Записать видео',
+        'controls.stopVideo': 'Остановить видео',
+        'controls.replay': 'Воспроизвести',
+        'controls.calibrate': 'Калибровка',
+        'controls.analyzeVideo': 'Анализ видео',
+
+        'status.correct': 'Правильно',
+        'status.incorrect': 'Неправильно',
+        'status.handsOnFloor': 'Руки на полу ✓',
+        'status.handsNotOnFloor': 'Руки не на полу',
+        'hands.onFloor': '✓ Руки на полу',
+        'hands.notOnFloor': '✗ Руки не на полу',
+        'view.front': 'Вид спереди',
+        'view.side': 'Вид сбоку',
+        'view.diagonal': 'Вид по диагонали',
+
+        'rep.lastScore': 'Последний повтор: {score}/100',
+        'rep.partial': 'Неполный повтор — опускайтесь до конца',
+        'rep.tempo': 'Темп {tempo} с',
+
+        'units.reps': {
+            one: '{count} повтор',
+            few: '{count} повтора',
+            many: '{count} повторов',
+            other: '{count} повтора'
+        },
+        'units.secondsShort': '{count} с',
+        'units.minutesShort': '{count} мин',
+        'time.seconds': {
+            one: '{count} секунда',
+            few: '{count} секунды',
+            many: '{count} секунд',
+            other: '{count} секунды'
+        },
+        'time.minutes': {
+            one: '{count} минута',
+            few: '{count} минуты',
+            many: '{count} минут',
+            other: '{count} минуты'
+        },
+
+        'sets.sets': 'Подходы',
+        'sets.repsPerSet': 'Повторов в подходе',
+        'sets.secondsPerSet': 'Секунд в подходе',
+        'sets.restSeconds': 'Отдых (с)',
+        'sets.tempo': 'Темп',
+        'sets.tempoHint': 'Секунды вниз-пауза-вверх',
+        'sets.tempoInvalid': 'Введите темп в секундах вниз-пауза-вверх, например 3-1-1',
+        'sets.rest': 'Отдых',
+        'sets.skipRest': 'Пропустить отдых',
+        'sets.status': 'Подход {set} из {sets} · {target}',
+        'sets.setDone': 'Подход {set} из {sets} выполнен ✓',
+        'sets.next': 'Далее: подход {set} из {sets}',
+        'sets.allDone': {
+            one: 'Выполнен {count} подход ✓',
+            few: 'Выполнены все {count} подхода ✓',
+            many: 'Выполнены все {count} подходов ✓',
+            other: 'Выполнены все {count} подхода ✓'
+        },
+        'coach.workoutComplete': 'Тренировка завершена',
+        'coach.setDoneRest': 'Подход {set} выполнен. Отдых {time}',
+        'coach.setGo': 'Подход {set}. Начали',
+
+        'exercise.pushups.label': 'Отжимания',
+        'exercise.pushups.description': 'Сила верхней части тела',
+        'exercise.squats.label': 'Приседания',
+        'exercise.squats.description': 'Укрепление ног и кора',
+        'exercise.planks.label': 'Планка',
+        'exercise.planks.description': 'Тренировка устойчивости кора',
+        'exercises.title': 'Выберите упражнение',
+        'sensitivity.relaxed': 'Мягкая',
+        'sensitivity.standard': 'Обычная',
+        'sensitivity.strict': 'Строгая',
+
+        'reason.notAllVisible': 'Видны не все части тела',
+        'reason.positionInView': 'Встаньте в кадр',
+        'reason.turnSidewaysPushups': 'Для отжиманий встаньте боком к камере',
+        'reason.turnForKnees': 'Повернитесь немного боком, чтобы было видно колени',
+        'reason.turnSidewaysPlanks': 'Для планки встаньте боком к камере',
+        'reason.keepBodyHigher': 'Держите корпус выше',
+        'reason.keepBodyStraight': 'Держите тело прямо',
+        'reason.armsSymmetric': 'Работайте обеими руками симметрично',
+        'reason.bendArmsMore': 'Сгибайте руки сильнее',
+        'reason.straightenArms': 'Полностью выпрямляйте руки',
+        'reason.standUp': 'Встаньте прямо, чтобы начать',
+        'reason.legsBalanced': 'Нагружайте обе ноги равномерно',
+        'reason.goLower': 'Опускайтесь ниже',
+        'reason.keepBodyHorizontal': 'Держите тело горизонтально',
+        'reason.lowerSlowly': 'Опускайтесь медленнее',
+        'reason.pauseAtBottom': 'Задержитесь внизу',
+        'reason.comeUpSlowly': 'Поднимайтесь медленнее',
+        'reason.wristsNotVisible': 'Не видно запястий',
+        'reason.handsOnFloor': 'Руки на полу',
+        'reason.raiseHands': 'Поднимите руки',
+        'reason.partialRep': 'Неполный повтор',
+
+        'calibration.pushups.top': 'Зафиксируйтесь в верхней точке отжимания на прямых руках',
+        'calibration.pushups.bottom': 'Опуститесь так низко, как вам удобно, и замрите',
+        'calibration.squats.top': 'Встаньте прямо, слегка развернувшись от камеры',
+        'calibration.squats.bottom': 'Присядьте так глубоко, как вам удобно, и замрите',
+        'calibration.planks.hold': 'Встаньте в свою лучшую планку',
+        'calibration.error.bendArms': 'В нижней точке сгибайте руки сильнее',
+        'calibration.error.shouldersStill': 'Плечи почти не двигались — отойдите, чтобы в кадр попало всё тело',
+        'calibration.error.bendKnees': 'В нижней точке сгибайте колени сильнее',
+        'calibration.error.hipsStill': 'Таз почти не двигался — отойдите, чтобы в кадр попало всё тело',
+        'calibration.heading': 'Калибровка: {exercise}',
+        'calibration.step': 'Шаг {step} из {count}',
+        'calibration.getIntoPosition': 'Займите положение: {seconds}',
+        'calibration.holdStill': 'Не двигайтесь: {seconds}',
+        'calibration.loginRequired': 'Войдите, чтобы сохранить калибровку',
+        'calibration.notVisible': 'Вас было видно не полностью. Проверьте изображение с камеры и попробуйте снова.',
+        'calibration.failed': 'Калибровка не удалась: {reason}',
+        'calibration.saved': 'Калибровка сохранена. Для упражнения «{exercise}» теперь используются ваши личные пороги.',
+        'calibration.calibratedOn': '{exercise}: откалибровано {date}',
+        'calibration.default': '{exercise}: стандартные пороги',
+        'calibration.rerun': 'Повторить',
+        'calibration.resetConfirm': 'Вернуть стандартные пороги для упражнения «{exercise}»?',
+
+        'account.profile': 'Профиль',
+        'account.name': 'Имя:',
+        'account.email': 'Почта:',
+        'account.totals': 'Общая статистика',
+        'account.totalTime': '{exercise} (общее время)',
+        'account.achievements': 'Достижения',
+        'account.goal': 'Дневная цель',
+        'account.goalHint': 'Выполните все цели за день, и день будет отмечен автоматически.',
+        'account.calibration': 'Калибровка',
+        'account.calibrationHint': 'Запишите свои верхнее и нижнее положения, чтобы подсчёт подходил вашему телу и камере.',
+        'account.reminders': 'Напоминания',
+        'account.remindersHint': 'Получайте напоминания о тренировке в выбранные дни. Если день уже отмечен, напоминания не будет.',
+        'account.voice': 'Голосовой тренер',
+        'account.sync': 'Синхронизация',
+        'account.syncHint': 'Подключитесь к серверу синхронизации, чтобы данные были на всех ваших устройствах.',
+        'account.backup': 'Резервная копия',
+        'account.backupHint': 'Скачайте все тренировки, отметки и настройки, чтобы сохранить копию, перенести их в другой браузер или открыть в таблице.',
+        'account.history': 'История тренировок',
+
+        'goal.fieldReps': '{exercise} (повторы)',
+        'goal.fieldSeconds': '{exercise} (секунды)',
+        'goal.save': 'Сохранить цель',
+        'goal.saved': 'Дневная цель сохранена',
+        'goal.loginRequired': 'Войдите, чтобы задать цель',
+        'goal.empty': 'Задайте цель хотя бы для одного упражнения',
+        'goal.completeToday': 'Дневная цель выполнена — сегодня отмечено ✓',
+        'goal.programTargetDone': 'Цель дня {day} выполнена ✓ — выберите следующее упражнение в календаре',
+        'goal.programTarget': 'Цель дня {day}: {sets} × {amount} · выполнено {done}/{total}',
+        'goal.restDay': 'День {day}: отдых',
+        'goal.programDayGoal': 'Цель дня {day}: {parts}',
+        'goal.dailyGoal': 'Дневная цель: {parts}',
+
+        'checkIn.loginRequired': 'Войдите, чтобы отметить день',
+        'checkIn.past': 'Прошедшие дни отметить нельзя',
+        'checkIn.future': 'Будущие дни пока отметить нельзя',
+        'checkIn.already': 'Сегодня уже отмечено',
+
+        'program.beginner.label': 'Новичок',
+        'program.beginner.description': 'Мягкий старт, отдых каждый четвёртый день',
+        'program.intermediate.label': 'Средний уровень',
+        'program.intermediate.description': 'Больший объём, два дня отдыха в неделю',
+        'program.pushupChallenge.label': 'Челлендж отжиманий',
+        'program.pushupChallenge.description': 'Только отжимания, до 5 подходов по 20',
+        'program.start': 'Начать программу',
+        'program.stop': 'Остановить программу',
+        'program.loginRequired': 'Войдите, чтобы начать программу',
+        'program.unknown': 'Неизвестная программа',
+        'program.replaceConfirm': 'Заменить текущую программу? День 1 новой программы начнётся сегодня.',
+        'program.stopConfirm': 'Остановить текущую программу? Отметки сохранятся.',
+        'program.none': 'Программа не выбрана. Выберите её, чтобы получать цель на каждый день.',
+        'program.progress': '{program}: день {day} из {length}',
+        'program.finished': 'Программа «{program}» завершена — начните её заново или выберите другую',
+
+        'calendar.title': 'Календарь тренировок',
+        'calendar.congratulations': '🎉 Поздравляем! 🎉',
+        'calendar.streak30': 'Вы тренировались 30 дней подряд!',
+        'calendar.startOver': 'Начать заново',
+        'calendar.startOverConfirm': 'Точно начать заново? Все отметки будут удалены.',
+        'calendar.currentStreak': 'Текущая серия',
+        'calendar.longestStreak': 'Лучшая серия',
+        'calendar.streakBroken': 'Серия прервана: {date} нет отметки',
+        'calendar.undated': {
+            one: '{count} отметка из старого 30-дневного календаря сохранена, но без даты',
+            few: '{count} отметки из старого 30-дневного календаря сохранены, но без даты',
+            many: '{count} отметок из старого 30-дневного календаря сохранены, но без даты',
+            other: '{count} отметки из старого 30-дневного календаря сохранены, но без даты'
+        },
+        'calendar.dayRest': 'День {day} · Отдых',
+        'calendar.dayTargets': 'День {day} · {targets}',
+        'calendar.goalMark': '✓ Цель',
+        'calendar.goalMet': {
+            one: 'Дневная цель выполнена за {count} тренировку',
+            few: 'Дневная цель выполнена за {count} тренировки',
+            many: 'Дневная цель выполнена за {count} тренировок',
+            other: 'Дневная цель выполнена за {count} тренировки'
+        },
+        'calendar.manualMark': '✓ Вручную',
+        'calendar.manual': 'Отмечено вручную',
+        'calendar.checkIn': 'Отметить',
+        'calendar.startWorkout': 'Начать тренировку',
+
+        'achievement.unlocked': 'Достижение получено',
+        'achievement.unlockedOn': 'Получено {date}',
+        'achievement.locked': 'Не получено',
+        'achievement.firstWorkout.label': 'Первая тренировка',
+        'achievement.firstWorkout.description': 'Завершите первую тренировку с подсчётом',
+        'achievement.pushups100.label': 'Сотня отжиманий',
+        'achievement.pushups100.description': 'Сделайте 100 отжиманий в сумме',
+        'achievement.pushups1000.label': 'Машина для отжиманий',
+        'achievement.pushups1000.description': 'Сделайте 1000 отжиманий в сумме',
+        'achievement.squats100.label': 'День ног',
+        'achievement.squats100.description': 'Сделайте 100 приседаний в сумме',
+        'achievement.pushups50Session.label': 'Полсотни за раз',
+        'achievement.pushups50Session.description': 'Сделайте 50 отжиманий за одну тренировку',
+        'achievement.plank1Minute.label': 'Крепкий кор',
+        'achievement.plank1Minute.description': 'Простойте в планке 1 минуту за одну тренировку',
+        'achievement.plank5Minutes.label': 'Марафон в планке',
+        'achievement.plank5Minutes.description': 'Простойте в планке 5 минут в сумме',
+        'achievement.streak7.label': 'Неделя без пропусков',
+        'achievement.streak7.description': 'Отмечайтесь 7 дней подряд',
+        'achievement.streak30.label': 'Привычка сформирована',
+        'achievement.streak30.description': 'Отмечайтесь 30 дней подряд',
+        'achievement.perfectSet.label': 'Идеальная техника',
+        'achievement.perfectSet.description': 'Выполните подход минимум из {reps} повторов, каждый с оценкой не ниже {score}',
+
+        'day.sun': 'Вс',
+        'day.mon': 'Пн',
+        'day.tue': 'Вт',
+        'day.wed': 'Ср',
+        'day.thu': 'Чт',
+        'day.fri': 'Пт',
+        'day.sat': 'Сб',
+        'reminder.enabled': 'Напоминать',
+        'reminder.addTime': 'Добавить время',
+        'reminder.removeTime': 'Удалить это время',
+        'reminder.saved': 'Напоминания сохранены',
+        'reminder.loginRequired': 'Войдите, чтобы настроить напоминания',
+        'reminder.invalidTime': 'Введите время напоминания в формате ЧЧ:ММ',
+        'reminder.chooseTimeAndDay': 'Выберите хотя бы одно время и один день для напоминаний',
+        'reminder.statusUnsupported': 'Этот браузер не поддерживает уведомления, поэтому напоминания показываются баннером в приложении.',
+        'reminder.statusGranted': 'Напоминания приходят уведомлениями, пока приложение открыто, в том числе в фоновой вкладке. Когда приложение закрыто, этот браузер напоминать не может.',
+        'reminder.statusBackground': 'Напоминания приходят уведомлениями. Когда приложение закрыто, браузер проверяет их время от времени, поэтому они могут прийти с опозданием.',
+        'reminder.statusDenied': 'Уведомления для этого сайта заблокированы, поэтому напоминания показываются баннером в приложении.',
+        'reminder.statusDefault': 'При сохранении браузер спросит разрешение на уведомления; без него напоминания показываются баннером в приложении.',
+        'reminder.notificationTitle': 'Пора тренироваться',
+        'reminder.streakBody': {
+            one: 'Не прерывайте серию из {count} дня: сегодня ещё нет отметки.',
+            few: 'Не прерывайте серию из {count} дней: сегодня ещё нет отметки.',
+            many: 'Не прерывайте серию из {count} дней: сегодня ещё нет отметки.',
+            other: 'Не прерывайте серию из {count} дня: сегодня ещё нет отметки.'
+        },
+        'reminder.body': 'Сегодня ещё нет отметки. Короткой тренировки хватит, чтобы начать серию.',
+        'reminder.later': 'Позже',
+
+        'voice.hint': 'Слушайте счёт повторов, время планки и советы по технике во время тренировки.',
+        'voice.unsupported': 'Этот браузер не поддерживает синтез речи.',
+        'voice.speak': 'Озвучивать',
+        'voice.off': 'Ничего',
+        'voice.counts': 'Только счёт',
+        'voice.full': 'Счёт и советы по технике',
+        'voice.language': 'Язык',
+        'voice.languageDefault': 'Как в приложении',
+        'voice.voice': 'Голос',
+        'voice.defaultVoice': 'Голос по умолчанию',
+        'voice.test': 'Проверить',
+        'voice.saved': 'Настройки голоса сохранены',
+
+        'settings.loginRequired': 'Войдите, чтобы изменить настройки',
+        'settings.unknownModel': 'Неизвестная модель позы',
+        'settings.outOfRange': 'Уверенность, сглаживание и видимость должны быть от 0 до 1',
+        'settings.poseModel': 'Модель позы',
+        'settings.poseModelHint': 'Более тяжёлые модели точнее, но требуют более быстрого устройства. Более высокая уверенность отбрасывает сомнительные распознавания.',
+        'settings.model': 'Модель',
+        'settings.modelLite': 'Лёгкая (самая быстрая)',
+        'settings.modelFull': 'Полная',
+        'settings.modelHeavy': 'Тяжёлая (самая точная)',
+        'settings.detectionConfidence': 'Уверенность распознавания',
+        'settings.trackingConfidence': 'Уверенность отслеживания',
+        'settings.detection': 'Распознавание',
+        'settings.detectionHint': 'Сильное сглаживание делает скелет устойчивее, но он реагирует позже. Более высокий порог видимости отбрасывает части тела, которые камера почти не видит.',
+        'settings.smoothing': 'Сглаживание',
+        'settings.visibility': 'Порог видимости',
+        'settings.debugOverlay': 'Показывать исходные точки (красным) поверх сглаженного скелета',
+        'settings.sensitivity': 'Чувствительность',
+        'settings.sensitivityHint': 'Мягкая засчитывает неглубокие повторы и прощает мелкие ошибки, строгая требует полной амплитуды и чистой техники. Ваша калибровка важнее.',
+        'settings.restoreDefaults': 'Восстановить по умолчанию',
+        'settings.restoreConfirm': 'Восстановить стандартные настройки распознавания?',
+
+        'sync.now': 'Синхронизировать',
+        'sync.off': 'Синхронизация выключена — данные хранятся на этом устройстве',
+        'sync.loginToSync': 'Войдите, чтобы синхронизировать',
+        'sync.syncing': 'Синхронизация…',
+        'sync.relink': {
+            one: 'Войдите снова, чтобы связать аккаунт ({count} изменение ожидает)',
+            few: 'Войдите снова, чтобы связать аккаунт ({count} изменения ожидают)',
+            many: 'Войдите снова, чтобы связать аккаунт ({count} изменений ожидают)',
+            other: 'Войдите снова, чтобы связать аккаунт ({count} изменения ожидают)'
+        },
+        'sync.pending': {
+            one: '{count} изменение ожидает синхронизации',
+            few: '{count} изменения ожидают синхронизации',
+            many: '{count} изменений ожидают синхронизации',
+            other: '{count} изменения ожидают синхронизации'
+        },
+        'sync.syncedAt': 'Синхронизировано в {time}',
+        'sync.connected': 'Подключено',
+        'sync.otherAccount': 'Этот адрес почты принадлежит другому аккаунту на сервере',
+        'sync.passwordMismatch': 'У аккаунта на сервере другой пароль',
+        'sync.unreachableKept': 'Сервер недоступен — изменения сохранены на этом устройстве',
+        'sync.unreachableQueued': 'Сервер недоступен — изменения поставлены в очередь',
+        'sync.relogin': 'Войдите снова, чтобы продолжить синхронизацию',
+        'sync.rejected': 'Сервер отклонил часть записей — они остались только на этом устройстве',
+
+        'backup.exportJson': 'Экспорт JSON',
+        'backup.exportCsv': 'Экспорт CSV',
+        'backup.import': 'Импорт',
+        'backup.existingData': 'Текущие данные',
+        'backup.merge': 'Объединить с копией',
+        'backup.replace': 'Заменить копией',
+        'backup.source': 'Копия пользователя {name}',
+        'backup.unknownUser': 'неизвестно',
+        'backup.exportedAt': ', создана {date}',
+        'backup.otherAccount': ' — это не ваш аккаунт',
+        'backup.sessionChanges': 'Тренировки: новых — {added}, обновлено — {updated}, без изменений — {unchanged}',
+        'backup.checkInChanges': 'Отметки: новых — {added}',
+        'backup.removed': ', удалено — {count}',
+        'backup.settingsChanged': 'Изменятся настройки: {names}',
+        'backup.settingsUnchanged': 'Настройки не изменятся',
+        'backup.replaceConfirm': 'Заменить все тренировки, отметки и настройки данными из копии? Это нельзя отменить.',
+        'backup.imported': 'Копия импортирована',
+        'backup.loginRequired': 'Войдите, чтобы импортировать данные',
+        'backup.unknownMode': 'Неизвестный режим импорта',
+        'backup.preference.goal': 'дневная цель',
+        'backup.preference.program': 'программа',
+        'backup.preference.calibration': 'калибровка',
+        'backup.preference.voice': 'голосовой тренер',
+        'backup.preference.settings': 'настройки распознавания',
+        'backup.preference.achievements': 'достижения',
+        'backup.preference.reminders': 'напоминания',
+        'backup.preference.tempo': 'темп',
+        'backup.error.invalidJson': 'Копия не является корректным JSON',
+        'backup.error.notBackup': 'Этот файл не является резервной копией Фитнес-тренера',
+        'backup.error.newer': 'Эта копия создана более новой версией приложения',
+        'backup.error.missingData': 'В копии нет календаря или тренировок',
+        'backup.error.malformedSessions': 'В копии есть повреждённые тренировки',
+        'backup.error.duplicateSession': 'В копии одна и та же тренировка встречается дважды',
+        'backup.error.malformedSettings': 'В копии есть повреждённые настройки',
+        'backup.error.malformedCalendar': 'В копии есть повреждённые отметки или отметки на будущие дни',
+        'backup.error.invalidPreference': 'В копии неверные данные: {name}',
+
+        'history.allExercises': 'Все упражнения',
+        'history.from': 'С',
+        'history.to': 'По',
+        'history.empty': 'Тренировки не найдены',
+        'history.legacy': 'Итог, записанный до появления истории тренировок',
+        'history.pauses': {
+            one: '{count} пауза',
+            few: '{count} паузы',
+            many: '{count} пауз',
+            other: '{count} паузы'
+        },
+        'history.fromVideo': 'из видео {name}',
+        'history.avgQuality': 'Среднее качество {score}/100',
+        'history.partialReps': {
+            one: '{count} неполный повтор',
+            few: '{count} неполных повтора',
+            many: '{count} неполных повторов',
+            other: '{count} неполного повтора'
+        },
+        'history.underTension': '{count} с под нагрузкой',
+        'history.sets': 'Подходы: {sets}',
+        'history.deleteConfirm': 'Удалить эту тренировку? Итоги будут пересчитаны.',
+
+        'recording.noCamera': 'Камера недоступна, записывать нечего',
+        'recording.invalidJson': 'Запись не является корректным JSON',
+        'recording.unsupported': 'Неподдерживаемый формат записи',
+        'recording.unknownExercise': 'Неизвестное упражнение в записи: {exercise}',
+        'recording.malformed': 'В записи есть повреждённые кадры',
+
+        'video.title': 'Анализ видео',
+        'video.titleFile': '{exercise}: {file}',
+        'video.unsupported': 'Ваш браузер не поддерживает этот формат видео',
+        'video.poseLoading': 'Распознавание позы ещё загружается',
+        'video.failed': 'Не удалось проанализировать видео',
+        'video.progress': 'Анализ… {percent}%',
+        'video.goodForm': 'Хорошая техника',
+        'video.outOfView': 'Вне кадра',
+        'video.held': 'Удержание {time}',
+        'video.partial': {
+            one: '{count} неполный',
+            few: '{count} неполных',
+            many: '{count} неполных',
+            other: '{count} неполного'
+        },
+        'video.analysedAt': '{duration} проанализировано, {fps} кадр/с',
+        'video.nothingDetected': 'В этом видео ничего не распознано',
+        'video.nothingCounted': 'В этом видео ничего не засчитано',
+        'video.loginRequired': 'Войдите, чтобы сохранить тренировку в историю',
+        'video.save': 'Сохранить в историю',
+        'video.saved': 'Сохранено ✓',
+        'video.event.rep': 'Повтор {count}',
+        'video.event.repQuality': 'Повтор {count} (качество {score}/100)',
+        'video.event.holdStart': 'Удержание началось',
+        'video.event.holdStop': 'Удержание прервано'
+    }
+};
+
+class I18n {
+    constructor(language = DEFAULT_LANGUAGE) {
+        this.setLanguage(language);
+    }
+
+    // First supported language among the browser's preferred ones ('ru-RU' -> 'ru')
+    static detectLanguage(preferred) {
+        const match = (preferred || [])
+            .map(tag => String(tag).toLowerCase().split('-')[0])
+            .find(language => MESSAGES[language]);
+        return match || DEFAULT_LANGUAGE;
+    }
+
+    setLanguage(language) {
+        this.language = MESSAGES[language] ? language : DEFAULT_LANGUAGE;
+        this.pluralRules = new Intl.PluralRules(this.language);
+    }
+
+    t(key, params = {}) {
+        let message = MESSAGES[this.language][key];
+        if (message === undefined) {
+            message = MESSAGES[DEFAULT_LANGUAGE][key];
+        }
+        if (message === undefined) {
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const count = Number(params.count);
+            message = message[this.pluralRules.select(count)] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            (params[name] === undefined ? placeholder : String(params[name]))
+        );
+    }
+
+    // Static text of the page: data-i18n sets the text, data-i18n-placeholder
+    // and data-i18n-title the attributes, each to the message of the given key
+    apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.placeholder = this.t(el.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.title = this.t(el.dataset.i18nTitle);
+        });
+        if (root.documentElement) {
+            root.documentElement.lang = this.language;
+        }
+    }
+
+    formatDate(date, options) {
+        return date.toLocaleDateString(this.language, options);
+    }
+
+    formatDateTime(date) {
+        return date.toLocaleString(this.language);
+    }
+
+    formatTime(date) {
+        return date.toLocaleTimeString(this.language);
+    }
+}
+
+// Shared by every script of the page; FitnessTrainer sets the user's language
+const i18n = new I18n();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LANGUAGES, DEFAULT_LANGUAGE, MESSAGES, I18n, i18n };
+}
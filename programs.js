@@ -0,0 +1,78 @@
+// ============================================
+// TRAINING PROGRAMS
+// 30-day plans that give every calendar day a target.
+// Targets are generated from progression rules instead of
+// being listed day by day, so a plan is easy to tune.
+// ============================================
+
+// Program entry fields:
+//   label, description - message keys (see i18n.js) of the text shown in the calendar
+//   length        - number of days in the program
+//   restDays      - day numbers (1-based) without training
+//   exercises     - progression rule per exercise (keys of EXERCISES):
+//       sets      - number of sets every training day
+//       start     - reps (or seconds for timed exercises) per set on the first training day
+//       step      - amount added after every `every` training days
+//       every     - training days between increases
+//       max       - upper limit per set
+const PROGRAMS = {
+    beginner: {
+        label: 'program.beginner.label',
+        description: 'program.beginner.description',
+        length: 30,
+        restDays: [4, 8, 12, 16, 20, 24, 28],
+        exercises: {
+            pushups: { sets: 3, start: 5, step: 1, every: 2, max: 15 },
+            squats: { sets: 2, start: 10, step: 2, every: 2, max: 25 },
+            planks: { sets: 1, start: 20, step: 5, every: 2, max: 60 }
+        }
+    },
+
+    intermediate: {
+        label: 'program.intermediate.label',
+        description: 'program.intermediate.description',
+        length: 30,
+        restDays: [4, 7, 11, 14, 18, 21, 25, 28],
+        exercises: {
+            pushups: { sets: 3, start: 12, step: 1, every: 1, max: 30 },
+            squats: { sets: 3, start: 15, step: 2, every: 2, max: 35 },
+            planks: { sets: 2, start: 40, step: 5, every: 2, max: 90 }
+        }
+    },
+
+    pushupChallenge: {
+        label: 'program.pushupChallenge.label',
+        description: 'program.pushupChallenge.description',
+        length: 30,
+        restDays: [5, 10, 15, 20, 25],
+        exercises: {
+            pushups: { sets: 5, start: 6, step: 1, every: 1, max: 20 }
+        }
+    }
+};
+
+// Target of one program day: { day, rest, targets: [{ exercise, sets, amount }] }
+function getProgramDay(programId, day) {
+    const program = PROGRAMS[programId];
+    if (!program || day < 1 || day > program.length) {
+        return null;
+    }
+
+    if (program.restDays.includes(day)) {
+        return { day, rest: true, targets: [] };
+    }
+
+    // Progressive overload: count the training days that came before this one
+    const trainingDay = day - 1 - program.restDays.filter(restDay => restDay < day).length;
+    const targets = Object.entries(program.exercises).map(([exercise, rule]) => ({
+        exercise,
+        sets: rule.sets,
+        amount: Math.min(rule.max, rule.start + rule.step * Math.floor(trainingDay / rule.every))
+    }));
+
+    return { day, rest: false, targets };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROGRAMS, getProgramDay };
+}
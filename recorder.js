@@ -0,0 +1,273 @@
+// ============================================
+// POSE RECORDER / REPLAYER
+// Saves per-frame pose landmarks of a session and feeds them back
+// through the trainer without a camera. The workout video recorder
+// keeps the annotated camera view itself as a WebM file.
+// ============================================
+
+const RECORDING_VERSION = 1;
+
+class PoseRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.recording = null;
+        this.startTime = null;
+    }
+
+    start(exercise, width, height) {
+        this.isRecording = true;
+        this.startTime = performance.now();
+        this.recording = {
+            version: RECORDING_VERSION,
+            exercise,
+            recordedAt: new Date().toISOString(),
+            width,
+            height,
+            frames: []
+        };
+    }
+
+    addFrame(landmarks, worldLandmarks = null) {
+        if (!this.isRecording) return;
+
+        // Frames without a pose are kept too, so tracking dropouts replay faithfully
+        this.recording.frames.push({
+            t: Math.round(performance.now() - this.startTime),
+            landmarks: PoseRecorder.copyLandmarks(landmarks),
+            worldLandmarks: landmarks ? PoseRecorder.copyLandmarks(worldLandmarks) : null
+        });
+    }
+
+    static copyLandmarks(landmarks) {
+        return landmarks
+            ? landmarks.map(({ x, y, z, visibility }) => ({ x, y, z, visibility }))
+            : null;
+    }
+
+    stop() {
+        const recording = this.recording;
+        this.isRecording = false;
+        this.recording = null;
+        this.startTime = null;
+        return recording;
+    }
+
+    static parse(text) {
+        let recording;
+        try {
+            recording = JSON.parse(text);
+        } catch (error) {
+            throw new Error('recording.invalidJson');
+        }
+
+        if (!recording || recording.version !== RECORDING_VERSION || !Array.isArray(recording.frames)) {
+            throw new Error('recording.unsupported');
+        }
+        if (!EXERCISES[recording.exercise]) {
+            const error = new Error('recording.unknownExercise');
+            error.params = { exercise: recording.exercise };
+            throw error;
+        }
+
+        // World landmarks are optional: older recordings and 2D-only frames have none
+        const isPose = landmarks => landmarks === null || (Array.isArray(landmarks) && landmarks.length === 33);
+        const framesValid = recording.frames.every(frame =>
+            typeof frame.t === 'number' && isPose(frame.landmarks) &&
+            (frame.worldLandmarks === undefined || isPose(frame.worldLandmarks))
+        );
+        if (!framesValid) {
+            throw new Error('recording.malformed');
+        }
+
+        return recording;
+    }
+}
+
+class PoseReplayer {
+    constructor(recording, onFrame, onEnd) {
+        this.frames = recording.frames;
+        this.onFrame = onFrame;
+        this.onEnd = onEnd;
+        this.index = 0;
+        this.timer = null;
+        this.clockStart = null; // performance.now() corresponding to t = 0
+        this.pausedAt = null;
+        this.stopped = false;
+    }
+
+    play() {
+        this.clockStart = performance.now();
+        this.scheduleNext();
+    }
+
+    pause() {
+        if (this.pausedAt !== null) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pausedAt = performance.now();
+    }
+
+    resume() {
+        if (this.pausedAt === null) return;
+        // Shift the clock so the paused time is not replayed as a gap
+        this.clockStart += performance.now() - this.pausedAt;
+        this.pausedAt = null;
+        this.scheduleNext();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.stopped = true;
+    }
+
+    scheduleNext() {
+        if (this.index >= this.frames.length) {
+            this.onEnd();
+            return;
+        }
+
+        // Keep the recorded timing between frames
+        const frame = this.frames[this.index];
+        const delay = Math.max(0, frame.t - (performance.now() - this.clockStart));
+        this.timer = setTimeout(() => {
+            this.index++;
+            this.onFrame(frame);
+            // The frame handler may have paused or stopped the replay
+            if (this.pausedAt === null && !this.stopped) {
+                this.scheduleNext();
+            }
+        }, delay);
+    }
+}
+
+// Records the camera view composited with the skeleton overlay and the HUD,
+// plus markers (e.g. reps) with their time in the video
+class WorkoutVideoRecorder {
+    constructor(video, overlay) {
+        this.video = video; // Camera feed
+        this.overlay = overlay; // Canvas with the skeleton, drawn over the feed
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        this.FRAME_RATE = 30;
+        this.MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.markers = []; // { t, label, ... } with t in seconds from the start
+        this.exercise = null;
+        this.recordedAt = null;
+        this.startTime = null;
+        this.frameRequest = null;
+        this.getHud = null; // Returns { title, counter, lines } to draw on every frame
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    get isRecording() {
+        return Boolean(this.mediaRecorder);
+    }
+
+    start(exercise) {
+        this.canvas.width = this.video.videoWidth || this.overlay.width;
+        this.canvas.height = this.video.videoHeight || this.overlay.height;
+        this.exercise = exercise;
+        this.recordedAt = new Date().toISOString();
+        this.startTime = performance.now();
+        this.chunks = [];
+        this.markers = [];
+
+        const mimeType = this.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        this.mediaRecorder = new MediaRecorder(this.canvas.captureStream(this.FRAME_RATE), { mimeType });
+        this.mediaRecorder.ondataavailable = event => {
+            if (event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+        this.mediaRecorder.start(1000); // Collect data every second, so a long recording isn't held in one piece
+
+        this.drawFrame();
+    }
+
+    addMarker(label, details = {}) {
+        if (!this.isRecording) return;
+        const t = Math.round((performance.now() - this.startTime) / 100) / 10;
+        this.markers.push({ t, label, ...details });
+    }
+
+    // Resolves with the WebM video and its sidecar of markers
+    stop() {
+        const mediaRecorder = this.mediaRecorder;
+        this.mediaRecorder = null;
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+
+        return new Promise(resolve => {
+            mediaRecorder.onstop = () => {
+                const video = new Blob(this.chunks, { type: mediaRecorder.mimeType || 'video/webm' });
+                this.chunks = [];
+                resolve({
+                    video,
+                    sidecar: {
+                        version: 1,
+                        exercise: this.exercise,
+                        recordedAt: this.recordedAt,
+                        duration: Math.round((performance.now() - this.startTime) / 100) / 10,
+                        markers: this.markers
+                    }
+                });
+            };
+            mediaRecorder.stop();
+        });
+    }
+
+    drawFrame() {
+        if (!this.isRecording) return;
+        const { ctx, canvas } = this;
+
+        // The camera and skeleton are shown mirrored, so the recording is too
+        ctx.save();
+        ctx.translate(canvas.width, 0);
+        ctx.scale(-1, 1);
+        if (this.video.readyState >= 2) {
+            ctx.drawImage(this.video, 0, 0, canvas.width, canvas.height);
+        }
+        ctx.drawImage(this.overlay, 0, 0, canvas.width, canvas.height);
+        ctx.restore();
+
+        if (this.getHud) {
+            this.drawHud(this.getHud());
+        }
+
+        this.frameRequest = requestAnimationFrame(() => this.drawFrame());
+    }
+
+    drawHud({ title, counter, lines }) {
+        const { ctx } = this;
+        const scale = this.canvas.height / 720; // Sized for 720p, scaled to the camera
+        const padding = 20 * scale;
+        const width = 360 * scale;
+        const height = (110 + 30 * lines.length) * scale;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(padding, padding, width, height);
+
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#4ecdc4';
+        ctx.font = `600 ${24 * scale}px sans-serif`;
+        ctx.fillText(title, padding * 2, padding * 1.75);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `700 ${56 * scale}px sans-serif`;
+        ctx.fillText(counter, padding * 2, padding * 1.75 + 32 * scale);
+
+        ctx.font = `${20 * scale}px sans-serif`;
+        lines.forEach((line, i) => {
+            ctx.fillText(line, padding * 2, padding * 1.75 + (100 + 30 * i) * scale);
+        });
+    }
+}
@@ -0,0 +1,124 @@
+// ============================================
+// WORKOUT REMINDERS
+// Decides when a reminder is due from the user's reminder times and days.
+// Browsers can't schedule a notification ahead of time without a push
+// server, so the trainer checks while the app is open, which includes a
+// background tab and the installed app. While it is closed, the service
+// worker checks whenever the browser wakes it with Periodic Background
+// Sync (see sw.js), which only some browsers offer.
+// ============================================
+
+// Message keys of the short day names, in Date.getDay() order
+const REMINDER_DAYS = ['day.sun', 'day.mon', 'day.tue', 'day.wed', 'day.thu', 'day.fri', 'day.sat'];
+
+// The service worker can't read localStorage, so the app leaves what it needs
+// to remind in Cache Storage: see ReminderScheduler.saveSharedState
+const REMINDER_TAG = 'workout-reminder'; // Of the periodic sync and of the notification, so it isn't shown twice
+const REMINDER_SYNC_INTERVAL = 60 * 60 * 1000; // ms; a wish only, the browser decides how often it runs
+const REMINDER_STATE_CACHE = 'reminder-state';
+const REMINDER_STATE_URL = 'reminder-state.json';
+
+class ReminderScheduler {
+    constructor() {
+        this.CHECK_INTERVAL = 30000; // ms between checks, so a reminder is at most this late
+        this.MAX_TIMES = 3;
+
+        this.settings = ReminderScheduler.defaultSettings();
+        this.lastFired = ''; // 'YYYY-MM-DD HH:MM' of the last reminder, so each one fires once
+        this.timer = null;
+        this.isSuppressed = null; // Called with the day's date key; true when no reminder is needed
+        this.onRemind = null; // Called with the due reminder's time and its 'YYYY-MM-DD HH:MM' key
+    }
+
+    static defaultSettings() {
+        return { enabled: false, times: ['18:00'], days: [0, 1, 2, 3, 4, 5, 6] };
+    }
+
+    static isTime(text) {
+        return /^([01]\d|2[0-3]):[0-5]\d$/.test(text);
+    }
+
+    // Local calendar date and time of day, as compared with the reminder times
+    static splitDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return {
+            day: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+            time: `${pad(date.getHours())}:${pad(date.getMinutes())}`
+        };
+    }
+
+    // The latest reminder of `now`'s day that has passed and was not fired yet, or null.
+    // Reminders missed while the app was closed collapse into this one.
+    static dueReminder(settings, now, lastFired) {
+        if (!settings.enabled || !settings.days.includes(now.getDay())) return null;
+
+        const { day, time } = ReminderScheduler.splitDate(now);
+        const passed = settings.times.filter(reminder => reminder <= time).sort();
+        if (passed.length === 0) return null;
+
+        const reminder = passed[passed.length - 1];
+        const key = `${day} ${reminder}`;
+        return key > lastFired ? { day, time: reminder, key } : null;
+    }
+
+    // Shared state fields:
+    //   userId, settings, lastFired - whose reminders, and the last one shown by either side
+    //   suppressedDays - date keys without a reminder (checked in, or a rest day)
+    //   day           - date key the state was saved on; streakBody only applies to that day
+    //   title, body, streakBody - notification text in the user's language
+    static async loadSharedState() {
+        if (typeof caches === 'undefined') return null;
+        const cache = await caches.open(REMINDER_STATE_CACHE);
+        const response = await cache.match(REMINDER_STATE_URL);
+        return response ? response.json() : null;
+    }
+
+    static async saveSharedState(state) {
+        if (typeof caches === 'undefined') return;
+        const cache = await caches.open(REMINDER_STATE_CACHE);
+        await cache.put(REMINDER_STATE_URL, new Response(JSON.stringify(state), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+    }
+
+    setSettings(settings, lastFired = '') {
+        this.settings = { ...ReminderScheduler.defaultSettings(), ...settings };
+        this.lastFired = lastFired;
+        this.start();
+    }
+
+    start() {
+        this.stop();
+        if (!this.settings.enabled) return;
+        this.timer = setInterval(() => this.check(), this.CHECK_INTERVAL);
+        this.check();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    check(now = new Date()) {
+        const due = ReminderScheduler.dueReminder(this.settings, now, this.lastFired);
+        if (!due) return;
+
+        // Marked as fired even when suppressed, so it isn't evaluated again every check
+        this.lastFired = due.key;
+        if (this.isSuppressed && this.isSuppressed(due.day)) return;
+        if (this.onRemind) {
+            this.onRemind(due.time, due.key);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REMINDER_DAYS,
+        REMINDER_TAG,
+        REMINDER_SYNC_INTERVAL,
+        REMINDER_STATE_CACHE,
+        REMINDER_STATE_URL,
+        ReminderScheduler
+    };
+}
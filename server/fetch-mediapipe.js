@@ -0,0 +1,59 @@
+// ============================================
+// FITNESS TRAINER - MediaPipe asset download
+// Copies the Pose script, model and wasm files from the CDN into the
+// local asset folder set in config.js, so the app needs no network.
+// No dependencies: run with `node server/fetch-mediapipe.js`
+// ============================================
+
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { MEDIAPIPE_CONFIG, MEDIAPIPE_POSE_FILES, MEDIAPIPE_POSE_MODELS } = require('../config.js');
+
+const APP_ROOT = path.join(__dirname, '..');
+const TARGET_DIR = path.join(APP_ROOT, MEDIAPIPE_CONFIG.localPath);
+
+function download(url, filePath) {
+    return new Promise((resolve, reject) => {
+        https.get(url, res => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                download(new URL(res.headers.location, url).href, filePath).then(resolve, reject);
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`${url}: HTTP ${res.statusCode}`));
+                return;
+            }
+
+            // Written under a temporary name, so an interrupted download never looks complete
+            const partial = `${filePath}.part`;
+            const file = fs.createWriteStream(partial);
+            res.pipe(file);
+            file.on('finish', () => file.close(() => {
+                fs.renameSync(partial, filePath);
+                resolve();
+            }));
+            file.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+async function main() {
+    if (!MEDIAPIPE_CONFIG.cdnPath) {
+        throw new Error('Set MEDIAPIPE_CONFIG.cdnPath in config.js to download from');
+    }
+
+    fs.mkdirSync(TARGET_DIR, { recursive: true });
+    for (const name of [...MEDIAPIPE_POSE_FILES, ...MEDIAPIPE_POSE_MODELS]) {
+        console.log(`Downloading ${name}`);
+        await download(MEDIAPIPE_CONFIG.cdnPath + name, path.join(TARGET_DIR, name));
+    }
+    console.log(`MediaPipe Pose files saved to ${path.relative(process.cwd(), TARGET_DIR) || '.'}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,363 @@
+// ============================================
+// FITNESS TRAINER - Sync Server
+// Optional REST backend for accounts, calendar, sessions and stats.
+// No dependencies: run with `node server/server.js`
+// (PORT and DATA_FILE environment variables are optional).
+// Also serves the app itself, so http://localhost:3000 works out of the box.
+// ============================================
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data.json');
+const APP_ROOT = path.join(__dirname, '..');
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_BODY_BYTES = 1024 * 1024;
+const MIN_PASSWORD_LENGTH = 8;
+const COLLECTIONS = ['calendar', 'sessions', 'stats'];
+
+// Record keys each collection accepts: calendar dates (or the day numbers of
+// the old 30-day calendar), session ids and the single stats record
+const KEY_PATTERNS = {
+    calendar: /^(\d{4}-\d{2}-\d{2}|[1-9]|[12]\d|30)$/,
+    sessions: /^[\w.-]{1,100}$/,
+    stats: /^totals$/
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.wasm': 'application/wasm',
+    '.tflite': 'application/octet-stream',
+    '.binarypb': 'application/octet-stream',
+    '.data': 'application/octet-stream'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Storage
+// Users and records are looked up by ids and keys the client sends, so they live
+// in objects without a prototype: "constructor" or "__proto__" are plain keys there
+function createMap(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+function loadData() {
+    if (!fs.existsSync(DATA_FILE)) {
+        return {
+            secret: crypto.randomBytes(32).toString('hex'), // Signs access tokens
+            users: createMap()
+        };
+    }
+
+    const stored = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    stored.users = createMap(stored.users);
+    Object.values(stored.users).forEach(user => {
+        COLLECTIONS.forEach(collection => {
+            user.collections[collection] = createMap(user.collections[collection]);
+        });
+    });
+    return stored;
+}
+
+const data = loadData();
+
+function saveData() {
+    // Write to a temporary file first so a crash never leaves half a file behind
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(data));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+// Passwords and tokens
+async function hashPassword(password, salt) {
+    const hash = await scrypt(password, salt, 64);
+    return hash.toString('hex');
+}
+
+// Hashed against for unknown emails, so they take as long to reject as a wrong password
+const DUMMY_SALT = crypto.randomBytes(16).toString('hex');
+
+async function verifyPassword(user, password) {
+    const hash = Buffer.from(await hashPassword(password, user.salt), 'hex');
+    return crypto.timingSafeEqual(hash, Buffer.from(user.passwordHash, 'hex'));
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', data.secret).update(payload).digest('base64url');
+}
+
+function createToken(userId) {
+    const payload = Buffer.from(JSON.stringify({ sub: userId, exp: Date.now() + TOKEN_TTL_MS })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+function readToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        throw new HttpError(401, 'Missing access token');
+    }
+
+    const [payload, signature] = token.split('.');
+    const expected = sign(payload || '');
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new HttpError(401, 'Invalid access token');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (claims.exp < Date.now() || !data.users[claims.sub]) {
+        throw new HttpError(401, 'Access token expired');
+    }
+    return data.users[claims.sub];
+}
+
+function publicUser(user) {
+    return { id: user.id, name: user.name, email: user.email, registeredAt: user.registeredAt };
+}
+
+function findUserByEmail(email) {
+    return Object.values(data.users).find(u => u.email === email) || null;
+}
+
+// Deterministic conflict rule shared with sync.js: the later write wins,
+// equal timestamps are settled by comparing device ids
+function isNewerRecord(a, b) {
+    if (a.updatedAt !== b.updatedAt) {
+        return a.updatedAt > b.updatedAt;
+    }
+    return a.deviceId > b.deviceId;
+}
+
+function decodePath(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL');
+    }
+}
+
+function readRecord(body, deleted) {
+    if (typeof body.updatedAt !== 'number' || typeof body.deviceId !== 'string') {
+        throw new HttpError(400, 'updatedAt and deviceId are required');
+    }
+    return {
+        value: deleted ? null : body.value,
+        deleted,
+        updatedAt: body.updatedAt,
+        deviceId: body.deviceId
+    };
+}
+
+function applyRecord(user, collection, key, incoming) {
+    const records = user.collections[collection];
+    const current = records[key];
+    if (current && !isNewerRecord(incoming, current)) {
+        // Keep the existing record and tell the client which one won
+        return { record: current, applied: false };
+    }
+    records[key] = incoming;
+    saveData();
+    return { record: incoming, applied: true };
+}
+
+// HTTP helpers
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (chunks.length === 0) {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, 'Body must be valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Route handlers
+async function register(req, res) {
+    const body = await readBody(req);
+    const name = String(body.name || '').trim();
+    const email = String(body.email || '').trim().toLowerCase();
+    const password = String(body.password || '');
+
+    if (!name || !/^[^@\s]+@[^@\s]+$/.test(email)) {
+        throw new HttpError(400, 'Name and a valid email are required');
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (findUserByEmail(email)) {
+        throw new HttpError(409, 'Email already registered');
+    }
+
+    // Keep the client's id so local and server data refer to the same account
+    const id = body.id && !data.users[body.id] ? String(body.id) : Date.now().toString();
+    const salt = crypto.randomBytes(16).toString('hex');
+    const user = {
+        id,
+        name,
+        email,
+        salt,
+        passwordHash: await hashPassword(password, salt),
+        registeredAt: body.registeredAt || new Date().toISOString(),
+        collections: { calendar: createMap(), sessions: createMap(), stats: createMap() }
+    };
+
+    data.users[id] = user;
+    saveData();
+    send(res, 201, { token: createToken(id), user: publicUser(user) });
+}
+
+async function login(req, res) {
+    const body = await readBody(req);
+    const user = findUserByEmail(String(body.email || '').trim().toLowerCase());
+    const password = String(body.password || '');
+    if (!user) {
+        await hashPassword(password, DUMMY_SALT);
+        throw new HttpError(401, 'Invalid email or password');
+    }
+    if (!(await verifyPassword(user, password))) {
+        throw new HttpError(401, 'Invalid email or password');
+    }
+    send(res, 200, { token: createToken(user.id), user: publicUser(user) });
+}
+
+function refreshToken(req, res) {
+    const user = readToken(req);
+    send(res, 200, { token: createToken(user.id), user: publicUser(user) });
+}
+
+async function handleCollection(req, res, collection, key) {
+    const user = readToken(req);
+
+    if (!key) {
+        if (req.method !== 'GET') {
+            throw new HttpError(405, 'Method not allowed');
+        }
+        send(res, 200, { records: user.collections[collection] });
+        return;
+    }
+    if (!KEY_PATTERNS[collection].test(key)) {
+        throw new HttpError(400, `Invalid ${collection} key`);
+    }
+
+    if (req.method === 'GET') {
+        const record = user.collections[collection][key];
+        if (!record) {
+            throw new HttpError(404, 'Not found');
+        }
+        send(res, 200, { record });
+    } else if (req.method === 'PUT') {
+        const record = readRecord(await readBody(req), false);
+        send(res, 200, applyRecord(user, collection, key, record));
+    } else if (req.method === 'DELETE') {
+        // Deletions are kept as tombstones so other devices learn about them
+        const record = readRecord(await readBody(req), true);
+        send(res, 200, applyRecord(user, collection, key, record));
+    } else {
+        throw new HttpError(405, 'Method not allowed');
+    }
+}
+
+function serveStatic(req, res) {
+    const urlPath = decodePath(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.normalize(path.join(APP_ROOT, urlPath === '/' ? 'index.html' : urlPath));
+    const relative = path.relative(APP_ROOT, filePath);
+
+    // Never serve the server itself (its data file holds password hashes) or dotfiles
+    const blocked = relative.startsWith('..') || relative.split(path.sep).some(part => part.startsWith('.')) ||
+        relative.split(path.sep)[0] === 'server';
+    if (req.method !== 'GET' || blocked || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(res);
+}
+
+async function route(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    // The app may be served from another origin (or opened as a file)
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (pathname === '/api/register' && req.method === 'POST') {
+        await register(req, res);
+    } else if (pathname === '/api/login' && req.method === 'POST') {
+        await login(req, res);
+    } else if (pathname === '/api/token' && req.method === 'POST') {
+        refreshToken(req, res);
+    } else if (pathname.startsWith('/api/')) {
+        // /api/me/<collection>[/<key>]
+        const match = pathname.match(/^\/api\/me\/([a-z]+)(?:\/([^/]+))?$/);
+        if (!match || !COLLECTIONS.includes(match[1])) {
+            throw new HttpError(404, 'Not found');
+        }
+        await handleCollection(req, res, match[1], match[2] ? decodePath(match[2]) : null);
+    } else {
+        serveStatic(req, res);
+    }
+}
+
+const server = http.createServer((req, res) => {
+    route(req, res).catch(error => {
+        if (error instanceof HttpError) {
+            send(res, error.status, { error: error.message });
+        } else {
+            console.error('Request failed:', error);
+            send(res, 500, { error: 'Internal server error' });
+        }
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Fitness Trainer server running at http://localhost:${PORT}`);
+});
@@ -0,0 +1,155 @@
+// ============================================
+// SERVICE WORKER
+// Caches the app shell and the MediaPipe Pose files, so the installed
+// app starts and tracks without a network. Sync requests are never cached.
+// Also shows workout reminders while the app is closed, where the browser
+// supports Periodic Background Sync.
+// ============================================
+
+importScripts('config.js', 'reminders.js');
+
+// Bump when the list of shell files changes; old caches are removed on activation
+const CACHE_VERSION = 4;
+const SHELL_CACHE = `shell-v${CACHE_VERSION}`;
+const POSE_CACHE = 'mediapipe-pose'; // Files of a pinned package version never change
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'config.js',
+    'i18n.js',
+    'calendar.js',
+    'exercises.js',
+    'programs.js',
+    'achievements.js',
+    'reminders.js',
+    'recorder.js',
+    'analysis.js',
+    'video.js',
+    'coach.js',
+    'sync.js',
+    'backup.js',
+    'app.js'
+];
+
+function isPoseFile(url) {
+    return [MEDIAPIPE_CONFIG.localPath, MEDIAPIPE_CONFIG.cdnPath]
+        .filter(Boolean)
+        .some(base => url.startsWith(new URL(base, self.registration.scope).href));
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+
+        // Best effort: the local copy may not have been downloaded, then the
+        // files are cached the first time they are loaded from the CDN instead
+        const pose = await caches.open(POSE_CACHE);
+        const base = new URL(MEDIAPIPE_CONFIG.localPath, self.registration.scope).href;
+        await Promise.all(
+            [...MEDIAPIPE_POSE_FILES, 'pose_landmark_full.tflite'].map(name => pose.add(base + name).catch(() => {}))
+        );
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(
+            names.filter(name => ![SHELL_CACHE, POSE_CACHE, REMINDER_STATE_CACHE].includes(name))
+                .map(name => caches.delete(name))
+        );
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.pathname.startsWith('/api/')) return;
+
+    if (isPoseFile(request.url)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// Pose files are large and never change: only fetched when not cached yet
+async function cacheFirst(request) {
+    const cache = await caches.open(POSE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// App files: the latest version when online, the cached one when offline
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            return cache.match('index.html');
+        }
+        throw error;
+    }
+}
+
+// Woken by the browser now and then, at times it picks: remind from the state the app
+// left when it was last open (see ReminderScheduler.saveSharedState)
+self.addEventListener('periodicsync', event => {
+    if (event.tag !== REMINDER_TAG) return;
+    event.waitUntil(showDueReminder());
+});
+
+async function showDueReminder() {
+    // An open app, also in a background tab, reminds by itself with fresher check-ins
+    const windows = await self.clients.matchAll({ type: 'window' });
+    if (windows.length > 0) return;
+
+    const state = await ReminderScheduler.loadSharedState();
+    if (!state || !state.settings || Notification.permission !== 'granted') return;
+    const due = ReminderScheduler.dueReminder(state.settings, new Date(), state.lastFired);
+    if (!due) return;
+
+    // Marked as shown even when suppressed, like the app's own check
+    await ReminderScheduler.saveSharedState({ ...state, lastFired: due.key });
+    if (state.suppressedDays.includes(due.day)) return;
+    await self.registration.showNotification(state.title, {
+        body: due.day === state.day ? state.streakBody : state.body,
+        icon: 'icons/icon-192.png',
+        tag: REMINDER_TAG
+    });
+}
+
+// Workout reminder clicked: bring the open app forward, or open it
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.length > 0) {
+            return windows[0].focus();
+        }
+        return self.clients.openWindow(self.registration.scope);
+    })());
+});
@@ -0,0 +1,323 @@
+// ============================================
+// SYNC CLIENT
+// Offline-first sync of calendar, sessions and stats with the optional
+// server in server/server.js. Local storage stays the source the app
+// reads from; changes are queued and pushed whenever the server is reachable.
+// ============================================
+
+// Deterministic conflict rule shared with the server: the later write wins,
+// equal timestamps are settled by comparing device ids
+function isNewerRecord(a, b) {
+    if (a.updatedAt !== b.updatedAt) {
+        return a.updatedAt > b.updatedAt;
+    }
+    return a.deviceId > b.deviceId;
+}
+
+class SyncClient {
+    constructor() {
+        this.serverUrl = localStorage.getItem('sync_server_url') || '';
+        this.deviceId = localStorage.getItem('sync_device_id');
+        if (!this.deviceId) {
+            this.deviceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+            localStorage.setItem('sync_device_id', this.deviceId);
+        }
+
+        this.COLLECTIONS = ['calendar', 'sessions', 'stats'];
+        this.SYNC_DELAY = 2000; // Batch bursts of writes (e.g. one per rep) into one sync
+
+        this.store = null; // AuthSystem, applies pulled records to local storage
+        this.userId = null;
+        this.isSyncing = false;
+        this.syncTimer = null;
+        this.lastSyncedAt = null;
+        this.lastError = ''; // Message key of the last failure, shown by getStatus()
+        this.onRemoteChange = null; // Called after pulled changes were applied locally
+        this.onStatusChange = null;
+
+        window.addEventListener('online', () => this.syncNow());
+    }
+
+    isEnabled() {
+        return Boolean(this.serverUrl);
+    }
+
+    setServerUrl(url) {
+        this.serverUrl = url.trim().replace(/\/+$/, '');
+        if (this.serverUrl) {
+            localStorage.setItem('sync_server_url', this.serverUrl);
+        } else {
+            localStorage.removeItem('sync_server_url');
+        }
+        this.notifyStatus();
+    }
+
+    setUser(userId) {
+        this.userId = userId;
+        this.lastError = '';
+        this.scheduleSync();
+    }
+
+    getAccount(userId) {
+        return JSON.parse(localStorage.getItem(`sync_account_${userId}`) || '{}');
+    }
+
+    saveAccount(userId, account) {
+        localStorage.setItem(`sync_account_${userId}`, JSON.stringify(account));
+    }
+
+    getQueue(userId) {
+        return JSON.parse(localStorage.getItem(`sync_queue_${userId}`) || '[]');
+    }
+
+    saveQueue(userId, queue) {
+        localStorage.setItem(`sync_queue_${userId}`, JSON.stringify(queue));
+    }
+
+    // Version (updatedAt/deviceId) of every local record, used to resolve pulled changes
+    getMeta(userId) {
+        return JSON.parse(localStorage.getItem(`sync_meta_${userId}`) || '{}');
+    }
+
+    saveMeta(userId, meta) {
+        localStorage.setItem(`sync_meta_${userId}`, JSON.stringify(meta));
+    }
+
+    trackChanges(userId, collection, before, after) {
+        // Nothing to keep in step without a server; connect() picks these records up later
+        if (!this.isEnabled()) return;
+
+        const meta = this.getMeta(userId);
+        let queue = this.getQueue(userId);
+        const updatedAt = Date.now();
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        let changed = false;
+
+        keys.forEach(key => {
+            if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+
+            const deleted = after[key] === undefined;
+            meta[`${collection}/${key}`] = { updatedAt, deviceId: this.deviceId, deleted };
+            // Only the latest pending write of a record needs to be pushed
+            queue = queue.filter(op => op.collection !== collection || op.key !== key);
+            queue.push({
+                collection,
+                key,
+                value: deleted ? null : after[key],
+                deleted,
+                updatedAt,
+                deviceId: this.deviceId
+            });
+            changed = true;
+        });
+
+        if (!changed) return;
+        this.saveMeta(userId, meta);
+        this.saveQueue(userId, queue);
+        this.scheduleSync();
+        this.notifyStatus();
+    }
+
+    // Records written while sync was off were never versioned. They are queued as the
+    // oldest possible write, so they fill in what the server lacks but never replace its copy.
+    queueUnversioned(userId, records) {
+        const meta = this.getMeta(userId);
+        const queue = this.getQueue(userId);
+        Object.entries(records).forEach(([collection, values]) => {
+            Object.entries(values).forEach(([key, value]) => {
+                if (meta[`${collection}/${key}`]) return;
+                meta[`${collection}/${key}`] = { updatedAt: 0, deviceId: this.deviceId, deleted: false };
+                queue.push({ collection, key, value, deleted: false, updatedAt: 0, deviceId: this.deviceId });
+            });
+        });
+        this.saveMeta(userId, meta);
+        this.saveQueue(userId, queue);
+    }
+
+    async request(method, path, body, token) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        const response = await fetch(`${this.serverUrl}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `Server error (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    async remoteLogin(email, password) {
+        return this.request('POST', '/api/login', { email, password });
+    }
+
+    async remoteRegister(user, password) {
+        return this.request('POST', '/api/register', {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            registeredAt: user.registeredAt,
+            password
+        });
+    }
+
+    async connect(user, password) {
+        // Link the local account with the server account of the same email,
+        // creating it there if it does not exist yet
+        if (!this.isEnabled() || this.getAccount(user.id).token) return;
+
+        try {
+            let result;
+            try {
+                result = await this.remoteLogin(user.email, password);
+            } catch (error) {
+                if (error.status !== 401) throw error;
+                result = await this.remoteRegister(user, password);
+            }
+
+            if (result.user.id !== user.id) {
+                this.lastError = 'sync.otherAccount';
+                this.notifyStatus();
+                return;
+            }
+            this.saveAccount(user.id, { token: result.token });
+            if (this.store && this.userId === user.id) {
+                this.queueUnversioned(user.id, this.store.getSyncRecords());
+            }
+            await this.syncNow();
+        } catch (error) {
+            this.lastError = error.status === 409
+                ? 'sync.passwordMismatch'
+                : 'sync.unreachableKept';
+            this.notifyStatus();
+        }
+    }
+
+    scheduleSync() {
+        if (!this.isEnabled()) return;
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.syncNow(), this.SYNC_DELAY);
+    }
+
+    async syncNow() {
+        if (!this.isEnabled() || !this.userId || this.isSyncing || !navigator.onLine) return;
+
+        const { token } = this.getAccount(this.userId);
+        if (!token) return;
+
+        this.isSyncing = true;
+        const userId = this.userId;
+        try {
+            const rejected = await this.push(userId, token);
+            await this.pull(userId, token);
+            this.lastSyncedAt = Date.now();
+            this.lastError = rejected > 0 ? 'sync.rejected' : '';
+        } catch (error) {
+            if (error.status === 401) {
+                // Token expired: keep the queue and relink on the next login
+                this.saveAccount(userId, {});
+                this.lastError = 'sync.relogin';
+            } else {
+                this.lastError = 'sync.unreachableQueued';
+            }
+        } finally {
+            this.isSyncing = false;
+            this.notifyStatus();
+        }
+    }
+
+    // Resolves with the number of records the server rejected as invalid
+    async push(userId, token) {
+        let pending = this.getQueue(userId);
+        let rejected = 0;
+
+        while (pending.length > 0) {
+            const op = pending[0];
+            const path = `/api/me/${op.collection}/${encodeURIComponent(op.key)}`;
+            const body = { value: op.value, updatedAt: op.updatedAt, deviceId: op.deviceId };
+            let result;
+            try {
+                result = await this.request(op.deleted ? 'DELETE' : 'PUT', path, body, token);
+            } catch (error) {
+                // The server will never accept a record it rejects as invalid: drop it
+                // instead of blocking the rest of the queue behind it, and say so in the status
+                if (error.status !== 400) throw error;
+                console.error(`Sync server rejected ${op.collection}/${op.key}:`, error.message);
+                rejected++;
+                result = { applied: false };
+            }
+
+            // Another device wrote later: adopt the server's winning record
+            if (!result.applied && result.record) {
+                this.applyRemote(userId, op.collection, op.key, result.record);
+            }
+
+            // Writes may have been queued meanwhile; drop only the op we pushed
+            pending = this.getQueue(userId).filter(queued =>
+                queued.collection !== op.collection || queued.key !== op.key || queued.updatedAt !== op.updatedAt
+            );
+            this.saveQueue(userId, pending);
+        }
+        return rejected;
+    }
+
+    async pull(userId, token) {
+        const changed = new Set();
+
+        for (const collection of this.COLLECTIONS) {
+            const { records } = await this.request('GET', `/api/me/${collection}`, null, token);
+            Object.entries(records).forEach(([key, record]) => {
+                if (this.applyRemote(userId, collection, key, record)) {
+                    changed.add(collection);
+                }
+            });
+        }
+
+        if (changed.size > 0 && this.onRemoteChange) {
+            this.onRemoteChange([...changed]);
+        }
+    }
+
+    applyRemote(userId, collection, key, record) {
+        const meta = this.getMeta(userId);
+        const local = meta[`${collection}/${key}`];
+        if (local && !isNewerRecord(record, local)) {
+            return false;
+        }
+
+        meta[`${collection}/${key}`] = { updatedAt: record.updatedAt, deviceId: record.deviceId, deleted: record.deleted };
+        this.saveMeta(userId, meta);
+        if (this.store && userId === this.userId) {
+            this.store.applyRemoteRecord(collection, key, record.deleted ? undefined : record.value);
+        }
+        return true;
+    }
+
+    getStatus() {
+        if (!this.isEnabled()) return i18n.t('sync.off');
+        if (!this.userId) return i18n.t('sync.loginToSync');
+        if (this.isSyncing) return i18n.t('sync.syncing');
+        if (this.lastError) return i18n.t(this.lastError);
+
+        const pending = this.getQueue(this.userId).length;
+        if (!this.getAccount(this.userId).token) {
+            return i18n.t('sync.relink', { count: pending });
+        }
+        if (pending > 0) return i18n.t('sync.pending', { count: pending });
+        if (this.lastSyncedAt) return i18n.t('sync.syncedAt', { time: i18n.formatTime(new Date(this.lastSyncedAt)) });
+        return i18n.t('sync.connected');
+    }
+
+    notifyStatus() {
+        if (this.onStatusChange) {
+            this.onStatusChange(this.getStatus());
+        }
+    }
+}
@@ -0,0 +1,226 @@
+// ============================================
+// POSE ANALYSIS TESTS
+// Synthetic push-up, squat and plank sequences fed through PoseAnalyzer.process(),
+// checked against the events it reports. Run with `npm test`.
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PoseAnalyzer } = require('../analysis');
+const { POSE_LANDMARKS } = require('../exercises');
+
+const FRAME_MS = 1000 / 30;
+const ARM_LENGTH = 0.15; // Upper arm and forearm, as a share of the frame
+const LEG_LENGTH = 0.2; // Thigh and shin
+const WRIST_Y = 0.9;
+const HIP_Y = 0.75;
+const ANKLE_Y = 0.95;
+
+function emptyFrame(visibility = 1) {
+    return Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, z: 0, visibility }));
+}
+
+// One push-up frame. Both shoulders drop with the average elbow angle;
+// `asymmetry` bends the left arm that much more than the right at the same height.
+// `shoulderWidth` sets how far the camera sees the user turned towards it
+// (0.02 is side-on, 0.18 diagonal).
+function pushupFrame(angle, { asymmetry = 0, shoulderWidth = 0.02, visibility = 1 } = {}) {
+    const landmarks = emptyFrame(visibility);
+    const set = (name, x, y) => {
+        landmarks[POSE_LANDMARKS[name]] = { x, y, z: 0, visibility };
+    };
+
+    const drop = 2 * ARM_LENGTH * Math.sin((angle / 2) * Math.PI / 180);
+    const shoulderY = WRIST_Y - drop;
+    [['left', 0.3, angle - asymmetry / 2], ['right', 0.3 + shoulderWidth, angle + asymmetry / 2]].forEach(([side, x, armAngle]) => {
+        // Elbow on the bisector of shoulder and wrist, far enough out to make `armAngle`
+        const offset = (drop / 2) / Math.tan((armAngle / 2) * Math.PI / 180);
+        set(`${side}Shoulder`, x, shoulderY);
+        set(`${side}Elbow`, x + offset, shoulderY + drop / 2);
+        set(`${side}Wrist`, x, WRIST_Y);
+        set(`${side}Hip`, x + 0.35, HIP_Y);
+    });
+    return landmarks;
+}
+
+// One squat frame, filmed side-on: hips straight above the ankles, knees bent forward to `angle`
+function squatFrame(angle) {
+    const landmarks = emptyFrame();
+    const set = (name, x, y) => {
+        landmarks[POSE_LANDMARKS[name]] = { x, y, z: 0, visibility: 1 };
+    };
+
+    const height = 2 * LEG_LENGTH * Math.sin((angle / 2) * Math.PI / 180);
+    const hipY = ANKLE_Y - height;
+    const offset = (height / 2) / Math.tan((angle / 2) * Math.PI / 180);
+    [['left', 0.5], ['right', 0.52]].forEach(([side, x]) => {
+        set(`${side}Shoulder`, x, hipY - 0.3);
+        set(`${side}Hip`, x, hipY);
+        set(`${side}Knee`, x + offset, hipY + height / 2);
+        set(`${side}Ankle`, x, ANKLE_Y);
+    });
+    return landmarks;
+}
+
+// One plank frame, filmed side-on; `hipLift` raises the hips above the shoulder line
+function plankFrame({ hipLift = 0 } = {}) {
+    const landmarks = emptyFrame();
+    const set = (name, x, y) => {
+        landmarks[POSE_LANDMARKS[name]] = { x, y, z: 0, visibility: 1 };
+    };
+
+    [['left', 0], ['right', 0.02]].forEach(([side, dx]) => {
+        set(`${side}Shoulder`, 0.3 + dx, 0.6);
+        set(`${side}Hip`, 0.65 + dx, 0.62 - hipLift);
+    });
+    return landmarks;
+}
+
+const repeat = (count, frame) => Array.from({ length: count }, () => frame);
+
+// Elbow (or knee) angles of `reps` reps from `top` down to `bottom` and back, with a pause at the top
+function repAngles(reps, top = 170, bottom = 80, steps = 20) {
+    const angles = [];
+    for (let i = 0; i < 10; i++) angles.push(top);
+    for (let rep = 0; rep < reps; rep++) {
+        for (let i = 1; i <= steps; i++) angles.push(top - (top - bottom) * i / steps);
+        for (let i = 1; i <= steps; i++) angles.push(bottom + (top - bottom) * i / steps);
+        for (let i = 0; i < 10; i++) angles.push(top);
+    }
+    return angles;
+}
+
+// Feeds frames (landmarks or null for a lost pose) at 30 fps and collects every event
+function run(frames, options, exerciseId = 'pushups') {
+    const analyzer = new PoseAnalyzer(exerciseId, options);
+    const events = [];
+    frames.forEach((landmarks, i) => {
+        events.push(...analyzer.process(landmarks, i * FRAME_MS).events);
+    });
+    return { analyzer, events };
+}
+
+const ofType = (events, type) => events.filter(event => event.type === type);
+
+test('good reps are counted with a high score and no partial reps', () => {
+    const { events } = run(repAngles(3).map(angle => pushupFrame(angle)));
+
+    const reps = ofType(events, 'rep');
+    assert.deepStrictEqual(reps.map(rep => rep.count), [1, 2, 3]);
+    reps.forEach(rep => {
+        assert.ok(rep.score >= 80, `score ${rep.score}`);
+        assert.ok(rep.tempo.eccentric > 0 && rep.tempo.concentric > 0);
+    });
+    assert.strictEqual(ofType(events, 'partialRep').length, 0);
+    assert.ok(!ofType(events, 'formError').some(event => event.reason === 'reason.armsSymmetric'));
+    assert.strictEqual(ofType(events, 'trackingRestored').length, 1);
+    assert.strictEqual(ofType(events, 'trackingLost').length, 0);
+});
+
+test('half reps are reported as partial reps and not counted', () => {
+    const { analyzer, events } = run(repAngles(2, 170, 125).map(angle => pushupFrame(angle)));
+
+    assert.strictEqual(ofType(events, 'rep').length, 0);
+    assert.deepStrictEqual(ofType(events, 'partialRep').map(event => event.count), [1, 2]);
+    assert.strictEqual(analyzer.repCount, 0);
+});
+
+test('a full rep after a half rep is still counted', () => {
+    const angles = [...repAngles(1, 170, 125), ...repAngles(1)];
+    const { events } = run(angles.map(angle => pushupFrame(angle)));
+
+    assert.strictEqual(ofType(events, 'partialRep').length, 1);
+    assert.deepStrictEqual(ofType(events, 'rep').map(rep => rep.count), [1]);
+});
+
+test('asymmetric reps seen at an angle report uneven arms and score lower', () => {
+    const even = run(repAngles(1).map(angle => pushupFrame(angle, { shoulderWidth: 0.18 })));
+    const uneven = run(repAngles(1).map(angle => pushupFrame(angle, { shoulderWidth: 0.18, asymmetry: 30 })));
+
+    assert.ok(ofType(uneven.events, 'orientation').some(event => event.orientation === 'diagonal'));
+    assert.ok(ofType(uneven.events, 'formError').some(event => event.reason === 'reason.armsSymmetric'));
+    assert.ok(!ofType(even.events, 'formError').some(event => event.reason === 'reason.armsSymmetric'));
+
+    const [evenRep] = ofType(even.events, 'rep');
+    const [unevenRep] = ofType(uneven.events, 'rep');
+    assert.ok(unevenRep, 'the uneven rep is still counted');
+    assert.ok(unevenRep.quality.maxAsymmetry >= 15);
+    assert.ok(unevenRep.score < evenRep.score, `${unevenRep.score} < ${evenRep.score}`);
+});
+
+test('side-on, uneven arms are not judged', () => {
+    const { events } = run(repAngles(1).map(angle => pushupFrame(angle, { asymmetry: 30 })));
+
+    assert.ok(ofType(events, 'orientation').some(event => event.orientation === 'side'));
+    assert.ok(!ofType(events, 'formError').some(event => event.reason === 'reason.armsSymmetric'));
+});
+
+test('a short tracking dropout mid-rep keeps the rep', () => {
+    const frames = repAngles(2).map(angle => pushupFrame(angle));
+    // Lose the pose for a few frames near the bottom of the first rep
+    frames.splice(25, 5, null, null, null, null, null);
+    const { events } = run(frames);
+
+    assert.strictEqual(ofType(events, 'trackingLost').length, 1);
+    assert.strictEqual(ofType(events, 'trackingRestored').length, 2);
+    const lostAt = events.findIndex(event => event.type === 'trackingLost');
+    assert.strictEqual(events[lostAt + 1].type, 'trackingRestored');
+    assert.deepStrictEqual(ofType(events, 'rep').map(rep => rep.count), [1, 2]);
+});
+
+test('a lost pose ends the form check and comes back as restored', () => {
+    const frames = [pushupFrame(170), pushupFrame(170), null, null, pushupFrame(170)];
+    const { events } = run(frames);
+
+    assert.deepStrictEqual(
+        events.filter(event => event.type.startsWith('tracking')).map(event => event.type),
+        ['trackingRestored', 'trackingLost', 'trackingRestored']
+    );
+});
+
+test('hidden joints report a form error and count nothing', () => {
+    const frames = [
+        ...repAngles(0).map(angle => pushupFrame(angle)),
+        ...repAngles(1).slice(10).map(angle => pushupFrame(angle, { visibility: 0.1 }))
+    ];
+    const { events } = run(frames);
+
+    assert.ok(ofType(events, 'formError').some(event => event.reason === 'reason.notAllVisible'));
+    assert.strictEqual(ofType(events, 'rep').length, 0);
+    assert.strictEqual(ofType(events, 'partialRep').length, 0);
+});
+
+test('full squats are counted and half squats reported as partial reps', () => {
+    const full = run(repAngles(2, 170, 70).map(angle => squatFrame(angle)), {}, 'squats');
+    const reps = ofType(full.events, 'rep');
+    assert.deepStrictEqual(reps.map(rep => rep.count), [1, 2]);
+    reps.forEach(rep => assert.ok(rep.score >= 80, `score ${rep.score}`));
+    assert.strictEqual(ofType(full.events, 'partialRep').length, 0);
+
+    const half = run(repAngles(2, 170, 130).map(angle => squatFrame(angle)), {}, 'squats');
+    assert.strictEqual(ofType(half.events, 'rep').length, 0);
+    assert.deepStrictEqual(ofType(half.events, 'partialRep').map(event => event.count), [1, 2]);
+});
+
+test('a plank hold starts and stops with the body line', () => {
+    const frames = [...repeat(20, plankFrame()), ...repeat(20, plankFrame({ hipLift: 0.3 })), ...repeat(20, plankFrame())];
+    const { events } = run(frames, {}, 'planks');
+
+    assert.deepStrictEqual(
+        events.filter(event => event.type.startsWith('hold')).map(event => event.type),
+        ['holdStart', 'holdStop', 'holdStart']
+    );
+    assert.ok(ofType(events, 'formError').some(event => event.reason === 'reason.keepBodyHorizontal'));
+});
+
+test('losing the pose during a plank stops the hold', () => {
+    const frames = [...repeat(20, plankFrame()), ...repeat(5, null), ...repeat(20, plankFrame())];
+    const { analyzer, events } = run(frames, {}, 'planks');
+
+    assert.deepStrictEqual(
+        events.filter(event => ['holdStart', 'holdStop', 'trackingLost', 'trackingRestored'].includes(event.type))
+            .map(event => event.type),
+        ['trackingRestored', 'holdStart', 'trackingLost', 'holdStop', 'trackingRestored', 'holdStart']
+    );
+    assert.strictEqual(analyzer.formValid, true);
+});
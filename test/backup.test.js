@@ -0,0 +1,82 @@
+// ============================================
+// BACKUP TESTS
+// Session validation of imported bundles and the CSV export.
+// Run with `npm test`.
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBackup, parseBackup, toCsv, backupToCsv } = require('../backup');
+
+const TODAY = '2026-03-10';
+
+// A session with every field a video session saves
+function videoSession(fields = {}) {
+    return {
+        id: '1773136800000-abc123',
+        exercise: 'pushups',
+        startedAt: '2026-03-10T09:00:00.000Z',
+        endedAt: '2026-03-10T09:01:00.000Z',
+        reps: 2,
+        holdSeconds: 0,
+        pauses: 0,
+        formErrors: { 'reason.bendArmsMore': 1 },
+        sets: [{ reps: 2, holdSeconds: 0, timeUnderTension: 3.2, minScore: 90, completedAt: '2026-03-10T09:01:00.000Z' }],
+        repScores: [90, 95],
+        partialReps: 1,
+        timeUnderTension: 3.2,
+        source: 'video',
+        videoName: 'set1.mp4',
+        timeline: [{ t: 1.5, type: 'rep', key: 'video.event.rep', params: { count: 1 } }],
+        ...fields
+    };
+}
+
+function backupText(sessions) {
+    return JSON.stringify(createBackup({ name: 'A', email: 'a@example.com' }, { calendar: {}, sessions }));
+}
+
+test('sessions of every kind are imported', () => {
+    const legacy = {
+        id: 'legacy-planks', exercise: 'planks', startedAt: '2026-01-01T00:00:00.000Z', endedAt: '2026-01-01T00:00:00.000Z',
+        reps: 0, holdSeconds: 90, pauses: 0, formErrors: {}, legacy: true
+    };
+    const bundle = parseBackup(backupText([videoSession(), legacy]), TODAY);
+
+    assert.strictEqual(bundle.data.sessions.length, 2);
+});
+
+test('sessions with fields the history cannot show are rejected', () => {
+    const malformed = [
+        { endedAt: 'yesterday' },
+        { pauses: undefined },
+        { formErrors: ['reason.bendArmsMore'] },
+        { formErrors: { 'reason.bendArmsMore': '1' } },
+        { sets: {} },
+        { sets: [{ reps: 2 }] },
+        { repScores: [90, 'good'] },
+        { partialReps: -1 },
+        { timeUnderTension: '3 s' },
+        { videoName: 42 },
+        { timeline: [{ t: 1.5, text: 'Rep 1' }] },
+        { legacy: 'yes' }
+    ];
+    malformed.forEach(fields => {
+        assert.throws(() => parseBackup(backupText([videoSession(fields)]), TODAY), /backup\.error\.malformedSessions/,
+            JSON.stringify(fields));
+    });
+});
+
+test('CSV cells that a spreadsheet would run as formulas stay text', () => {
+    assert.strictEqual(
+        toCsv([['=HYPERLINK("x")', '+1', '-1', '@SUM(A1)', 'plain', 3]]),
+        `"'=HYPERLINK(""x"")",'+1,'-1,'@SUM(A1),plain,3\r\n`
+    );
+});
+
+test('the sessions table escapes names from the backup', () => {
+    const bundle = parseBackup(backupText([videoSession({ exercise: '=cmd' })]), TODAY);
+    const csv = backupToCsv(bundle, {}).sessions;
+
+    assert.ok(csv.split('\r\n')[1].startsWith("1773136800000-abc123,'=cmd,"));
+});
@@ -0,0 +1,64 @@
+// ============================================
+// CALENDAR TESTS
+// Check-in streaks and missed days, with and without program rest days.
+// Run with `npm test`.
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateStreaks, isMissedDate } = require('../calendar');
+
+const NOW = new Date(2026, 2, 10, 12); // 10 March 2026, midday
+
+// Rest days as a program would have them
+const restOn = (...keys) => dateKey => keys.includes(dateKey);
+
+test('consecutive check-ins make a streak that a skipped day breaks', () => {
+    const checkIns = ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-06', '2026-03-07', '2026-03-08', '2026-03-09'];
+    const streaks = calculateStreaks(checkIns, NOW);
+
+    assert.deepStrictEqual(streaks, { current: 4, longest: 4, lastMissed: '2026-03-05' });
+    assert.strictEqual(isMissedDate('2026-03-05', checkIns, NOW), true);
+    assert.strictEqual(isMissedDate('2026-03-04', checkIns, NOW), false);
+});
+
+test('today is still open and does not break the streak', () => {
+    const streaks = calculateStreaks(['2026-03-08', '2026-03-09'], NOW);
+
+    assert.strictEqual(streaks.current, 2);
+    assert.strictEqual(isMissedDate('2026-03-10', ['2026-03-08', '2026-03-09'], NOW), false);
+});
+
+test('a rest day taken as planned keeps the streak without counting', () => {
+    const checkIns = ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-06', '2026-03-07', '2026-03-08', '2026-03-09'];
+    const isRestDay = restOn('2026-03-05');
+    const streaks = calculateStreaks(checkIns, NOW, isRestDay);
+
+    assert.strictEqual(streaks.current, 7);
+    assert.strictEqual(streaks.longest, 7);
+    assert.strictEqual(streaks.lastMissed, null);
+    assert.strictEqual(isMissedDate('2026-03-05', checkIns, NOW, isRestDay), false);
+});
+
+test('yesterday as a rest day keeps the current streak', () => {
+    const checkIns = ['2026-03-07', '2026-03-08'];
+    const streaks = calculateStreaks(checkIns, NOW, restOn('2026-03-09'));
+
+    assert.strictEqual(streaks.current, 2);
+    assert.strictEqual(isMissedDate('2026-03-09', checkIns, NOW, restOn('2026-03-09')), false);
+});
+
+test('a rest day does not bridge a missed training day', () => {
+    const checkIns = ['2026-03-03', '2026-03-04', '2026-03-07', '2026-03-08', '2026-03-09'];
+    const isRestDay = restOn('2026-03-05');
+    const streaks = calculateStreaks(checkIns, NOW, isRestDay);
+
+    assert.deepStrictEqual(streaks, { current: 3, longest: 3, lastMissed: '2026-03-06' });
+    assert.strictEqual(isMissedDate('2026-03-06', checkIns, NOW, isRestDay), true);
+});
+
+test('a checked-in rest day counts like any other day', () => {
+    const streaks = calculateStreaks(['2026-03-08', '2026-03-09'], NOW, restOn('2026-03-09'));
+
+    assert.strictEqual(streaks.current, 2);
+});
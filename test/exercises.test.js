@@ -0,0 +1,36 @@
+// ============================================
+// EXERCISE REGISTRY TESTS
+// The angle thresholds only work in a fixed order; every sensitivity
+// preset must keep it. Run with `npm test`.
+// ============================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EXERCISES } = require('../exercises');
+
+// Thresholds of the registry defaults and of every preset applied on top of them
+function presetThresholds(exercise) {
+    const presets = { standard: {}, ...exercise.sensitivity };
+    return Object.entries(presets).map(([name, overrides]) => [name, { ...exercise.thresholds, ...overrides }]);
+}
+
+function assertAscending(thresholds, names, preset) {
+    for (let i = 1; i < names.length; i++) {
+        assert.ok(
+            thresholds[names[i - 1]] < thresholds[names[i]],
+            `${preset}: ${names[i - 1]} ${thresholds[names[i - 1]]} < ${names[i]} ${thresholds[names[i]]}`
+        );
+    }
+}
+
+test('push-up presets keep straight arms < up < elbow < partial < baseline', () => {
+    presetThresholds(EXERCISES.pushups).forEach(([preset, t]) => {
+        assertAscending(t, ['straightArmsAngle', 'upAngle', 'elbowAngle', 'partialAngle', 'baselineAngle'], preset);
+    });
+});
+
+test('squat presets keep knee < partial < standing', () => {
+    presetThresholds(EXERCISES.squats).forEach(([preset, t]) => {
+        assertAscending(t, ['kneeAngle', 'partialAngle', 'standingAngle'], preset);
+    });
+});
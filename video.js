@@ -0,0 +1,210 @@
+// ============================================
+// VIDEO FILE ANALYSIS
+// Runs a recorded workout video through pose detection and an exercise
+// analyzer frame by frame, as fast as detection allows, and keeps the
+// per-frame results for annotated playback and a timestamped report.
+// ============================================
+
+class VideoAnalysis {
+    // detect(video) resolves with the pose results of the frame the video shows
+    constructor(video, analyzer, detect) {
+        this.video = video;
+        this.analyzer = analyzer;
+        this.detect = detect;
+
+        this.DEFAULT_FPS = 30; // When the browser can't tell the file's frame rate
+        this.MAX_FPS = 60;
+        this.FPS_SAMPLE_FRAMES = 10; // Presented frames measured to estimate the frame rate
+
+        this.fileName = '';
+        this.fileModifiedAt = null;
+        this.fps = this.DEFAULT_FPS;
+        this.frames = []; // { t, landmarks, reps, reason } per analysed frame, t in seconds
+        this.events = []; // Analyzer events, each with the time `t` it happened in the video
+        this.holdSeconds = 0;
+        this.cancelled = false;
+        this.onProgress = null; // Called with 0..1 while analysing
+    }
+
+    load(file) {
+        this.fileName = file.name;
+        this.fileModifiedAt = file.lastModified || Date.now(); // Best guess of when it was filmed
+        this.video.src = URL.createObjectURL(file);
+        return new Promise((resolve, reject) => {
+            this.video.onloadedmetadata = () => resolve();
+            this.video.onerror = () => reject(new Error('video.unsupported'));
+        });
+    }
+
+    unload() {
+        this.cancel();
+        if (this.video.src) {
+            URL.revokeObjectURL(this.video.src);
+            this.video.removeAttribute('src');
+            this.video.load();
+        }
+    }
+
+    async estimateFrameRate() {
+        // Browsers don't expose the frame rate; count presented frames during a short muted play
+        if (!this.video.requestVideoFrameCallback) {
+            return this.DEFAULT_FPS;
+        }
+
+        this.video.muted = true;
+        const samples = [];
+        await new Promise(resolve => {
+            const onFrame = (now, metadata) => {
+                samples.push(metadata);
+                if (samples.length < this.FPS_SAMPLE_FRAMES && !this.video.ended) {
+                    this.video.requestVideoFrameCallback(onFrame);
+                } else {
+                    resolve();
+                }
+            };
+            this.video.requestVideoFrameCallback(onFrame);
+            this.video.play().catch(resolve);
+        });
+        this.video.pause();
+        this.video.muted = false;
+
+        if (samples.length < 2) {
+            return this.DEFAULT_FPS;
+        }
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const fps = (last.presentedFrames - first.presentedFrames) / (last.mediaTime - first.mediaTime);
+        return Number.isFinite(fps) && fps > 0 ? Math.min(Math.round(fps), this.MAX_FPS) : this.DEFAULT_FPS;
+    }
+
+    seek(time) {
+        return new Promise(resolve => {
+            this.video.onseeked = () => resolve();
+            this.video.currentTime = time;
+        });
+    }
+
+    async run() {
+        this.fps = await this.estimateFrameRate();
+        this.analyzer.reset();
+        this.frames = [];
+        this.events = [];
+        this.holdSeconds = 0;
+        this.cancelled = false;
+
+        // Seek to every frame instead of playing, so detection sets the pace
+        const step = 1 / this.fps;
+        const duration = this.video.duration;
+        for (let frame = 0; frame * step < duration && !this.cancelled; frame++) {
+            const t = frame * step;
+            await this.seek(t);
+            const results = await this.detect(this.video);
+            const { landmarks, analysis, events } = this.analyzer.process(
+                results.poseLandmarks || null,
+                Math.round(t * 1000),
+                results.poseWorldLandmarks || null
+            );
+
+            events.forEach(event => this.events.push({ t, ...event }));
+            if (this.analyzer.formValid) {
+                this.holdSeconds += step;
+            }
+            this.frames.push({
+                t,
+                landmarks,
+                reps: this.analyzer.repCount,
+                reason: analysis ? analysis.reason : null
+            });
+
+            if (this.onProgress) {
+                this.onProgress(Math.min(1, (t + step) / duration));
+            }
+        }
+
+        if (this.cancelled) return false;
+        await this.seek(0);
+        return true;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // Analysed frame shown at `time` seconds (the last one at or before it)
+    frameAt(time) {
+        let low = 0;
+        let high = this.frames.length - 1;
+        if (high < 0 || time < this.frames[0].t) return null;
+
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.frames[middle].t <= time) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return this.frames[low];
+    }
+
+    getReport() {
+        const reps = this.events.filter(event => event.type === 'rep');
+        const formErrors = {};
+        this.events.filter(event => event.type === 'formError').forEach(event => {
+            formErrors[event.reason] = (formErrors[event.reason] || 0) + 1;
+        });
+
+        return {
+            exercise: this.analyzer.exerciseId,
+            fileName: this.fileName,
+            recordedAt: this.fileModifiedAt,
+            duration: this.video.duration,
+            reps: this.analyzer.repCount,
+            partialReps: this.analyzer.partialCount,
+            holdSeconds: Math.round(this.holdSeconds * 10) / 10,
+            repScores: reps.filter(rep => rep.score !== undefined).map(rep => rep.score),
+            timeUnderTension: Math.round(reps.reduce((sum, rep) => sum + (rep.timeUnderTension || 0), 0) * 10) / 10,
+            formErrors,
+            // What happened when, for the report list and the saved session. Entries keep
+            // message keys, not text, so they are translated in whatever language shows them
+            timeline: this.events
+                .filter(event => ['rep', 'partialRep', 'formError', 'holdStart', 'holdStop', 'trackingLost'].includes(event.type))
+                .map(event => ({ t: Math.round(event.t * 10) / 10, type: event.type, ...VideoAnalysis.describeEvent(event) }))
+        };
+    }
+
+    // Message key and params describing an analyzer event
+    static describeEvent(event) {
+        switch (event.type) {
+            case 'rep':
+                return event.score !== undefined
+                    ? { key: 'video.event.repQuality', params: { count: event.count, score: event.score } }
+                    : { key: 'video.event.rep', params: { count: event.count } };
+            case 'partialRep':
+                return { key: 'reason.partialRep' };
+            case 'formError':
+                return { key: event.reason };
+            case 'holdStart':
+                return { key: 'video.event.holdStart' };
+            case 'holdStop':
+                return { key: 'video.event.holdStop' };
+            case 'trackingLost':
+                return { key: 'video.outOfView' };
+            default:
+                return { key: event.type };
+        }
+    }
+
+    // Text of a timeline entry in the current language
+    static describeEntry(entry) {
+        return i18n.t(entry.key, entry.params);
+    }
+
+    // Video position as m:ss.s
+    static formatTime(seconds) {
+        const tenths = Math.round(seconds * 10);
+        const minutes = Math.floor(tenths / 600);
+        const rest = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+        return `${minutes}:${rest}`;
+    }
+}